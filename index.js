@@ -2,11 +2,32 @@
 require('dotenv').config();
 const express = require('express');
 const session = require('express-session');
+const { query, body, param, checkExact, validationResult } = require('express-validator');
 const admin = require('firebase-admin');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// --- CLI COMMANDS ---
+// `node index.js --generate-signing-key` and `--rebuild-hwid-index` don't serve the
+// dashboard, so they run without admin credentials
+const CLI_COMMAND = require.main === module
+    ? ['--generate-signing-key', '--rebuild-hwid-index'].find(flag => process.argv.includes(flag))
+    : undefined;
+
+// Needs no storage either, so it runs before anything else is configured
+if (CLI_COMMAND === '--generate-signing-key') {
+    const kid = `key-${new Date().toISOString().split('T')[0]}`;
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    console.log('Add to LICENSE_SIGNING_KEYS (keep existing keys while rotating):');
+    console.log(JSON.stringify({ [kid]: pem }));
+    console.log(`LICENSE_SIGNING_KEY_ID=${kid}`);
+    process.exit(0);
+}
 
 // --- CONFIGURATION ---
-if (!process.env.ADMIN_USERNAME || !process.env.ADMIN_PASSWORD) {
+if (!CLI_COMMAND && (!process.env.ADMIN_USERNAME || !process.env.ADMIN_PASSWORD)) {
     console.error('❌ ERROR: ADMIN_USERNAME and ADMIN_PASSWORD must be set in .env file');
     process.exit(1);
 }
@@ -15,39 +36,328 @@ const CONFIG = {
     ADMIN_USERNAME: process.env.ADMIN_USERNAME,
     ADMIN_PASSWORD: process.env.ADMIN_PASSWORD,
     SESSION_SECRET: process.env.SESSION_SECRET || 'pcoptimizer_secret_' + Math.random(),
-    PORT: process.env.PORT || 3000
+    PORT: process.env.PORT || 3000,
+    STORAGE_BACKEND: (process.env.STORAGE_BACKEND || 'firestore').toLowerCase(),
+    LOCAL_DB_PATH: process.env.LOCAL_DB_PATH || path.join(__dirname, 'data', 'local-db.json'),
+    // Layout of generated keys: PREFIX-XXXXX-XXXXX-XXXXX-XXXXX, the last character being a check digit
+    LICENSE_KEY_GROUPS: Math.max(1, parseInt(process.env.LICENSE_KEY_GROUPS) || 4),
+    LICENSE_KEY_GROUP_SIZE: Math.max(2, parseInt(process.env.LICENSE_KEY_GROUP_SIZE) || 5),
+    // Characters keys are drawn from; the default has no 0/O or 1/I, so keys survive being
+    // read aloud or retyped from a receipt
+    LICENSE_KEY_ALPHABET: (process.env.LICENSE_KEY_ALPHABET || '23456789ABCDEFGHJKLMNPQRSTUVWXYZ').trim().toUpperCase(),
+    // Bearer token for /api/cron/webhooks; the route is disabled without one
+    CRON_SECRET: process.env.CRON_SECRET || ''
 };
 
-// --- FIREBASE SETUP ---
-let db;
-try {
-    let serviceAccount;
-    
-    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-        serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-        if (serviceAccount.private_key) {
-            serviceAccount.private_key = serviceAccount.private_key.replace(/\\n/g, '\n');
+// Keys are matched upper-cased with everything but letters and digits stripped
+if (!/^[A-Z0-9]{2,36}$/.test(CONFIG.LICENSE_KEY_ALPHABET) || new Set(CONFIG.LICENSE_KEY_ALPHABET).size !== CONFIG.LICENSE_KEY_ALPHABET.length) {
+    console.error('❌ ERROR: LICENSE_KEY_ALPHABET must list at least 2 distinct letters and digits');
+    process.exit(1);
+}
+
+// --- STORAGE BACKENDS ---
+// Every backend exposes the same document-store interface:
+//   getAll(collection)                          -> { [id]: data }
+//   get(collection, id)                         -> data | null
+//   set(collection, id, data, { merge })        -> void
+//   add(collection, data)                       -> new id
+//   delete(collection, id)                      -> void
+//   list(collection, { where, orderBy, direction, limit }) -> [{ id, ...data }]
+//   runTransaction(async tx => ...)             -> tx.get / tx.set / tx.delete (reads before writes)
+//   timestamp()                                 -> value stored for server-side timestamps
+function createFirestoreStore(db, description) {
+    const ref = (collection, id) => db.collection(collection).doc(id);
+
+    return {
+        backend: 'firestore',
+        description,
+        async getAll(collection) {
+            const snapshot = await db.collection(collection).get();
+            const docs = {};
+            snapshot.forEach(doc => {
+                docs[doc.id] = doc.data();
+            });
+            return docs;
+        },
+        async get(collection, id) {
+            const doc = await ref(collection, id).get();
+            return doc.exists ? doc.data() : null;
+        },
+        async set(collection, id, data, { merge = false } = {}) {
+            await ref(collection, id).set(data, { merge });
+        },
+        async add(collection, data) {
+            const docRef = await db.collection(collection).add(data);
+            return docRef.id;
+        },
+        async delete(collection, id) {
+            await ref(collection, id).delete();
+        },
+        async list(collection, { where = [], orderBy, direction = 'asc', limit } = {}) {
+            let query = db.collection(collection);
+            where.forEach(([field, op, value]) => {
+                query = query.where(field, op, value);
+            });
+            if (orderBy) query = query.orderBy(orderBy, direction);
+            if (limit) query = query.limit(limit);
+            const snapshot = await query.get();
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        },
+        runTransaction(fn) {
+            return db.runTransaction(t => fn({
+                async get(collection, id) {
+                    const doc = await t.get(ref(collection, id));
+                    return doc.exists ? doc.data() : null;
+                },
+                set(collection, id, data, { merge = false } = {}) {
+                    t.set(ref(collection, id), data, { merge });
+                },
+                delete(collection, id) {
+                    t.delete(ref(collection, id));
+                }
+            }));
+        },
+        timestamp() {
+            return admin.firestore.FieldValue.serverTimestamp();
         }
-    } else {
-        console.error('❌ FIREBASE_SERVICE_ACCOUNT not found in .env file');
-        process.exit(1);
+    };
+}
+
+// Local JSON-file store for offline development, demos and automated tests.
+// Use LOCAL_DB_PATH=:memory: to keep everything in memory only.
+function createLocalStore(filePath) {
+    const inMemory = filePath === ':memory:';
+    let data = {};
+
+    if (!inMemory && fs.existsSync(filePath)) {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}');
     }
-    
+
+    // Writes and transactions run one at a time so a transaction's
+    // read-check-write can never interleave with another write.
+    let queue = Promise.resolve();
+    function exclusive(fn) {
+        const run = queue.then(() => fn());
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function persist() {
+        if (inMemory) return;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tmpPath, filePath);
+    }
+
+    const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    function mergeDeep(target, source) {
+        const result = { ...target };
+        Object.entries(source).forEach(([key, value]) => {
+            result[key] = isPlainObject(value) && isPlainObject(result[key])
+                ? mergeDeep(result[key], value)
+                : value;
+        });
+        return result;
+    }
+
+    function read(collection, id) {
+        const doc = data[collection] && data[collection][id];
+        return doc ? structuredClone(doc) : null;
+    }
+
+    function write(collection, id, doc, { merge = false } = {}) {
+        if (!data[collection]) data[collection] = {};
+        const existing = data[collection][id];
+        const value = JSON.parse(JSON.stringify(doc));
+        data[collection][id] = merge && existing ? mergeDeep(existing, value) : value;
+    }
+
+    function remove(collection, id) {
+        if (data[collection]) delete data[collection][id];
+    }
+
+    function matches(doc, [field, op, value]) {
+        const actual = doc[field];
+        switch (op) {
+            case '==': return actual === value;
+            case '!=': return actual !== value;
+            case '<': return actual < value;
+            case '<=': return actual <= value;
+            case '>': return actual > value;
+            case '>=': return actual >= value;
+            case 'in': return value.includes(actual);
+            case 'array-contains': return Array.isArray(actual) && actual.includes(value);
+            default: throw new Error(`Unsupported operator: ${op}`);
+        }
+    }
+
+    return {
+        backend: 'local',
+        description: inMemory ? 'Local store (in memory)' : `Local store: ${filePath}`,
+        async getAll(collection) {
+            return structuredClone(data[collection] || {});
+        },
+        async get(collection, id) {
+            return read(collection, id);
+        },
+        set(collection, id, doc, options) {
+            return exclusive(async () => {
+                write(collection, id, doc, options);
+                await persist();
+            });
+        },
+        add(collection, doc) {
+            return exclusive(async () => {
+                const id = crypto.randomBytes(10).toString('hex');
+                write(collection, id, doc);
+                await persist();
+                return id;
+            });
+        },
+        delete(collection, id) {
+            return exclusive(async () => {
+                remove(collection, id);
+                await persist();
+            });
+        },
+        async list(collection, { where = [], orderBy, direction = 'asc', limit } = {}) {
+            let docs = Object.entries(data[collection] || {})
+                .map(([id, doc]) => ({ id, ...structuredClone(doc) }))
+                .filter(doc => where.every(clause => matches(doc, clause)));
+            if (orderBy) {
+                const sign = direction === 'desc' ? -1 : 1;
+                docs.sort((a, b) => {
+                    if (a[orderBy] === b[orderBy]) return 0;
+                    return a[orderBy] > b[orderBy] ? sign : -sign;
+                });
+            }
+            if (limit) docs = docs.slice(0, limit);
+            return docs;
+        },
+        runTransaction(fn) {
+            return exclusive(async () => {
+                const writes = [];
+                const result = await fn({
+                    async get(collection, id) {
+                        return read(collection, id);
+                    },
+                    set(collection, id, doc, options) {
+                        writes.push(() => write(collection, id, doc, options));
+                    },
+                    delete(collection, id) {
+                        writes.push(() => remove(collection, id));
+                    }
+                });
+                writes.forEach(apply => apply());
+                if (writes.length) await persist();
+                return result;
+            });
+        },
+        timestamp() {
+            return new Date().toISOString();
+        }
+    };
+}
+
+function initFirestoreStore() {
+    if (!process.env.FIREBASE_SERVICE_ACCOUNT) {
+        throw new Error('FIREBASE_SERVICE_ACCOUNT not found in .env file');
+    }
+
+    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+    if (serviceAccount.private_key) {
+        serviceAccount.private_key = serviceAccount.private_key.replace(/\\n/g, '\n');
+    }
+
     if (!admin.apps.length) {
         admin.initializeApp({
             credential: admin.credential.cert(serviceAccount),
             databaseURL: `https://${serviceAccount.project_id}-default-rtdb.firebaseio.com`
         });
     }
+
+    return createFirestoreStore(admin.firestore(), `Firebase project: ${serviceAccount.project_id}`);
+}
+
+let store;
+try {
+    if (CONFIG.STORAGE_BACKEND === 'local') {
+        store = createLocalStore(CONFIG.LOCAL_DB_PATH);
+        console.log(`💾 ${store.description}`);
+    } else if (CONFIG.STORAGE_BACKEND === 'firestore') {
+        store = initFirestoreStore();
+        console.log('🔥 Firebase initialized successfully');
+    } else {
+        throw new Error(`Unknown STORAGE_BACKEND "${CONFIG.STORAGE_BACKEND}" (expected "firestore" or "local")`);
+    }
+} catch (error) {
+    console.error('❌ Storage initialization failed:', error.message);
+    process.exit(1);
+}
+
+// --- LICENSE TOKEN SIGNING ---
+// LICENSE_SIGNING_KEYS maps key IDs to Ed25519 private keys (PKCS#8 PEM).
+// To rotate: add a new key, point LICENSE_SIGNING_KEY_ID at it, and once the
+// old private key is removed keep publishing its public key through
+// LICENSE_RETIRED_PUBLIC_KEYS until tokens signed with it have lapsed.
+function loadSigningKeys() {
+    const parsePem = pem => pem.replace(/\\n/g, '\n');
+    const configured = process.env.LICENSE_SIGNING_KEYS ? JSON.parse(process.env.LICENSE_SIGNING_KEYS) : {};
+    const retired = process.env.LICENSE_RETIRED_PUBLIC_KEYS ? JSON.parse(process.env.LICENSE_RETIRED_PUBLIC_KEYS) : {};
+    const keys = {};
     
-    db = admin.firestore();
-    console.log('🔥 Firebase initialized successfully');
+    Object.entries(configured).forEach(([kid, pem]) => {
+        const privateKey = crypto.createPrivateKey(parsePem(pem));
+        if (privateKey.asymmetricKeyType !== 'ed25519') {
+            throw new Error(`Signing key "${kid}" is not an Ed25519 key`);
+        }
+        keys[kid] = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+    });
+    Object.entries(retired).forEach(([kid, pem]) => {
+        if (!keys[kid]) keys[kid] = { publicKey: crypto.createPublicKey(parsePem(pem)) };
+    });
+    
+    let activeKeyId = process.env.LICENSE_SIGNING_KEY_ID || Object.keys(configured).pop();
+    if (!activeKeyId && process.env.NODE_ENV === 'production' && !CLI_COMMAND) {
+        // Every serverless instance and cold start would sign with its own throwaway key,
+        // so tokens would fail to verify against /api/public-keys
+        throw new Error('LICENSE_SIGNING_KEYS must be set when NODE_ENV=production (npm run generate-signing-key)');
+    }
+    if (!activeKeyId) {
+        // Development fallback: tokens stop verifying after a restart
+        activeKeyId = `ephemeral-${crypto.randomBytes(4).toString('hex')}`;
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+        keys[activeKeyId] = { privateKey, publicKey };
+        console.warn('⚠️ LICENSE_SIGNING_KEYS not set, using an ephemeral signing key');
+    }
+    if (!keys[activeKeyId] || !keys[activeKeyId].privateKey) {
+        throw new Error(`LICENSE_SIGNING_KEY_ID "${activeKeyId}" has no private key in LICENSE_SIGNING_KEYS`);
+    }
     
+    return { keys, activeKeyId };
+}
+
+let signing;
+try {
+    signing = loadSigningKeys();
+    console.log(`🔏 License tokens signed with key: ${signing.activeKeyId}`);
 } catch (error) {
-    console.error('❌ Firebase initialization failed:', error.message);
+    console.error('❌ Signing key configuration failed:', error.message);
     process.exit(1);
 }
 
+const base64url = value => Buffer.from(value).toString('base64url');
+
+// Compact JWS (header.payload.signature) using EdDSA over Ed25519
+function signToken(payload) {
+    const header = { alg: 'EdDSA', typ: 'JWT', kid: signing.activeKeyId };
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), signing.keys[signing.activeKeyId].privateKey);
+    return `${signingInput}.${signature.toString('base64url')}`;
+}
+
 const app = express();
 
 // --- MIDDLEWARE ---
@@ -62,18 +372,15 @@ app.use(session({
     }
 }));
 
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+// Signed API requests are verified against the exact bytes the client sent
+const keepRawBody = (req, res, buf) => { req.rawBody = buf.toString('utf8'); };
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+app.use(express.json({ verify: keepRawBody }));
 
 // --- ENHANCED DATABASE HELPERS ---
 async function getLicenses() {
     try {
-        const snapshot = await db.collection('licenses').get();
-        const licenses = {};
-        snapshot.forEach(doc => {
-            licenses[doc.id] = doc.data();
-        });
-        return licenses;
+        return await store.getAll('licenses');
     } catch (error) {
         console.error('Error getting licenses:', error);
         return {};
@@ -82,8 +389,7 @@ async function getLicenses() {
 
 async function getLicense(licenseKey) {
     try {
-        const doc = await db.collection('licenses').doc(licenseKey).get();
-        return doc.exists ? doc.data() : null;
+        return await store.get('licenses', licenseKey);
     } catch (error) {
         console.error('Error getting license:', error);
         return null;
@@ -92,7 +398,7 @@ async function getLicense(licenseKey) {
 
 async function saveLicense(licenseKey, data) {
     try {
-        await db.collection('licenses').doc(licenseKey).set(data, { merge: true });
+        await store.set('licenses', licenseKey, data, { merge: true });
         return true;
     } catch (error) {
         console.error('Error saving license:', error);
@@ -100,9 +406,19 @@ async function saveLicense(licenseKey, data) {
     }
 }
 
+// Atomic read-modify-write; `update` returns the new data, or null to leave it unchanged
+async function updateLicense(licenseKey, update) {
+    return store.runTransaction(async tx => {
+        const lic = await tx.get('licenses', licenseKey);
+        const updated = lic ? update(lic) : null;
+        if (updated) tx.set('licenses', licenseKey, updated);
+        return updated;
+    });
+}
+
 async function deleteLicense(licenseKey) {
     try {
-        await db.collection('licenses').doc(licenseKey).delete();
+        await store.delete('licenses', licenseKey);
         return true;
     } catch (error) {
         console.error('Error deleting license:', error);
@@ -112,8 +428,8 @@ async function deleteLicense(licenseKey) {
 
 async function getBanlist() {
     try {
-        const doc = await db.collection('settings').doc('banlist').get();
-        return doc.exists ? doc.data().hwids || [] : [];
+        const doc = await store.get('settings', 'banlist');
+        return doc ? doc.hwids || [] : [];
     } catch (error) {
         console.error('Error getting banlist:', error);
         return [];
@@ -122,7 +438,7 @@ async function getBanlist() {
 
 async function saveBanlist(banlist) {
     try {
-        await db.collection('settings').doc('banlist').set({ hwids: banlist });
+        await store.set('settings', 'banlist', { hwids: banlist });
         return true;
     } catch (error) {
         console.error('Error saving banlist:', error);
@@ -130,11 +446,26 @@ async function saveBanlist(banlist) {
     }
 }
 
+// Both resolve to true when the banlist changed
+async function banHwid(hwid, { reason = null, by = null } = {}) {
+    const banlist = await getBanlist();
+    if (banlist.includes(hwid)) return false;
+    const saved = await saveBanlist([...banlist, hwid]);
+    if (saved) await queueWebhookEvent('HWID_BANNED', { hwid, reason, bannedBy: by });
+    return saved;
+}
+
+async function unbanHwid(hwid) {
+    const banlist = await getBanlist();
+    if (!banlist.includes(hwid)) return false;
+    return saveBanlist(banlist.filter(h => h !== hwid));
+}
+
 // NEW: Activity Log Functions
 async function logActivity(action, details, ip = 'unknown', userAgent = 'unknown') {
     try {
-        await db.collection('activityLog').add({
-            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        await store.add('activityLog', {
+            timestamp: store.timestamp(),
             action,
             details,
             ip,
@@ -148,11 +479,8 @@ async function logActivity(action, details, ip = 'unknown', userAgent = 'unknown
 
 async function getActivityLog(limit = 100) {
     try {
-        const snapshot = await db.collection('activityLog')
-            .orderBy('timestamp', 'desc')
-            .limit(limit)
-            .get();
-        return snapshot.docs.map(doc => doc.data());
+        const entries = await store.list('activityLog', { orderBy: 'timestamp', direction: 'desc', limit });
+        return entries.map(({ id, ...entry }) => entry);
     } catch (error) {
         console.error('Error getting activity log:', error);
         return [];
@@ -162,1000 +490,4318 @@ async function getActivityLog(limit = 100) {
 
 
 
-// NEW: HWID Reset Requests
-async function getHwidRequests() {
+// NEW: HWID Reset Requests. Requests are kept once decided: 'pending' moves to 'approved'
+// or 'denied' by an admin, or to 'cancelled' by the customer.
+const HWID_REQUEST_STATUSES = ['pending', 'approved', 'denied', 'cancelled'];
+
+async function getHwidRequests(status = null) {
     try {
-        const snapshot = await db.collection('hwidRequests').orderBy('timestamp', 'desc').get();
-        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const requests = await store.list('hwidRequests', { orderBy: 'timestamp', direction: 'desc' });
+        return status ? requests.filter(request => request.status === status) : requests;
     } catch (error) {
         console.error('Error getting HWID requests:', error);
         return [];
     }
 }
 
+async function findPendingHwidRequest(licenseKey) {
+    try {
+        const requests = await store.list('hwidRequests', { where: [['license', '==', licenseKey]] });
+        return requests.find(request => request.status === 'pending') || null;
+    } catch (error) {
+        console.error('Error finding pending HWID request:', error);
+        return null;
+    }
+}
+
 async function addHwidRequest(data) {
     try {
-        const docRef = await db.collection('hwidRequests').add({
+        return await store.add('hwidRequests', {
             ...data,
-            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            timestamp: store.timestamp(),
+            createdAt: new Date().toISOString(),
             status: 'pending'
         });
-        return docRef.id;
     } catch (error) {
         console.error('Error adding HWID request:', error);
         return null;
     }
 }
 
-async function deleteHwidRequest(requestId) {
+async function getHwidRequest(requestId) {
     try {
-        await db.collection('hwidRequests').doc(requestId).delete();
-        return true;
+        return await store.get('hwidRequests', requestId);
     } catch (error) {
-        console.error('Error deleting HWID request:', error);
-        return false;
+        console.error('Error getting HWID request:', error);
+        return null;
     }
 }
 
-// NEW: License Templates
-async function getLicenseTemplates() {
-    try {
-        const snapshot = await db.collection('licenseTemplates').get();
-        const templates = {};
-        snapshot.forEach(doc => {
-            templates[doc.id] = doc.data();
+// Moves a pending request to `status`; resolves to { code, request } where code is
+// SUCCESS, REQUEST_NOT_FOUND or REQUEST_NOT_PENDING
+async function resolveHwidRequest(requestId, status, { by, message }) {
+    return store.runTransaction(async tx => {
+        const request = requestId && await tx.get('hwidRequests', requestId);
+        if (!request) return { code: 'REQUEST_NOT_FOUND' };
+        if (request.status !== 'pending') return { code: 'REQUEST_NOT_PENDING', request };
+        
+        const resolved = {
+            ...request,
+            status,
+            resolvedAt: new Date().toISOString(),
+            resolvedBy: by,
+            customerMessage: (message || '').trim()
+        };
+        tx.set('hwidRequests', requestId, resolved);
+        return { code: 'SUCCESS', request: resolved };
+    });
+}
+
+// An admin decision; approving frees every device of the license, or only the old seat
+// of a refused self-service move
+async function decideHwidRequest(requestId, approved, { admin, message }) {
+    const result = await resolveHwidRequest(requestId, approved ? 'approved' : 'denied', { by: admin, message });
+    if (result.code === 'SUCCESS' && approved) {
+        await releaseLicenseDevices(result.request.license, {
+            action: "HWID_RESET_APPROVED",
+            admin
+        }, result.request.oldHwid || null);
+        await queueWebhookEvent('HWID_RESET_APPROVED', {
+            requestId,
+            license: result.request.license,
+            hwid: result.request.hwid,
+            oldHwid: result.request.oldHwid || null,
+            approvedBy: admin,
+            message: message || null
         });
-        return templates;
-    } catch (error) {
-        console.error('Error getting templates:', error);
-        return {};
     }
+    return result;
 }
 
-async function saveLicenseTemplate(templateId, data) {
-    try {
-        await db.collection('licenseTemplates').doc(templateId).set(data, { merge: true });
-        return true;
-    } catch (error) {
-        console.error('Error saving template:', error);
-        return false;
-    }
+// NEW: HWID Index (hwid -> license), kept in sync on register/reset/delete
+function hwidIndexId(hwid) {
+    // HWIDs are client-supplied strings, so hash them into a safe document ID
+    return crypto.createHash('sha256').update(hwid).digest('hex');
 }
 
-// NEW: Settings Management
-async function getSettings() {
+async function getHwidOwner(hwid) {
     try {
-        const doc = await db.collection('settings').doc('general').get();
-        return doc.exists ? doc.data() : {
-            maxDevicesPerLicense: 1,
-            allowHwidChange: true,
-            autoExpireInDays: 30,
-            maintenanceMode: false,
-            apiEnabled: true
-        };
+        const entry = await store.get('hwidIndex', hwidIndexId(hwid));
+        return entry ? entry.license : null;
     } catch (error) {
-        console.error('Error getting settings:', error);
-        return {};
+        console.error('Error reading HWID index:', error);
+        return null;
     }
 }
 
-async function saveSettings(settings) {
+function hwidIndexEntry(hwid, licenseKey) {
+    return { hwid, license: licenseKey, indexedAt: new Date().toISOString() };
+}
+
+async function unindexHwid(hwid, licenseKey) {
+    if (!hwid) return true;
     try {
-        await db.collection('settings').doc('general').set(settings, { merge: true });
+        // Only drop the entry if it still points at this license
+        const owner = await getHwidOwner(hwid);
+        if (owner === licenseKey) {
+            await store.delete('hwidIndex', hwidIndexId(hwid));
+        }
         return true;
     } catch (error) {
-        console.error('Error saving settings:', error);
+        console.error('Error updating HWID index:', error);
         return false;
     }
 }
 
-// --- AUTH MIDDLEWARE ---
-function requireLogin(req, res, next) {
-    if (req.session && req.session.user === CONFIG.ADMIN_USERNAME) {
-        return next();
+// Safe on a live server: the index is never emptied, entries are upserted first and stale
+// ones deleted after. Each write re-reads the license in a transaction, so a registration
+// or reset that lands mid-rebuild isn't undone by the older snapshot.
+async function rebuildHwidIndex() {
+    const [licenses, existing] = await Promise.all([
+        store.getAll('licenses'),
+        store.getAll('hwidIndex')
+    ]);
+
+    const indexed = {};
+    const conflicts = [];
+    for (const [licKey, licData] of Object.entries(licenses)) {
+        for (const { hwid } of getLicenseDevices(licData)) {
+            if (indexed[hwid]) {
+                conflicts.push({ hwid, licenses: [indexed[hwid], licKey] });
+                continue;
+            }
+            indexed[hwid] = licKey;
+        }
     }
-    res.redirect('/admin/login');
+
+    const holds = (lic, hwid) => !!lic && getLicenseDevices(lic).some(d => d.hwid === hwid);
+    for (const [hwid, licKey] of Object.entries(indexed)) {
+        const id = hwidIndexId(hwid);
+        if (existing[id] && existing[id].license === licKey) continue;
+        await store.runTransaction(async tx => {
+            const lic = await tx.get('licenses', licKey);
+            const entry = await tx.get('hwidIndex', id);
+            if (holds(lic, hwid) && (!entry || entry.license !== licKey)) {
+                tx.set('hwidIndex', id, hwidIndexEntry(hwid, licKey));
+            }
+        });
+    }
+
+    const wanted = new Set(Object.keys(indexed).map(hwidIndexId));
+    for (const id of Object.keys(existing).filter(id => !wanted.has(id))) {
+        await store.runTransaction(async tx => {
+            const entry = await tx.get('hwidIndex', id);
+            const lic = entry && await tx.get('licenses', entry.license);
+            if (entry && !holds(lic, entry.hwid)) tx.delete('hwidIndex', id);
+        });
+    }
+
+    return { indexed: Object.keys(indexed).length, conflicts };
 }
 
-// --- UTILITY FUNCTIONS ---
-function isLicenseExpired(license) {
-    if (!license.expiry) return false;
-    return new Date() > new Date(license.expiry);
+// NEW: Atomic HWID binding. Each runs as one read-check-write transaction,
+// so when two devices race for the same key exactly one of them wins.
+async function registerLicenseHwid(licenseKey, hwid, { ip, deviceInfo, clientVersion, publicKey, settings }) {
+    return store.runTransaction(async tx => {
+        const lic = await tx.get('licenses', licenseKey);
+        if (!lic) return { code: 'INVALID_LICENSE' };
+        if (getLicenseState(lic) !== 'active') return { code: 'BLOCKED', lic };
+        if (isLicenseExpired(lic)) return { code: 'EXPIRED', lic };
+        if (lic.floating) return { code: 'FLOATING_LICENSE', lic };
+
+        const devices = getLicenseDevices(lic);
+        const seats = getSeatLimit(lic, settings);
+        const registered = devices.find(d => d.hwid === hwid);
+        if (!registered && devices.length >= seats) {
+            return { code: 'ALREADY_REGISTERED', lic, seats };
+        }
+        // Once a device key is bound, only that key can re-register the device
+        if (registered && registered.publicKey && registered.publicKey !== publicKey) {
+            return { code: publicKey ? 'DEVICE_KEY_MISMATCH' : 'DEVICE_PROOF_REQUIRED', lic };
+        }
+
+        const owner = await tx.get('hwidIndex', hwidIndexId(hwid));
+        const trialOwner = await readTrialOwner(tx, owner, licenseKey);
+        if (owner && owner.license !== licenseKey && !trialOwner) {
+            return { code: 'HWID_IN_USE', lic, existingLicense: owner.license };
+        }
+
+        const now = new Date().toISOString();
+        const seen = {
+            lastSeen: now,
+            ip,
+            deviceInfo: deviceInfo || 'Unknown',
+            ...(clientVersion && { clientVersion }),
+            ...(publicKey && { publicKey, keyBoundAt: (registered && registered.keyBoundAt) || now })
+        };
+        const updatedDevices = registered
+            ? devices.map(d => d.hwid === hwid ? { ...d, ...seen } : d)
+            : [...devices, { hwid, activatedAt: now, ...seen }];
+        const updatedLic = {
+            ...lic,
+            ...deviceFields(updatedDevices),
+            expiry: computeActivationExpiry(lic, now),
+            lastValidated: now,
+            activationIP: ip,
+            deviceInfo: deviceInfo || 'Unknown',
+            history: [...(lic.history || []), {
+                action: "REGISTER",
+                date: now,
+                details: hwid,
+                ip
+            }]
+        };
+
+        if (trialOwner) {
+            tx.set('licenses', owner.license, supersedeTrialDevice(trialOwner, hwid, licenseKey, now, ip));
+        }
+        tx.set('licenses', licenseKey, updatedLic);
+        tx.set('hwidIndex', hwidIndexId(hwid), hwidIndexEntry(hwid, licenseKey));
+        return { code: 'SUCCESS', lic: updatedLic, seats };
+    });
 }
 
-function isHWIDBanned(hwid, banlist) {
-    return banlist.includes(hwid);
+// A trial only holds its machine until a paid key is registered there. Resolves to the
+// owning trial license when `owner` (an hwidIndex entry) belongs to another key's trial.
+async function readTrialOwner(tx, owner, licenseKey) {
+    if (!owner || owner.license === licenseKey) return null;
+    const ownerLic = await tx.get('licenses', owner.license);
+    return ownerLic && ownerLic.trial ? ownerLic : null;
 }
 
-function generateSecureLicenseKey(prefix = 'LIC') {
-    return `${prefix}-${crypto.randomBytes(4).toString('hex').toUpperCase()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+// The trial record keeps the HWID, so the machine still can't get a second trial
+function supersedeTrialDevice(trialLic, hwid, licenseKey, now, ip) {
+    return {
+        ...trialLic,
+        ...deviceFields(getLicenseDevices(trialLic).filter(d => d.hwid !== hwid)),
+        history: [...(trialLic.history || []), {
+            action: "TRIAL_SUPERSEDED",
+            date: now,
+            details: `${hwid} -> ${licenseKey}`,
+            ip
+        }]
+    };
 }
 
-function formatTimeAgo(date) {
-    const now = new Date();
-    const diff = now - new Date(date);
-    const minutes = Math.floor(diff / 60000);
-    const hours = Math.floor(diff / 3600000);
-    const days = Math.floor(diff / 86400000);
+// Self-service moves are counted from license history over a rolling window. Resolves to
+// { reason, nextAllowedAt } when the next move needs an admin, or { movesLeft } otherwise.
+const SELF_SERVICE_MOVE = "HWID_SELF_SERVICE_MOVE";
+
+function hwidMoveAllowance(license, settings, now = Date.now()) {
+    if (!settings.allowHwidChange) return { reason: 'DISABLED', nextAllowedAt: null };
     
-    if (days > 0) return `${days}d ago`;
-    if (hours > 0) return `${hours}h ago`;
-    if (minutes > 0) return `${minutes}m ago`;
-    return 'Just now';
+    const periodMs = settings.hwidChangePeriodDays * 24 * 60 * 60 * 1000;
+    const moves = (license.history || [])
+        .filter(entry => entry.action === SELF_SERVICE_MOVE && now - new Date(entry.date).getTime() < periodMs)
+        .map(entry => new Date(entry.date).getTime())
+        .sort((a, b) => a - b);
+    
+    const cooldownEnds = moves.length ? moves[moves.length - 1] + settings.hwidChangeCooldownHours * 60 * 60 * 1000 : 0;
+    if (moves.length >= settings.hwidChangeLimit) {
+        // With no limit at all every move needs an admin, so there is no date to wait for
+        const freesUp = settings.hwidChangeLimit > 0
+            ? Math.max(moves[moves.length - settings.hwidChangeLimit] + periodMs, cooldownEnds)
+            : null;
+        return { reason: 'LIMIT_REACHED', nextAllowedAt: freesUp && new Date(freesUp).toISOString() };
+    }
+    if (cooldownEnds > now) {
+        return { reason: 'COOLDOWN', nextAllowedAt: new Date(cooldownEnds).toISOString() };
+    }
+    return { movesLeft: settings.hwidChangeLimit - moves.length };
 }
 
-// --- ENHANCED API ENDPOINTS ---
-app.get('/api/validate', async (req, res) => {
-    const { license, hwid } = req.query;
-    
-    try {
-        // Input validation
-        if (!license || !hwid) {
-            return res.status(400).json({
-                success: false,
-                code: 'MISSING_PARAMETERS',
-                message: 'License and HWID are required',
-                data: null
-            });
-        }
+// Replaces the seat of `fromHwid` with `toHwid`; codes that need an admin come back as
+// NEEDS_APPROVAL with the allowance's reason
+async function moveLicenseHwid(licenseKey, fromHwid, toHwid, { ip, deviceInfo, clientVersion, settings }) {
+    return store.runTransaction(async tx => {
+        const lic = await tx.get('licenses', licenseKey);
+        if (!lic) return { code: 'INVALID_LICENSE' };
+        if (lic.floating) return { code: 'FLOATING_LICENSE', lic };
         
-        await logActivity('API_VALIDATE', `License: ${license} HWID: ${hwid}`, req.ip, req.get('User-Agent'));
+        const devices = getLicenseDevices(lic);
+        const from = devices.find(d => d.hwid === fromHwid);
+        if (!from) return { code: 'HWID_MISMATCH', lic };
+        if (devices.some(d => d.hwid === toHwid)) return { code: 'DEVICE_ALREADY_REGISTERED', lic };
         
-        const settings = await getSettings();
-        if (!settings.apiEnabled) {
-            return res.status(503).json({
-                success: false,
-                code: 'API_DISABLED',
-                message: 'API is currently disabled',
-                data: null
-            });
+        const owner = await tx.get('hwidIndex', hwidIndexId(toHwid));
+        const trialOwner = await readTrialOwner(tx, owner, licenseKey);
+        if (owner && owner.license !== licenseKey && !trialOwner) {
+            return { code: 'HWID_IN_USE', lic, existingLicense: owner.license };
         }
+        const previousOwner = await tx.get('hwidIndex', hwidIndexId(fromHwid));
         
-        const banlist = await getBanlist();
-        if (isHWIDBanned(hwid, banlist)) {
-            return res.status(403).json({
-                success: false,
-                code: 'BANNED',
-                message: 'Hardware ID is banned',
-                data: { hwid }
-            });
-        }
+        // Whoever holds a key-bound device can prove it; anyone else needs an admin
+        const allowance = from.publicKey ? { reason: 'DEVICE_KEY_BOUND', nextAllowedAt: null } : hwidMoveAllowance(lic, settings);
+        if (allowance.reason) return { code: 'NEEDS_APPROVAL', lic, ...allowance };
         
-        const lic = await getLicense(license);
-        if (!lic) {
-            return res.status(404).json({
-                success: false,
-                code: 'INVALID_LICENSE',
-                message: 'License not found',
-                data: { license }
-            });
-        }
+        const now = new Date().toISOString();
+        const updatedLic = {
+            ...lic,
+            ...deviceFields(devices.map(d => d.hwid === fromHwid ? {
+                hwid: toHwid,
+                activatedAt: now,
+                lastSeen: now,
+                ip,
+                deviceInfo: deviceInfo || 'Unknown',
+                ...(clientVersion && { clientVersion })
+            } : d)),
+            history: [...(lic.history || []), {
+                action: SELF_SERVICE_MOVE,
+                date: now,
+                details: `${fromHwid} -> ${toHwid}`,
+                ip
+            }]
+        };
         
-        if (isLicenseExpired(lic)) {
-            return res.status(410).json({
-                success: false,
-                code: 'EXPIRED',
-                message: 'License has expired',
-                data: { 
-                    license,
-                    expiry: lic.expiry 
-                }
-            });
+        if (trialOwner) {
+            tx.set('licenses', owner.license, supersedeTrialDevice(trialOwner, toHwid, licenseKey, now, ip));
         }
-        
-        if (lic.hwid === hwid) {
-            // Update last validation time
-            await saveLicense(license, { ...lic, lastValidated: new Date().toISOString() });
-            return res.json({
-                success: true,
-                code: 'VALID',
-                message: 'License validation successful',
-                data: {
-                    license,
-                    hwid,
-                    expiry: lic.expiry,
-                    lastValidated: new Date().toISOString()
-                }
-            });
+        tx.set('licenses', licenseKey, updatedLic);
+        if (previousOwner && previousOwner.license === licenseKey) {
+            tx.delete('hwidIndex', hwidIndexId(fromHwid));
         }
-        
-        return res.status(409).json({
-            success: false,
-            code: 'HWID_MISMATCH',
-            message: 'Hardware ID does not match',
-            data: { 
-                license,
-                provided_hwid: hwid,
-                registered_hwid: lic.hwid 
+        tx.set('hwidIndex', hwidIndexId(toHwid), hwidIndexEntry(toHwid, licenseKey));
+        return { code: 'SUCCESS', lic: updatedLic, movesLeft: allowance.movesLeft - 1 };
+    });
+}
+
+// Frees every seat, or only the seat held by `hwid` when given
+async function releaseLicenseDevices(licenseKey, historyEntry, hwid = null) {
+    return store.runTransaction(async tx => {
+        const lic = await tx.get('licenses', licenseKey);
+        if (!lic) return null;
+
+        const devices = getLicenseDevices(lic);
+        const released = hwid ? devices.filter(d => d.hwid === hwid) : devices;
+        const owners = await Promise.all(released.map(d => tx.get('hwidIndex', hwidIndexId(d.hwid))));
+
+        tx.set('licenses', licenseKey, {
+            ...lic,
+            ...deviceFields(devices.filter(d => !released.includes(d))),
+            history: [...(lic.history || []), {
+                ...historyEntry,
+                ...(hwid ? { details: hwid } : {}),
+                date: new Date().toISOString()
+            }]
+        });
+        released.forEach((device, i) => {
+            if (owners[i] && owners[i].license === licenseKey) {
+                tx.delete('hwidIndex', hwidIndexId(device.hwid));
             }
         });
-        
-    } catch (error) {
-        console.error('Validation error:', error);
-        return res.status(500).json({
-            success: false,
-            code: 'SERVER_ERROR',
-            message: 'Internal server error',
-            data: null
+        return lic;
+    });
+}
+
+// Records a successful validation against the device's seat
+async function touchLicenseDevice(licenseKey, hwid, clientVersion = null) {
+    return store.runTransaction(async tx => {
+        const lic = await tx.get('licenses', licenseKey);
+        const devices = lic ? getLicenseDevices(lic) : [];
+        if (!devices.some(d => d.hwid === hwid)) return null;
+
+        const now = new Date().toISOString();
+        tx.set('licenses', licenseKey, {
+            ...lic,
+            ...deviceFields(devices.map(d => d.hwid === hwid ? { ...d, lastSeen: now, ...(clientVersion && { clientVersion }) } : d)),
+            lastValidated: now
         });
-    }
-});
+        return now;
+    });
+}
 
+// NEW: Floating licenses (N concurrent leases on any machines, kept alive by heartbeats)
+function getActiveLeases(license, now = Date.now()) {
+    return (license.leases || []).filter(lease => new Date(lease.expiresAt).getTime() > now);
+}
 
-app.get('/api/register', async (req, res) => {
-    const { license, hwid } = req.query;
-    
-    try {
-        if (!license || !hwid) {
-            return res.status(400).json({
-                success: false,
-                code: 'MISSING_PARAMETERS',
-                message: 'License and HWID are required',
-                data: null
-            });
-        }
-        
-        await logActivity('API_REGISTER', `License: ${license} HWID: ${hwid}`, req.ip, req.get('User-Agent'));
-        
-        const settings = await getSettings();
-        if (!settings.apiEnabled) {
-            return res.status(503).json({
-                success: false,
-                code: 'API_DISABLED',
-                message: 'API is currently disabled',
-                data: null
-            });
-        }
-        
-        const banlist = await getBanlist();
-        if (isHWIDBanned(hwid, banlist)) {
-            return res.status(403).json({
-                success: false,
-                code: 'BANNED',
-                message: 'Hardware ID is banned',
-                data: { hwid }
-            });
+function leaseExpiry(from, settings) {
+    const minutes = parseInt(settings.leaseTimeoutMinutes) || DEFAULT_SETTINGS.leaseTimeoutMinutes;
+    return new Date(from.getTime() + minutes * 60 * 1000).toISOString();
+}
+
+// Lapsed leases are dropped first; a machine that already holds a lease gets it renewed
+async function checkoutLease(licenseKey, hwid, { ip, clientVersion, settings }) {
+    return store.runTransaction(async tx => {
+        const lic = await tx.get('licenses', licenseKey);
+        if (!lic) return { code: 'INVALID_LICENSE' };
+        if (!lic.floating) return { code: 'NOT_FLOATING', lic };
+
+        const now = new Date();
+        const leases = getActiveLeases(lic, now.getTime());
+        const seats = getSeatLimit(lic, settings);
+        const existing = leases.find(l => l.hwid === hwid);
+        if (!existing && leases.length >= seats) {
+            return { code: 'NO_SEATS_AVAILABLE', lic, seats, leases };
         }
-        
-        const lic = await getLicense(license);
-        if (!lic) {
-            return res.status(404).json({
-                success: false,
-                code: 'INVALID_LICENSE',
-                message: 'License not found',
-                data: { license }
-            });
-        }
-        
-        if (isLicenseExpired(lic)) {
-            return res.status(410).json({
-                success: false,
-                code: 'EXPIRED',
-                message: 'License has expired',
-                data: { 
-                    license,
-                    expiry: lic.expiry 
-                }
-            });
-        }
-        
-        if (lic.hwid && lic.hwid !== hwid) {
-            return res.status(409).json({
-                success: false,
-                code: 'ALREADY_REGISTERED',
-                message: 'License is already registered to another device',
-                data: { 
-                    license,
-                    registered_hwid: lic.hwid 
-                }
-            });
-        }
-        
-        // Check if HWID is used by another license
-        const allLicenses = await getLicenses();
-        for (const [licKey, licData] of Object.entries(allLicenses)) {
-            if (licData.hwid === hwid && licKey !== license) {
-                return res.status(409).json({
-                    success: false,
-                    code: 'HWID_IN_USE',
-                    message: 'Hardware ID is already registered to another license',
-                    data: { 
-                        hwid,
-                        existing_license: licKey 
-                    }
-                });
+
+        const lease = {
+            id: existing ? existing.id : crypto.randomBytes(12).toString('hex'),
+            hwid,
+            ip,
+            ...(clientVersion && { clientVersion }),
+            checkedOutAt: existing ? existing.checkedOutAt : now.toISOString(),
+            lastHeartbeat: now.toISOString(),
+            expiresAt: leaseExpiry(now, settings)
+        };
+        const updatedLic = {
+            ...lic,
+            leases: [...leases.filter(l => l !== existing), lease],
+            activatedAt: lic.activatedAt || now.toISOString(),
+            expiry: computeActivationExpiry(lic, now.toISOString()),
+            lastValidated: now.toISOString()
+        };
+
+        tx.set('licenses', licenseKey, updatedLic);
+        return { code: 'SUCCESS', lic: updatedLic, seats, lease };
+    });
+}
+
+// Extends a live lease held by `hwid`; null when it was released or has already lapsed
+async function renewLease(licenseKey, leaseId, hwid, settings) {
+    return store.runTransaction(async tx => {
+        const lic = await tx.get('licenses', licenseKey);
+        const now = new Date();
+        const leases = lic ? getActiveLeases(lic, now.getTime()) : [];
+        const lease = leases.find(l => l.id === leaseId && l.hwid === hwid);
+        if (!lease) return null;
+
+        const renewed = { ...lease, lastHeartbeat: now.toISOString(), expiresAt: leaseExpiry(now, settings) };
+        tx.set('licenses', licenseKey, {
+            ...lic,
+            leases: leases.map(l => l === lease ? renewed : l),
+            lastValidated: now.toISOString()
+        });
+        return renewed;
+    });
+}
+
+// Returns the released lease, or null when no live lease has that id. Clients pass their
+// `hwid` so only the machine holding a lease can give it up; admins leave it out.
+async function releaseLease(licenseKey, leaseId, hwid = null) {
+    return store.runTransaction(async tx => {
+        const lic = await tx.get('licenses', licenseKey);
+        const leases = lic ? getActiveLeases(lic) : [];
+        const lease = leases.find(l => l.id === leaseId && (!hwid || l.hwid === hwid));
+        if (!lease) return null;
+
+        tx.set('licenses', licenseKey, { ...lic, leases: leases.filter(l => l !== lease) });
+        return lease;
+    });
+}
+
+// NEW: Trials (one per HWID ever, optionally one per IP)
+function trialIpId(ip) {
+    return crypto.createHash('sha256').update(`ip:${ip}`).digest('hex');
+}
+
+async function getTrials() {
+    try {
+        return await store.list('trials', { orderBy: 'issuedAt', direction: 'desc' });
+    } catch (error) {
+        console.error('Error getting trials:', error);
+        return [];
+    }
+}
+
+async function issueTrialLicense(hwid, { ip, deviceInfo, productId = null, settings }) {
+    const onePerIp = settings.trialOnePerIp && ip;
+    return store.runTransaction(async tx => {
+        const trialId = hwidIndexId(hwid);
+        const previous = await tx.get('trials', trialId);
+        if (previous) return { code: 'TRIAL_ALREADY_USED', trial: previous };
+
+        const ipTrial = onePerIp ? await tx.get('trialIps', trialIpId(ip)) : null;
+        if (ipTrial) return { code: 'TRIAL_ALREADY_USED', trial: ipTrial };
+
+        const owner = await tx.get('hwidIndex', hwidIndexId(hwid));
+        if (owner) return { code: 'HWID_IN_USE', existingLicense: owner.license };
+
+        const now = new Date().toISOString();
+        const days = Math.max(1, parseInt(settings.trialDays) || 1);
+        const license = generateSecureLicenseKey('TRIAL');
+        const lic = {
+            ...buildLicenseData({
+                expiry: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+                plan: settings.trialPlan || null,
+                productId,
+                notes: 'Trial',
+                createdBy: 'trial'
+            }),
+            ...deviceFields([{ hwid, activatedAt: now, lastSeen: now, ip, deviceInfo: deviceInfo || 'Unknown' }]),
+            trial: true,
+            lastValidated: now,
+            activationIP: ip,
+            history: [{ action: "TRIAL_ISSUED", date: now, details: hwid, ip }]
+        };
+        const trial = { hwid, ip, license, issuedAt: now, expiry: lic.expiry, convertedTo: null };
+
+        tx.set('licenses', license, lic);
+        tx.set('hwidIndex', hwidIndexId(hwid), hwidIndexEntry(hwid, license));
+        tx.set('trials', trialId, trial);
+        if (onePerIp) tx.set('trialIps', trialIpId(ip), trial);
+        return { code: 'TRIAL_ISSUED', license, lic };
+    });
+}
+
+// Issues a paid key and moves the trial's devices over to it
+async function convertTrialLicense(trialKey, paidKey, paidData, adminUser) {
+    return store.runTransaction(async tx => {
+        const trialLic = await tx.get('licenses', trialKey);
+        if (!trialLic || !trialLic.trial || trialLic.convertedTo) return null;
+
+        const devices = getLicenseDevices(trialLic);
+        const owners = await Promise.all(devices.map(d => tx.get('hwidIndex', hwidIndexId(d.hwid))));
+        const trials = await Promise.all(devices.map(d => tx.get('trials', hwidIndexId(d.hwid))));
+
+        const now = new Date().toISOString();
+        const paidLic = {
+            ...paidData,
+            ...deviceFields(devices),
+            expiry: devices.length ? computeActivationExpiry(paidData, now) : paidData.expiry,
+            lastValidated: trialLic.lastValidated || null,
+            history: [{ action: "CONVERTED_FROM_TRIAL", date: now, details: trialKey, admin: adminUser }]
+        };
+
+        tx.set('licenses', paidKey, paidLic);
+        tx.set('licenses', trialKey, {
+            ...trialLic,
+            ...deviceFields([]),
+            convertedTo: paidKey,
+            history: [...(trialLic.history || []), {
+                action: "TRIAL_CONVERTED",
+                date: now,
+                details: paidKey,
+                admin: adminUser
+            }]
+        });
+        devices.forEach((device, i) => {
+            if (owners[i] && owners[i].license === trialKey) {
+                tx.set('hwidIndex', hwidIndexId(device.hwid), hwidIndexEntry(device.hwid, paidKey));
+            }
+            if (trials[i] && trials[i].license === trialKey) {
+                tx.set('trials', hwidIndexId(device.hwid), { ...trials[i], convertedTo: paidKey, convertedAt: now });
+            }
+        });
+        return paidLic;
+    });
+}
+
+// NEW: Plans & Feature Entitlements
+// Modules of the desktop optimizer that a plan can unlock
+const FEATURE_CATALOG = {
+    junkCleaner: 'Junk File Cleaner',
+    startupManager: 'Startup Manager',
+    registryCleaner: 'Registry Cleaner',
+    driverUpdater: 'Driver Updater',
+    scheduledScans: 'Scheduled Scans',
+    gameBooster: 'Game Booster'
+};
+
+// Used until plans have been edited in the dashboard
+const DEFAULT_PLANS = {
+    basic: {
+        name: 'Basic',
+        features: ['junkCleaner', 'startupManager']
+    },
+    pro: {
+        name: 'Pro',
+        features: Object.keys(FEATURE_CATALOG)
+    }
+};
+
+async function getPlans() {
+    try {
+        const plans = await store.getAll('plans');
+        return Object.keys(plans).length ? plans : DEFAULT_PLANS;
+    } catch (error) {
+        console.error('Error getting plans:', error);
+        return DEFAULT_PLANS;
+    }
+}
+
+async function savePlan(planId, data) {
+    try {
+        // Persist the defaults alongside the first edit so they don't vanish
+        const existing = await store.getAll('plans');
+        if (!Object.keys(existing).length) {
+            for (const [id, plan] of Object.entries(DEFAULT_PLANS)) {
+                if (id !== planId) await store.set('plans', id, plan);
             }
         }
-        
-        // Register the license
-        const updatedLic = {
+        await store.set('plans', planId, data);
+        return true;
+    } catch (error) {
+        console.error('Error saving plan:', error);
+        return false;
+    }
+}
+
+async function deletePlan(planId) {
+    try {
+        await store.delete('plans', planId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting plan:', error);
+        return false;
+    }
+}
+
+// NEW: License Templates
+async function getLicenseTemplates() {
+    try {
+        return await store.getAll('licenseTemplates');
+    } catch (error) {
+        console.error('Error getting templates:', error);
+        return {};
+    }
+}
+
+async function saveLicenseTemplate(templateId, data) {
+    try {
+        await store.set('licenseTemplates', templateId, data, { merge: true });
+        return true;
+    } catch (error) {
+        console.error('Error saving template:', error);
+        return false;
+    }
+}
+
+async function deleteLicenseTemplate(templateId) {
+    try {
+        await store.delete('licenseTemplates', templateId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        return false;
+    }
+}
+
+// NEW: Customers
+async function getCustomers() {
+    try {
+        return await store.getAll('customers');
+    } catch (error) {
+        console.error('Error getting customers:', error);
+        return {};
+    }
+}
+
+async function getCustomer(customerId) {
+    try {
+        return await store.get('customers', customerId);
+    } catch (error) {
+        console.error('Error getting customer:', error);
+        return null;
+    }
+}
+
+async function saveCustomer(customerId, data) {
+    try {
+        await store.set('customers', customerId, data, { merge: true });
+        return true;
+    } catch (error) {
+        console.error('Error saving customer:', error);
+        return false;
+    }
+}
+
+// Case-insensitive partial match, so "@acme.com" finds everyone at that company
+async function findCustomersByEmail(query) {
+    const needle = String(query || '').trim().toLowerCase();
+    const customers = await getCustomers();
+    return Object.entries(customers).filter(([, customer]) => (customer.email || '').includes(needle));
+}
+
+// Moves a license to another customer (or to none) and records the move in its history
+async function assignLicenseCustomer(licenseKey, customerId, adminUser) {
+    return updateLicense(licenseKey, lic => {
+        const previous = lic.customerId || null;
+        if (previous === (customerId || null)) return null;
+        return {
             ...lic,
-            hwid: hwid,
-            activatedAt: new Date().toISOString(),
-            lastValidated: new Date().toISOString(),
-            activationIP: req.ip,
-            deviceInfo: req.get('User-Agent') || 'Unknown',
+            customerId: customerId || null,
             history: [...(lic.history || []), {
-                action: "REGISTER",
+                action: previous ? "CUSTOMER_CHANGED" : "CUSTOMER_ASSIGNED",
                 date: new Date().toISOString(),
-                details: hwid,
-                ip: req.ip
+                details: `${previous || 'none'} -> ${customerId || 'none'}`,
+                admin: adminUser
             }]
         };
-        
-        await saveLicense(license, updatedLic);
-        
-        return res.status(201).json({
-            success: true,
-            code: 'SUCCESS',
-            message: 'License registered successfully',
-            data: {
-                license,
-                hwid,
-                activatedAt: updatedLic.activatedAt,
-                expiry: updatedLic.expiry
-            }
-        });
-        
+    });
+}
+
+// NEW: Products (per-product shared secrets for signed API requests)
+async function getProducts() {
+    try {
+        return await store.getAll('products');
     } catch (error) {
-        console.error('Registration error:', error);
-        return res.status(500).json({
-            success: false,
-            code: 'SERVER_ERROR',
-            message: 'Internal server error',
-            data: null
-        });
+        console.error('Error getting products:', error);
+        return {};
     }
-});
+}
 
+async function saveProduct(productId, data) {
+    try {
+        await store.set('products', productId, data, { merge: true });
+        return true;
+    } catch (error) {
+        console.error('Error saving product:', error);
+        return false;
+    }
+}
 
-// NEW: Enhanced License Info API
-app.get('/api/license-info', async (req, res) => {
-    const { license } = req.query;
-    
+async function deleteProduct(productId) {
     try {
-        if (!license) {
-            return res.status(400).json({
-                success: false,
-                code: 'MISSING_LICENSE',
-                message: 'License parameter is required',
-                data: null
-            });
-        }
-        
-        const lic = await getLicense(license);
-        if (!lic) {
-            return res.status(404).json({
-                success: false,
-                code: 'LICENSE_NOT_FOUND',
-                message: 'License not found',
-                data: { license }
-            });
-        }
-        
-        const status = isLicenseExpired(lic) ? "EXPIRED" : (lic.hwid ? "ACTIVE" : "INACTIVE");
-        
-        return res.json({
-            success: true,
-            code: 'LICENSE_INFO_RETRIEVED',
-            message: 'License information retrieved successfully',
-            data: {
-                license,
-                status,
-                hwid: lic.hwid || null,
-                activatedAt: lic.activatedAt || null,
-                expiry: lic.expiry || null,
-                lastValidated: lic.lastValidated || null,
-                createdAt: lic.createdAt || null,
-                isExpired: isLicenseExpired(lic),
-                isActive: !!lic.hwid && !isLicenseExpired(lic)
-            }
-        });
-        
+        await store.delete('products', productId);
+        return true;
     } catch (error) {
-        console.error('License info error:', error);
-        return res.status(500).json({
-            success: false,
-            code: 'SERVER_ERROR',
-            message: 'Error retrieving license information',
-            data: null
-        });
+        console.error('Error deleting product:', error);
+        return false;
     }
-});
+}
 
+// NEW: Admin API keys. A key is shown once as pco_<id>_<secret>; only a SHA-256 hash
+// of the secret part is stored.
+const ADMIN_API_SCOPES = {
+    'licenses:read': 'List and look up licenses',
+    'licenses:write': 'Generate, extend, suspend, revoke, reset and delete licenses',
+    'bans:read': 'List banned HWIDs',
+    'bans:write': 'Ban and unban HWIDs',
+    'hwid-requests:read': 'List HWID reset requests',
+    'hwid-requests:write': 'Approve and deny HWID reset requests',
+    'settings:read': 'Read settings',
+    'settings:write': 'Change settings',
+    'logs:read': 'Read the activity log'
+};
 
-// NEW: HWID Reset Request API
-app.post('/api/request-hwid-reset', async (req, res) => {
-    const { license, hwid, reason } = req.body;
-    if (!license || !hwid) return res.status(400).json({ error: 'Missing license or HWID' });
-    
+async function getApiKeys() {
     try {
-        const requestId = await addHwidRequest({
-            license,
-            hwid,
-            reason: reason || 'No reason provided',
-            requestIP: req.ip,
-            userAgent: req.get('User-Agent') || 'Unknown'
-        });
-        
-        await logActivity('HWID_RESET_REQUEST', `License: ${license} HWID: ${hwid} RequestID: ${requestId}`, req.ip);
-        res.json({ status: 'REQUESTED', requestId });
+        return await store.getAll('apiKeys');
     } catch (error) {
-        console.error('HWID reset request error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        console.error('Error getting API keys:', error);
+        return {};
     }
-});
+}
 
-// --- ROOT ROUTE ---
-app.get('/', (req, res) => {
-    res.send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>PC Optimizer Pro Server</title>
-            <meta name="viewport" content="width=device-width,initial-scale=1">
-            <style>
-                body { 
-                    background: linear-gradient(135deg, #1a1d23 0%, #23272e 100%);
-                    color: #00aaee; 
-                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-                    margin: 0; 
-                    padding: 40px;
-                    min-height: 100vh;
-                    display: flex;
-                    flex-direction: column;
-                    align-items: center;
-                    justify-content: center;
-                    position: relative;
-                    overflow-x: hidden;
-                }
-                .particles { position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none; }
-                .particle { position: absolute; background: rgba(0, 170, 238, 0.6); border-radius: 50%; animation: float 6s ease-in-out infinite; }
-                .particle:nth-child(1) { width: 4px; height: 4px; left: 10%; animation-delay: 0s; }
-                .particle:nth-child(2) { width: 6px; height: 6px; left: 20%; animation-delay: 1s; }
-                .particle:nth-child(3) { width: 3px; height: 3px; left: 30%; animation-delay: 2s; }
-                .particle:nth-child(4) { width: 5px; height: 5px; left: 40%; animation-delay: 3s; }
-                .particle:nth-child(5) { width: 4px; height: 4px; left: 50%; animation-delay: 4s; }
-                .particle:nth-child(6) { width: 6px; height: 6px; left: 60%; animation-delay: 5s; }
-                .particle:nth-child(7) { width: 3px; height: 3px; left: 70%; animation-delay: 0.5s; }
-                .particle:nth-child(8) { width: 5px; height: 5px; left: 80%; animation-delay: 1.5s; }
-                .particle:nth-child(9) { width: 4px; height: 4px; left: 90%; animation-delay: 2.5s; }
-                @keyframes float { 0%, 100% { transform: translateY(100vh) rotate(0deg); opacity: 0; } 10%, 90% { opacity: 1; } 50% { transform: translateY(-10px) rotate(180deg); } }
-                .container {
-                    text-align: center;
-                    background: rgba(35, 39, 46, 0.9);
-                    padding: 60px;
-                    border-radius: 25px;
-                    box-shadow: 0 15px 50px rgba(0, 170, 238, 0.3);
-                    border: 2px solid rgba(0, 170, 238, 0.4);
-                    backdrop-filter: blur(15px);
-                    z-index: 10;
-                    position: relative;
-                    max-width: 800px;
-                }
-                h1 { 
-                    font-size: 3.5em; 
-                    margin-bottom: 20px;
-                    background: linear-gradient(45deg, #00aaee, #0099cc, #00d4ff);
-                    -webkit-background-clip: text;
-                    -webkit-text-fill-color: transparent;
-                    background-clip: text;
-                    animation: glow 2s ease-in-out infinite alternate;
-                }
-                @keyframes glow { from { filter: drop-shadow(0 0 20px rgba(0, 170, 238, 0.5)); } to { filter: drop-shadow(0 0 30px rgba(0, 170, 238, 0.8)); } }
-                .subtitle {
-                    font-size: 1.3em;
-                    margin-bottom: 40px;
-                    opacity: 0.9;
-                    font-weight: 300;
-                }
-                .admin-btn {
-                    display: inline-block;
-                    background: linear-gradient(45deg, #00aaee, #0099cc, #00d4ff);
-                    color: white;
-                    padding: 18px 40px;
-                    text-decoration: none;
-                    border-radius: 15px;
-                    font-weight: bold;
-                    font-size: 1.2em;
-                    transition: all 0.4s;
-                    box-shadow: 0 6px 25px rgba(0, 170, 238, 0.4);
-                    position: relative;
-                    overflow: hidden;
-                }
-                .admin-btn:before {
-                    content: '';
-                    position: absolute;
-                    top: 0;
-                    left: -100%;
-                    width: 100%;
-                    height: 100%;
-                    background: linear-gradient(90deg, transparent, rgba(255,255,255,0.3), transparent);
-                    transition: left 0.5s;
-                }
-                .admin-btn:hover:before { left: 100%; }
-                .admin-btn:hover {
-                    transform: translateY(-3px) scale(1.05);
-                    box-shadow: 0 10px 35px rgba(0, 170, 238, 0.6);
-                }
-                .status-grid {
-                    display: grid;
-                    grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
-                    gap: 25px;
-                    margin-top: 50px;
-                }
-                .status-card {
-                    background: rgba(0, 170, 238, 0.1);
-                    padding: 30px 20px;
-                    border-radius: 15px;
-                    border: 1px solid rgba(0, 170, 238, 0.3);
-                    transition: all 0.3s;
-                    position: relative;
-                    overflow: hidden;
-                }
-                .status-card:hover {
-                    transform: translateY(-8px);
-                    box-shadow: 0 10px 30px rgba(0, 170, 238, 0.3);
-                    border-color: rgba(0, 170, 238, 0.6);
-                }
-                .status-card h3 {
-                    margin-top: 0;
-                    color: #00aaee;
-                    font-size: 1.1em;
-                }
-                .emoji { 
-                    font-size: 2em; 
-                    display: block;
-                    margin-bottom: 10px;
-                    animation: bounce 2s infinite;
-                }
-                @keyframes bounce { 0%, 20%, 50%, 80%, 100% { transform: translateY(0); } 40% { transform: translateY(-10px); } 60% { transform: translateY(-5px); } }
-                .api-info {
-                    margin-top: 40px;
-                    padding: 25px;
-                    background: rgba(0, 170, 238, 0.05);
-                    border-radius: 15px;
-                    border: 1px solid rgba(0, 170, 238, 0.2);
-                }
-                .api-endpoint {
-                    background: rgba(0, 0, 0, 0.3);
-                    padding: 10px 15px;
-                    border-radius: 8px;
-                    font-family: 'Courier New', monospace;
-                    margin: 5px 0;
-                    font-size: 0.9em;
-                    border-left: 3px solid #00aaee;
-                }
-                .footer-info {
-                    margin-top: 40px; 
-                    opacity: 0.7;
-                    font-size: 0.9em;
-                }
-                .status-indicator {
-                    display: inline-block;
-                    width: 12px;
-                    height: 12px;
-                    border-radius: 50%;
-                    background: #00ff00;
-                    animation: pulse 2s infinite;
-                    margin-right: 8px;
-                }
-                @keyframes pulse { 0% { box-shadow: 0 0 0 0 rgba(0, 255, 0, 0.7); } 70% { box-shadow: 0 0 0 10px rgba(0, 255, 0, 0); } 100% { box-shadow: 0 0 0 0 rgba(0, 255, 0, 0); } }
-            </style>
-        </head>
-        <body>
-            <div class="particles">
-                <div class="particle"></div>
-                <div class="particle"></div>
-                <div class="particle"></div>
-                <div class="particle"></div>
-                <div class="particle"></div>
-                <div class="particle"></div>
-                <div class="particle"></div>
-                <div class="particle"></div>
-                <div class="particle"></div>
-            </div>
-            
-            <div class="container">
-                <h1>🚀 PC Optimizer Pro</h1>
-                <p class="subtitle">Enterprise License Management System</p>
-                
-                <a href="/admin" class="admin-btn">🔐 Access Admin Panel</a>
-                
-                <div class="status-grid">
-                    <div class="status-card">
-                        <span class="emoji">🔥</span>
-                        <h3>Firebase</h3>
-                        <p>Connected & Synced</p>
-                    </div>
-                    <div class="status-card">
-                        <span class="emoji">🛡️</span>
-                        <h3>Security</h3>
-                        <p>Military Grade</p>
-                    </div>
-                    <div class="status-card">
-                        <span class="emoji">⚡</span>
-                        <h3>Performance</h3>
-                        <p>Lightning Fast</p>
-                    </div>
-                    <div class="status-card">
-                        <span class="emoji">📊</span>
-                        <h3>Analytics</h3>
-                        <p>Real-time Data</p>
-                    </div>
-                </div>
-                
-                <div class="api-info">
-                    <h3 style="color: #00aaee; margin-bottom: 15px;">🔌 API Endpoints</h3>
-                    <div class="api-endpoint">GET /api/validate?license=LICENSE&hwid=HWID</div>
-                    <div class="api-endpoint">GET /api/register?license=LICENSE&hwid=HWID</div>
-                    <div class="api-endpoint">GET /api/license-info?license=LICENSE</div>
-                    <div class="api-endpoint">POST /api/request-hwid-reset</div>
-                </div>
-                
-                <div class="footer-info">
-                    <p>
-                        <span class="status-indicator"></span>
-                        Server Status: Online | Port: ${CONFIG.PORT} | Environment: ${process.env.NODE_ENV || 'development'}
-                    </p>
-                    <p style="margin-top: 10px;">
-                        🌐 Firebase Project: optimizer-ae60e | 
-                        ⏰ Uptime: ${process.uptime().toFixed(0)}s
-                    </p>
-                </div>
-            </div>
-        </body>
-        </html>
-    `);
-});
+async function getApiKey(keyId) {
+    try {
+        return await store.get('apiKeys', keyId);
+    } catch (error) {
+        console.error('Error getting API key:', error);
+        return null;
+    }
+}
 
-// --- ENHANCED ADMIN LOGIN ---
-app.get('/admin/login', (req, res) => {
-    if (req.session && req.session.user === CONFIG.ADMIN_USERNAME) {
-        return res.redirect('/admin');
+async function saveApiKey(keyId, data) {
+    try {
+        await store.set('apiKeys', keyId, data, { merge: true });
+        return true;
+    } catch (error) {
+        console.error('Error saving API key:', error);
+        return false;
     }
-    
-    res.send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>Admin Login - PC Optimizer Pro</title>
-            <meta name="viewport" content="width=device-width,initial-scale=1">
-            <style>
-                * { box-sizing: border-box; margin: 0; padding: 0; }
-                body { 
-                    background: linear-gradient(135deg, #1a1d23 0%, #23272e 100%);
-                    color: #00aaee; 
-                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-                    min-height: 100vh;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    padding: 20px;
-                    position: relative;
-                    overflow: hidden;
-                }
-                .bg-animation {
-                    position: absolute;
-                    top: 0;
-                    left: 0;
-                    width: 100%;
-                    height: 100%;
-                    background: linear-gradient(45deg, rgba(0, 170, 238, 0.1), rgba(0, 153, 204, 0.1));
-                    animation: backgroundShift 10s ease-in-out infinite alternate;
-                }
-                @keyframes backgroundShift {
-                    0% { transform: translateX(-10px) translateY(-10px); }
-                    100% { transform: translateX(10px) translateY(10px); }
-                }
-                .login-container { 
-                    width: 100%; 
-                    max-width: 450px; 
-                    z-index: 10;
-                }
-                .login-box { 
-                    background: rgba(35, 39, 46, 0.95);
-                    padding: 60px 50px;
-                    border-radius: 25px;
-                    box-shadow: 0 15px 50px rgba(0, 170, 238, 0.3);
-                    border: 2px solid rgba(0, 170, 238, 0.4);
-                    backdrop-filter: blur(15px);
-                    position: relative;
-                    overflow: hidden;
-                }
-                .login-box:before {
-                    content: '';
-                    position: absolute;
-                    top: -50%;
-                    left: -50%;
-                    width: 200%;
-                    height: 200%;
-                    background: linear-gradient(45deg, transparent, rgba(0, 170, 238, 0.1), transparent);
-                    animation: rotate 10s linear infinite;
-                    z-index: -1;
-                }
-                @keyframes rotate { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }
-                .login-box h2 { 
-                    margin-bottom: 40px; 
-                    font-weight: 600; 
-                    text-align: center; 
-                    font-size: 2.2em;
-                    background: linear-gradient(45deg, #00aaee, #0099cc, #00d4ff);
-                    -webkit-background-clip: text;
-                    -webkit-text-fill-color: transparent;
-                    background-clip: text;
-                }
-                .form-group { 
-                    margin-bottom: 30px; 
-                    position: relative;
-                }
-                .form-group label {
-                    position: absolute;
-                    top: 15px;
-                    left: 20px;
-                    color: rgba(0, 170, 238, 0.6);
-                    transition: all 0.3s;
-                    pointer-events: none;
-                    font-size: 16px;
-                }
-                input { 
-                    width: 100%; 
-                    padding: 20px; 
-                    background: rgba(26, 29, 35, 0.8);
-                    color: #00aaee; 
-                    border: 2px solid rgba(0, 170, 238, 0.3);
-                    border-radius: 12px; 
-                    font-size: 16px; 
-                    outline: none; 
-                    transition: all 0.4s;
-                }
-                input:focus, input:not(:placeholder-shown) { 
-                    border-color: #00aaee;
-                    box-shadow: 0 0 20px rgba(0, 170, 238, 0.3);
-                    transform: translateY(-2px);
-                }
-                input:focus + label, input:not(:placeholder-shown) + label {
-                    top: -10px;
-                    left: 15px;
-                    font-size: 12px;
-                    background: rgba(35, 39, 46, 0.9);
-                    padding: 2px 8px;
-                    border-radius: 4px;
-                    color: #00aaee;
-                }
-                button { 
-                    width: 100%; 
-                    padding: 20px; 
-                    background: linear-gradient(45deg, #00aaee, #0099cc, #00d4ff);
-                    color: #fff; 
-                    border: none; 
-                    border-radius: 12px; 
-                    font-weight: 600; 
-                    font-size: 18px; 
-                    cursor: pointer; 
-                    transition: all 0.4s;
-                    box-shadow: 0 6px 25px rgba(0, 170, 238, 0.4);
-                    position: relative;
-                    overflow: hidden;
-                }
-                button:before {
-                    content: '';
-                    position: absolute;
-                    top: 0;
-                    left: -100%;
-                    width: 100%;
-                    height: 100%;
-                    background: linear-gradient(90deg, transparent, rgba(255,255,255,0.3), transparent);
-                    transition: left 0.5s;
-                }
-                button:hover:before { left: 100%; }
-                button:hover { 
-                    transform: translateY(-3px);
-                    box-shadow: 0 10px 35px rgba(0, 170, 238, 0.6);
-                }
-                .info { 
-                    background: rgba(0, 170, 238, 0.15);
-                    color: #00aaee; 
-                    padding: 25px; 
-                    border-radius: 12px; 
-                    margin-bottom: 40px; 
-                    text-align: center; 
-                    border: 1px solid rgba(0, 170, 238, 0.3);
-                    animation: pulse-info 3s ease-in-out infinite alternate;
-                }
-                @keyframes pulse-info { 0% { box-shadow: 0 0 20px rgba(0, 170, 238, 0.2); } 100% { box-shadow: 0 0 30px rgba(0, 170, 238, 0.4); } }
-                .back-link {
-                    text-align: center;
-                    margin-top: 25px;
-                }
-                .back-link a {
-                    color: #00aaee;
-                    text-decoration: none;
-                    opacity: 0.8;
-                    transition: all 0.3s;
-                    font-weight: 500;
-                }
-                .back-link a:hover {
-                    opacity: 1;
-                    text-shadow: 0 0 10px rgba(0, 170, 238, 0.5);
-                }
-                .login-attempts {
-                    text-align: center;
-                    margin-top: 15px;
-                    font-size: 0.85em;
-                    opacity: 0.7;
-                }
-            </style>
-        </head>
-        <body>
-            <div class="bg-animation"></div>
-            <div class="login-container">
-                <div class="login-box">
-                    <div class="info">
-                        🔥 Firebase Integration Active<br>
-                        🛡️ Secure • ⚡ Fast • 📊 Real-time
-                    </div>
-                    <h2>🔐 Admin Access</h2>
-                    <form method="post" action="/admin/login">
-                        <div class="form-group">
-                            <input name="username" type="text" placeholder=" " required autocomplete="username">
-                            <label>Username</label>
-                        </div>
-                        <div class="form-group">
-                            <input name="password" type="password" placeholder=" " required autocomplete="current-password">
-                            <label>Password</label>
-                        </div>
-                        <button type="submit">🚀 Login to Dashboard</button>
-                    </form>
-                    <div class="login-attempts">
-                        🔒 Secure session management enabled
-                    </div>
-                    <div class="back-link">
-                        <a href="/">← Back to Home</a>
-                    </div>
-                </div>
-            </div>
-        </body>
-        </html>
-    `);
-});
+}
 
-app.post('/admin/login', async (req, res) => {
-    const { username, password } = req.body;
-    
+function hashApiKeySecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Resolves to the full key, which is never stored
+async function createApiKey(name, scopes, adminUser) {
+    const keyId = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    await saveApiKey(keyId, {
+        name,
+        scopes,
+        secretHash: hashApiKeySecret(secret),
+        createdAt: new Date().toISOString(),
+        createdBy: adminUser,
+        lastUsedAt: null,
+        revokedAt: null
+    });
+    return `pco_${keyId}_${secret}`;
+}
+
+function generateProductSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// NEW: Resellers. A reseller's ID is its portal username; keys it generates carry a forced
+// prefix and its resellerId, and count against keyQuota. keysIssued only ever grows, so
+// deleting a reseller's licenses doesn't hand the quota back.
+async function getResellers() {
     try {
-        if (username === CONFIG.ADMIN_USERNAME && password === CONFIG.ADMIN_PASSWORD) {
-            req.session.user = CONFIG.ADMIN_USERNAME;
-            await logActivity('ADMIN_LOGIN_SUCCESS', `Admin logged in`, req.ip, req.get('User-Agent'));
-            console.log('✅ Admin logged in successfully');
-            return res.redirect('/admin');
-        }
-        
-        await logActivity('ADMIN_LOGIN_FAILED', `Failed login attempt for: ${username}`, req.ip, req.get('User-Agent'));
-        console.log('❌ Failed login attempt');
-        res.send('<script>alert("Invalid credentials!");window.location="/admin/login";</script>');
+        return await store.getAll('resellers');
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).send('<script>alert("Server error!");window.location="/admin/login";</script>');
+        console.error('Error getting resellers:', error);
+        return {};
     }
-});
+}
 
-app.get('/admin/logout', async (req, res) => {
+async function getReseller(resellerId) {
     try {
-        await logActivity('ADMIN_LOGOUT', `Admin logged out`, req.ip, req.get('User-Agent'));
-        req.session.destroy(() => {
-            res.redirect('/admin/login');
-        });
+        return await store.get('resellers', resellerId);
     } catch (error) {
-        console.error('Logout error:', error);
-        req.session.destroy(() => {
-            res.redirect('/admin/login');
-        });
+        console.error('Error getting reseller:', error);
+        return null;
     }
-});
+}
 
-// --- ULTIMATE ADMIN DASHBOARD ---
-app.get('/admin', requireLogin, async (req, res) => {
+async function saveReseller(resellerId, data) {
     try {
-        const [licenses, banlist, activityLog, hwidRequests, settings, templates] = await Promise.all([
-            getLicenses(),
-            getBanlist(),
-            getActivityLog(50),
-            getHwidRequests(),
-            getSettings(),
-            getLicenseTemplates()
-        ]);
-        
-        const totalLicenses = Object.keys(licenses).length;
-        let activeLicenses = 0;
-        let expiredLicenses = 0;
-        let recentActivity = 0;
-        
-        const now = new Date();
-        const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-        
-        Object.values(licenses).forEach(license => {
-            if (license.hwid) {
-                if (isLicenseExpired(license)) {
-                    expiredLicenses++;
-                } else {
-                    activeLicenses++;
-                }
-            }
-            if (license.lastValidated && new Date(license.lastValidated) > oneDayAgo) {
-                recentActivity++;
-            }
-        });
+        await store.set('resellers', resellerId, data, { merge: true });
+        return true;
+    } catch (error) {
+        console.error('Error saving reseller:', error);
+        return false;
+    }
+}
+
+async function deleteReseller(resellerId) {
+    try {
+        await store.delete('resellers', resellerId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting reseller:', error);
+        return false;
+    }
+}
+
+function hashResellerPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, 64, (error, key) => error ? reject(error) : resolve(`${salt}:${key.toString('hex')}`));
+    });
+}
+
+async function verifyResellerPassword(password, stored) {
+    const [salt, hash] = String(stored || '').split(':');
+    if (!salt || !hash) return false;
+    const given = Buffer.from((await hashResellerPassword(password, salt)).split(':')[1], 'hex');
+    return crypto.timingSafeEqual(given, Buffer.from(hash, 'hex'));
+}
+
+// Takes `count` keys off the quota before they are generated; resolves to SUCCESS,
+// RESELLER_DISABLED or QUOTA_EXCEEDED with the keys still available
+async function reserveResellerKeys(resellerId, count) {
+    return store.runTransaction(async tx => {
+        const reseller = await tx.get('resellers', resellerId);
+        if (!reseller || !reseller.active) return { code: 'RESELLER_DISABLED' };
         
-        // Generate various UI components (truncated for brevity)
-        const licenseRows = Object.entries(licenses).map(([key, val]) => `
-            <tr>
-                <td class="license-key">
-                    <div class="license-info">
-                        <span class="key">${key}</span>
-                        <small class="created">${val.createdAt ? formatTimeAgo(val.createdAt) : 'Unknown'}</small>
-                    </div>
-                </td>
-                <td class="hwid">${val.hwid || '<span class="inactive">Not Activated</span>'}</td>
-                <td>${val.expiry ? val.expiry.split('T')[0] : '<span class="never">Never</span>'}</td>
-                <td>${val.activatedAt ? val.activatedAt.replace('T', ' ').substring(0, 19) : '<span class="inactive">-</span>'}</td>
-                <td>${val.lastValidated ? formatTimeAgo(val.lastValidated) : '<span class="inactive">Never</span>'}</td>
-                <td class="status ${isLicenseExpired(val) ? 'expired' : (val.hwid ? 'active' : 'inactive')}">
-                    ${isLicenseExpired(val) ? '🔴 EXPIRED' : (val.hwid ? '🟢 ACTIVE' : '🟡 INACTIVE')}
-                </td>
-                <td class="actions">
-                    <div class="action-buttons">
-                        <button onclick="viewLicenseHistory('${key}')" class="btn btn-info" title="View History">📖</button>
-                        <form style="display:inline;" method="post" action="/admin/reset-hwid">
-                            <input type="hidden" name="license" value="${key}">
-                            <button type="submit" class="btn btn-warning" title="Reset HWID">↻</button>
-                        </form>
-                        <form style="display:inline;" method="post" action="/admin/delete-license">
-                            <input type="hidden" name="license" value="${key}">
-                            <button type="submit" class="btn btn-danger" onclick="return confirm('Are you sure?')" title="Delete">🗑️</button>
-                        </form>
-                    </div>
-                </td>
-            </tr>
-        `).join('');
+        const available = reseller.keyQuota - (reseller.keysIssued || 0);
+        if (count > available) return { code: 'QUOTA_EXCEEDED', available: Math.max(0, available) };
         
-        const activityRows = activityLog.slice(0, 20).map(entry => `
+        tx.set('resellers', resellerId, { ...reseller, keysIssued: (reseller.keysIssued || 0) + count });
+        return { code: 'SUCCESS', available: available - count };
+    });
+}
+
+async function releaseResellerKeys(resellerId, count) {
+    return store.runTransaction(async tx => {
+        const reseller = await tx.get('resellers', resellerId);
+        if (!reseller) return;
+        tx.set('resellers', resellerId, { ...reseller, keysIssued: Math.max(0, (reseller.keysIssued || 0) - count) });
+    });
+}
+
+function getResellerUsage(resellerId, reseller, licenses, hwidRequests) {
+    const own = Object.entries(licenses).filter(([, lic]) => lic.resellerId === resellerId);
+    const ownKeys = new Set(own.map(([key]) => key));
+    return {
+        keysIssued: reseller.keysIssued || 0,
+        keyQuota: reseller.keyQuota,
+        licenses: own.length,
+        active: own.filter(([, lic]) => getLicenseState(lic) === 'active' && !isLicenseExpired(lic)).length,
+        activated: own.filter(([, lic]) => getLicenseDevices(lic).length > 0).length,
+        devices: own.reduce((sum, [, lic]) => sum + getLicenseDevices(lic).length, 0),
+        pendingRequests: hwidRequests.filter(request => request.status === 'pending' && ownKeys.has(request.license)).length
+    };
+}
+
+// Records a request nonce; false when it was already used within its lifetime
+async function claimRequestNonce(productId, nonce, ttlSeconds) {
+    const id = crypto.createHash('sha256').update(`${productId}:${nonce}`).digest('hex');
+    const now = Date.now();
+    const fresh = await store.runTransaction(async tx => {
+        const seen = await tx.get('apiNonces', id);
+        if (seen && new Date(seen.expiresAt).getTime() > now) return false;
+        tx.set('apiNonces', id, { productId, expiresAt: new Date(now + ttlSeconds * 1000).toISOString() });
+        return true;
+    });
+    purgeExpiredDocs('apiNonces');
+    return fresh;
+}
+
+// Nonces and challenges are useless once expired; sweep each collection every few minutes
+const lastPurge = {};
+async function purgeExpiredDocs(collection) {
+    if (Date.now() - (lastPurge[collection] || 0) < 10 * 60 * 1000) return;
+    lastPurge[collection] = Date.now();
+    try {
+        const expired = await store.list(collection, { where: [['expiresAt', '<', new Date().toISOString()]], limit: 500 });
+        await Promise.all(expired.map(doc => store.delete(collection, doc.id)));
+    } catch (error) {
+        console.error(`Error purging ${collection}:`, error);
+    }
+}
+
+// NEW: Device challenges (one-time values a device signs with its key to prove possession)
+const DEVICE_CHALLENGE_TTL_SECONDS = 120;
+
+async function createDeviceChallenge(license, hwid) {
+    const challenge = {
+        license,
+        hwid,
+        challenge: crypto.randomBytes(32).toString('base64url'),
+        expiresAt: new Date(Date.now() + DEVICE_CHALLENGE_TTL_SECONDS * 1000).toISOString()
+    };
+    const id = await store.add('deviceChallenges', challenge);
+    purgeExpiredDocs('deviceChallenges');
+    return { id, ...challenge };
+}
+
+// Challenges are single use: the first attempt deletes it, whether or not the signature is good
+async function consumeDeviceChallenge(challengeId, license, hwid) {
+    if (!challengeId) return null;
+    return store.runTransaction(async tx => {
+        const challenge = await tx.get('deviceChallenges', challengeId);
+        if (!challenge) return null;
+        tx.delete('deviceChallenges', challengeId);
+        const valid = challenge.license === license && challenge.hwid === hwid &&
+            new Date(challenge.expiresAt).getTime() > Date.now();
+        return valid ? challenge : null;
+    });
+}
+
+// NEW: Settings Management
+const DEFAULT_SETTINGS = {
+    maxDevicesPerLicense: 1,
+    allowHwidChange: true,
+    hwidChangeLimit: 2,
+    hwidChangePeriodDays: 30,
+    hwidChangeCooldownHours: 24,
+    // Keys generated without an expiry or duration never expire unless this is raised
+    autoExpireInDays: 0,
+    maintenanceMode: false,
+    apiEnabled: true,
+    defaultPlan: 'basic',
+    trialEnabled: false,
+    trialDays: 7,
+    trialPlan: '',
+    trialOnePerIp: false,
+    offlineGraceDays: 7,
+    leaseTimeoutMinutes: 5,
+    minClientVersion: '',
+    blockedClientVersions: [],
+    updateDownloadUrl: '',
+    requireDeviceKeys: false
+};
+
+// Lower bounds the dashboard form also enforces
+const SETTING_MINIMUMS = {
+    maxDevicesPerLicense: 1,
+    autoExpireInDays: 0,
+    trialDays: 1,
+    offlineGraceDays: 0,
+    leaseTimeoutMinutes: 1,
+    hwidChangeLimit: 0,
+    hwidChangePeriodDays: 1,
+    hwidChangeCooldownHours: 0
+};
+
+async function getSettings() {
+    try {
+        const doc = await store.get('settings', 'general');
+        // Saved settings may only hold the fields edited so far
+        return { ...DEFAULT_SETTINGS, ...(doc || {}) };
+    } catch (error) {
+        console.error('Error getting settings:', error);
+        return {};
+    }
+}
+
+async function saveSettings(settings) {
+    try {
+        await store.set('settings', 'general', settings, { merge: true });
+        return true;
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        return false;
+    }
+}
+
+// --- AUTH MIDDLEWARE ---
+function requireLogin(req, res, next) {
+    if (req.session && req.session.user === CONFIG.ADMIN_USERNAME) {
+        return next();
+    }
+    res.redirect('/admin/login');
+}
+
+// Reseller portal sessions end as soon as the account is disabled or deleted
+async function requireReseller(req, res, next) {
+    const resellerId = req.session && req.session.reseller;
+    const reseller = resellerId && await getReseller(resellerId);
+    if (reseller && reseller.active) {
+        req.reseller = { id: resellerId, ...reseller };
+        return next();
+    }
+    if (resellerId) delete req.session.reseller;
+    res.redirect('/reseller/login');
+}
+
+// --- UTILITY FUNCTIONS ---
+function isLicenseExpired(license) {
+    if (!license.expiry) return false;
+    return new Date() > new Date(license.expiry);
+}
+
+// 'revoked' is permanent; a suspension lapses on its own once `until` passes
+function getLicenseState(license) {
+    if (license.status === 'revoked') return 'revoked';
+    if (license.status === 'suspended') {
+        const until = license.suspension && license.suspension.until;
+        if (!until || new Date() < new Date(until)) return 'suspended';
+    }
+    return 'active';
+}
+
+// Error body shared by the license endpoints for suspended/revoked keys
+function licenseBlockedResponse(licenseKey, license) {
+    if (getLicenseState(license) === 'revoked') {
+        return {
+            success: false,
+            code: 'REVOKED',
+            message: 'License has been revoked',
+            data: {
+                license: licenseKey,
+                reason: (license.revocation && license.revocation.reason) || null
+            }
+        };
+    }
+    return {
+        success: false,
+        code: 'SUSPENDED',
+        message: 'License is suspended',
+        data: {
+            license: licenseKey,
+            reason: (license.suspension && license.suspension.reason) || null,
+            until: (license.suspension && license.suspension.until) || null
+        }
+    };
+}
+
+// Device keys are Ed25519 or ECDSA public keys, as SPKI PEM or base64 DER; stored as PEM
+function parseDevicePublicKey(text) {
+    const value = String(text || '').trim();
+    const key = value.includes('BEGIN PUBLIC KEY')
+        ? crypto.createPublicKey(value)
+        : crypto.createPublicKey({ key: Buffer.from(value, 'base64'), format: 'der', type: 'spki' });
+    if (!['ed25519', 'ec'].includes(key.asymmetricKeyType)) {
+        throw new Error(`Unsupported device key type: ${key.asymmetricKeyType}`);
+    }
+    return key.export({ type: 'spki', format: 'pem' });
+}
+
+// `signature` is base64 over the challenge string (SHA-256 digest for ECDSA keys)
+function verifyDeviceSignature(publicKey, challenge, signature) {
+    try {
+        const key = crypto.createPublicKey(publicKey);
+        const algorithm = key.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+        return crypto.verify(algorithm, Buffer.from(challenge), key, Buffer.from(String(signature || ''), 'base64'));
+    } catch (error) {
+        return false;
+    }
+}
+
+// Numeric dotted comparison ("2.10.0" > "2.9.1"); missing parts count as 0. A prerelease
+// sorts before its release ("2.4.0-beta.2" < "2.4.0") and its dot-separated identifiers
+// compare as in semver; "+build" metadata is ignored.
+function compareVersions(a, b) {
+    const parse = version => {
+        const [core, ...pre] = String(version).split('+')[0].split('-');
+        return { parts: core.split('.').map(n => parseInt(n) || 0), pre: pre.length ? pre.join('-').split('.') : [] };
+    };
+    const va = parse(a);
+    const vb = parse(b);
+    for (let i = 0; i < Math.max(va.parts.length, vb.parts.length); i++) {
+        if ((va.parts[i] || 0) !== (vb.parts[i] || 0)) return (va.parts[i] || 0) - (vb.parts[i] || 0);
+    }
+    if (!va.pre.length || !vb.pre.length) return vb.pre.length - va.pre.length;
+    
+    for (let i = 0; i < Math.max(va.pre.length, vb.pre.length); i++) {
+        const x = va.pre[i];
+        const y = vb.pre[i];
+        if (x === undefined || y === undefined) return x === undefined ? -1 : 1;
+        if (x === y) continue;
+        const xNumeric = /^\d+$/.test(x);
+        const yNumeric = /^\d+$/.test(y);
+        if (xNumeric && yNumeric) return Number(x) - Number(y);
+        if (xNumeric !== yNumeric) return xNumeric ? -1 : 1;
+        return x < y ? -1 : 1;
+    }
+    return 0;
+}
+
+// UPDATE_REQUIRED body for a blocked or too old client, or null when it may proceed.
+// Builds that send no version predate version gating, so once a minimum version is set
+// they count as too old; without one they are let through.
+function clientVersionResponse(version, settings) {
+    if (!version && !settings.minClientVersion) return null;
+    
+    const blocked = !!version && (settings.blockedClientVersions || []).includes(version);
+    const outdated = settings.minClientVersion && (!version || compareVersions(version, settings.minClientVersion) < 0);
+    if (!blocked && !outdated) return null;
+    
+    return {
+        success: false,
+        code: 'UPDATE_REQUIRED',
+        message: blocked ? 'This client version has been withdrawn, please update' : 'This client version is no longer supported, please update',
+        data: {
+            version: version || null,
+            minVersion: settings.minClientVersion || null,
+            downloadUrl: settings.updateDownloadUrl || null
+        }
+    };
+}
+
+function deviceKeyRequiredResponse(licenseKey, hwid) {
+    return {
+        success: false,
+        code: 'DEVICE_KEY_REQUIRED',
+        message: 'Devices must be activated through the challenge-response handshake',
+        data: { license: licenseKey, hwid }
+    };
+}
+
+function floatingLicenseResponse(licenseKey) {
+    return {
+        success: false,
+        code: 'FLOATING_LICENSE',
+        message: 'Floating licenses are used through lease checkout, not device registration',
+        data: { license: licenseKey }
+    };
+}
+
+// Public responses only show the tail of a registered HWID: knowing the full HWID of a
+// machine is what entitles a caller to move the license off it (/api/move-license)
+function maskHwid(hwid) {
+    if (!hwid) return null;
+    return hwid.length > 8 ? `****${hwid.slice(-4)}` : '****';
+}
+
+function isHWIDBanned(hwid, banlist) {
+    return banlist.includes(hwid);
+}
+
+// Licenses created before multi-seat support only carry a single `hwid`
+function getLicenseDevices(license) {
+    if (Array.isArray(license.devices)) return license.devices;
+    if (!license.hwid) return [];
+    return [{
+        hwid: license.hwid,
+        activatedAt: license.activatedAt || null,
+        lastSeen: license.lastValidated || null,
+        ip: license.activationIP || null,
+        deviceInfo: license.deviceInfo || 'Unknown'
+    }];
+}
+
+// Keeps the legacy `hwid`/`activatedAt` fields pointing at the first seat
+function deviceFields(devices) {
+    return {
+        devices,
+        hwid: devices.length ? devices[0].hwid : '',
+        activatedAt: devices.length ? devices[0].activatedAt : ''
+    };
+}
+
+function getSeatLimit(license, settings) {
+    return parseInt(license.maxDevices) || parseInt(settings.maxDevicesPerLicense) || 1;
+}
+
+// Duration-based licenses start counting on first activation
+function computeActivationExpiry(license, activatedAt) {
+    if (license.expiry || !license.durationDays) return license.expiry || null;
+    return new Date(new Date(activatedAt).getTime() + license.durationDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Adds `days` (counted from today if already expired) or sets a new `expiry` date.
+// Returns null when there is nothing to extend, e.g. a license that never expires.
+function extendLicenseData(license, { days, expiry }, adminUser) {
+    const now = new Date();
+    const update = {};
+    
+    if (expiry) {
+        update.expiry = new Date(expiry).toISOString();
+        update.durationDays = null;
+    } else if (days > 0 && license.expiry) {
+        const base = Math.max(now.getTime(), new Date(license.expiry).getTime());
+        update.expiry = new Date(base + days * 24 * 60 * 60 * 1000).toISOString();
+    } else if (days > 0 && license.durationDays) {
+        update.durationDays = license.durationDays + days;
+    } else {
+        return null;
+    }
+    
+    return {
+        ...license,
+        ...update,
+        history: [...(license.history || []), {
+            action: expiry ? "EXPIRY_SET" : "EXTENDED",
+            date: now.toISOString(),
+            details: `${formatExpiry(license)} -> ${formatExpiry({ ...license, ...update })}`,
+            admin: adminUser
+        }]
+    };
+}
+
+function formatExpiry(license) {
+    if (license.expiry) return license.expiry.split('T')[0];
+    if (license.durationDays) return `${license.durationDays} days after activation`;
+    return 'Never';
+}
+
+// Status changes resolve to the updated license, or null when it doesn't exist or
+// the change doesn't apply (revocation is permanent; only suspensions can be lifted)
+async function suspendLicense(licenseKey, { reason, until }, adminUser) {
+    return updateLicense(licenseKey, lic => {
+        if (getLicenseState(lic) === 'revoked') return null;
+        const suspension = {
+            reason: reason || 'No reason provided',
+            until: until ? new Date(until).toISOString() : null,
+            by: adminUser,
+            at: new Date().toISOString()
+        };
+        return {
+            ...lic,
+            status: 'suspended',
+            suspension,
+            history: [...(lic.history || []), {
+                action: "SUSPENDED",
+                date: suspension.at,
+                details: `${suspension.reason}${suspension.until ? ` (until ${suspension.until.split('T')[0]})` : ''}`,
+                admin: adminUser
+            }]
+        };
+    });
+}
+
+async function revokeLicense(licenseKey, reason, adminUser) {
+    return updateLicense(licenseKey, lic => {
+        const revocation = {
+            reason: reason || 'No reason provided',
+            by: adminUser,
+            at: new Date().toISOString()
+        };
+        return {
+            ...lic,
+            status: 'revoked',
+            revocation,
+            history: [...(lic.history || []), {
+                action: "REVOKED",
+                date: revocation.at,
+                details: revocation.reason,
+                admin: adminUser
+            }]
+        };
+    });
+}
+
+async function reinstateLicense(licenseKey, reason, adminUser) {
+    return updateLicense(licenseKey, lic => {
+        if (lic.status !== 'suspended') return null;
+        return {
+            ...lic,
+            status: 'active',
+            suspension: null,
+            history: [...(lic.history || []), {
+                action: "REINSTATED",
+                date: new Date().toISOString(),
+                details: reason || 'No reason provided',
+                admin: adminUser
+            }]
+        };
+    });
+}
+
+// Deletes the license and frees its HWIDs in the index; resolves to the deleted data
+async function removeLicense(licenseKey) {
+    const lic = await getLicense(licenseKey);
+    if (!lic) return null;
+    await deleteLicense(licenseKey);
+    for (const { hwid } of getLicenseDevices(lic)) {
+        await unindexHwid(hwid, licenseKey);
+    }
+    return lic;
+}
+
+// Signed proof of a valid license the client can check offline until graceUntil
+// Offline activations never check in again, so their token lives as long as the license
+// `until` caps the token further; floating licenses pass their lease expiry so a token
+// never outlives the lease it was issued under
+function issueLicenseToken(licenseKey, license, hwid, settings, plans, { offline = false, until = null } = {}) {
+    const now = new Date();
+    let graceUntil = license.expiry ? new Date(license.expiry) : null;
+    if (!offline) {
+        const graceDays = Math.max(0, parseInt(settings.offlineGraceDays) || 0);
+        const graceWindow = new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000);
+        if (!graceUntil || graceWindow < graceUntil) graceUntil = graceWindow;
+    }
+    if (until && (!graceUntil || new Date(until) < graceUntil)) graceUntil = new Date(until);
+    
+    return signToken({
+        license: licenseKey,
+        hwid,
+        expiry: license.expiry || null,
+        plan: getLicensePlan(license, settings),
+        entitlements: getEntitlements(license, plans, settings),
+        issuedAt: now.toISOString(),
+        graceUntil: graceUntil ? graceUntil.toISOString() : null,
+        offline,
+        iat: Math.floor(now.getTime() / 1000),
+        ...(graceUntil && { exp: Math.floor(graceUntil.getTime() / 1000) })
+    });
+}
+
+// Activation request blobs are base64 (or plain) JSON holding at least license and hwid
+function parseActivationRequest(text) {
+    const raw = String(text || '').trim();
+    if (!raw) return null;
+    
+    for (const candidate of [raw, Buffer.from(raw, 'base64').toString('utf8')]) {
+        try {
+            const request = JSON.parse(candidate);
+            if (request && typeof request.license === 'string' && typeof request.hwid === 'string') {
+                return request;
+            }
+        } catch (e) {
+            // try the next encoding
+        }
+    }
+    return null;
+}
+
+function getLicensePlan(license, settings) {
+    return license.plan || settings.defaultPlan;
+}
+
+function getEntitlements(license, plans, settings) {
+    const plan = plans[getLicensePlan(license, settings)];
+    return plan ? plan.features.filter(feature => FEATURE_CATALOG[feature]) : [];
+}
+
+// Template values are defaults; anything filled in on the form wins.
+// A fixed expiry date takes precedence over a duration, and without either
+// the license lasts autoExpireInDays from activation (0 = never expires).
+function buildLicenseData(options, template = null, settings = {}) {
+    const defaults = template || {};
+    const expiry = options.expiry ? new Date(options.expiry).toISOString() : null;
+    const durationDays = expiry ? null : (
+        parseInt(options.durationDays) || parseInt(defaults.durationDays) || parseInt(settings.autoExpireInDays) || null
+    );
+    
+    return {
+        hwid: '',
+        activatedAt: '',
+        expiry,
+        durationDays,
+        maxDevices: parseInt(options.seats) || parseInt(defaults.seats) || null,
+        floating: options.floating === 'on' || options.floating === true || !!defaults.floating,
+        plan: options.plan || defaults.plan || null,
+        notes: options.notes || defaults.notes || '',
+        templateId: template ? options.templateId : null,
+        customerId: options.customerId || null,
+        productId: options.productId || null,
+        devices: [],
+        history: [],
+        createdAt: new Date().toISOString(),
+        createdBy: options.createdBy,
+        ...(options.batchId ? { batchId: options.batchId } : {}),
+        ...(options.resellerId ? { resellerId: options.resellerId } : {})
+    };
+}
+
+// --- LICENSE KEY FORMAT ---
+const LICENSE_KEY_ALPHABET = CONFIG.LICENSE_KEY_ALPHABET;
+
+// Luhn mod N check character, catching any single wrong character and most swaps of neighbours
+function licenseKeyCheckChar(payload) {
+    const n = LICENSE_KEY_ALPHABET.length;
+    let factor = 2;
+    let sum = 0;
+    for (let i = payload.length - 1; i >= 0; i--) {
+        const addend = factor * LICENSE_KEY_ALPHABET.indexOf(payload[i]);
+        sum += Math.floor(addend / n) + (addend % n);
+        factor = factor === 2 ? 1 : 2;
+    }
+    return LICENSE_KEY_ALPHABET[(n - (sum % n)) % n];
+}
+
+function isValidLicenseKeyBody(body) {
+    if (![...body].every(char => LICENSE_KEY_ALPHABET.includes(char))) return false;
+    return licenseKeyCheckChar(body.slice(0, -1)) === body.slice(-1);
+}
+
+function formatLicenseKey(prefix, body) {
+    const size = CONFIG.LICENSE_KEY_GROUP_SIZE;
+    const groups = body.match(new RegExp(`.{1,${size}}`, 'g'));
+    return [prefix, ...groups].filter(Boolean).join('-');
+}
+
+function generateSecureLicenseKey(prefix = 'LIC') {
+    const length = CONFIG.LICENSE_KEY_GROUPS * CONFIG.LICENSE_KEY_GROUP_SIZE;
+    let payload = '';
+    for (let i = 0; i < length - 1; i++) {
+        payload += LICENSE_KEY_ALPHABET[crypto.randomInt(LICENSE_KEY_ALPHABET.length)];
+    }
+    return formatLicenseKey(prefix, payload + licenseKeyCheckChar(payload));
+}
+
+// Checksummed keys are matched regardless of case, spacing and dashes;
+// anything else (legacy and custom keys) is only trimmed
+function normalizeLicenseKey(key) {
+    const raw = String(key || '').trim();
+    const compact = raw.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const length = CONFIG.LICENSE_KEY_GROUPS * CONFIG.LICENSE_KEY_GROUP_SIZE;
+    const body = compact.slice(-length);
+    if (body.length === length && isValidLicenseKeyBody(body)) {
+        return formatLicenseKey(compact.slice(0, -length), body);
+    }
+    return raw;
+}
+
+// A key laid out like a generated one that fails its checksum is a typo, unless it is on
+// file: keys issued before checksums (or under another alphabet) can share the layout.
+// Legacy keys with a different layout pass through.
+async function isMalformedLicenseKey(key) {
+    if (!key || key.length > 100 || /[\s\u0000-\u001f]/.test(key)) return true;
+    
+    const groups = key.toUpperCase().split('-').slice(-CONFIG.LICENSE_KEY_GROUPS);
+    const keyLike = groups.length === CONFIG.LICENSE_KEY_GROUPS &&
+        groups.every(group => group.length === CONFIG.LICENSE_KEY_GROUP_SIZE && /^[A-Z0-9]+$/.test(group));
+    if (!keyLike || isValidLicenseKeyBody(groups.join(''))) return false;
+    return !(await getLicense(key));
+}
+
+function malformedLicenseResponse(license) {
+    return {
+        success: false,
+        code: 'MALFORMED_LICENSE',
+        message: 'License key is malformed',
+        data: { license }
+    };
+}
+
+// Everything a customer, reseller or query string controls goes through this before it is
+// written into a page
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+function formatTimeAgo(date) {
+    const now = new Date();
+    const diff = now - new Date(date);
+    const minutes = Math.floor(diff / 60000);
+    const hours = Math.floor(diff / 3600000);
+    const days = Math.floor(diff / 86400000);
+    
+    if (days > 0) return `${days}d ago`;
+    if (hours > 0) return `${hours}h ago`;
+    if (minutes > 0) return `${minutes}m ago`;
+    return 'Just now';
+}
+
+// --- API SPECIFICATION ---
+// API_OPERATIONS drives both the OpenAPI document served at /api/openapi.json and request
+// validation, so the two can't drift apart. Field schemas are OpenAPI schema objects.
+const ID_PATTERN = '^[A-Za-z0-9_-]{1,64}$';
+
+const API_FIELDS = {
+    license: { type: 'string', minLength: 1, maxLength: 100, description: 'License key' },
+    // Any characters: licenses were registered to unfiltered HWIDs long before validation,
+    // so pages escape HWIDs instead
+    hwid: { type: 'string', minLength: 1, maxLength: 256, description: 'Hardware ID' },
+    oldHwid: { type: 'string', minLength: 1, maxLength: 256, description: 'Hardware ID of the machine being replaced' },
+    version: { type: 'string', maxLength: 32, pattern: '^[0-9]+(\\.[0-9]+)*([-+][0-9A-Za-z.-]+)?$', description: 'Client version, e.g. 2.4.1' },
+    reason: { type: 'string', maxLength: 500 },
+    leaseId: { type: 'string', pattern: ID_PATTERN, description: 'Lease ID from checkout' },
+    challengeId: { type: 'string', pattern: ID_PATTERN, description: 'Challenge ID from /api/device/challenge' },
+    signature: { type: 'string', maxLength: 1024, pattern: '^[A-Za-z0-9+/_=-]+$', description: 'Base64 signature of the challenge' },
+    publicKey: { type: 'string', maxLength: 4096, description: 'Device public key, SPKI PEM or base64 DER' },
+    expiry: { type: 'string', format: 'date-time', description: 'Fixed expiry date (ISO 8601)' },
+    until: { type: 'string', format: 'date-time', description: 'End of the suspension (ISO 8601)' },
+    durationDays: { type: 'integer', minimum: 1, maximum: 36500, description: 'Days of validity counted from first activation' },
+    days: { type: 'integer', minimum: 1, maximum: 36500 },
+    seats: { type: 'integer', minimum: 1, maximum: 10000 },
+    count: { type: 'integer', minimum: 1, maximum: 100 },
+    prefix: { type: 'string', pattern: '^[A-Z0-9]{1,12}$', description: 'Upper-case, as keys are looked up upper-cased' },
+    plan: { type: 'string', pattern: ID_PATTERN },
+    templateId: { type: 'string', pattern: ID_PATTERN },
+    customerId: { type: 'string', pattern: ID_PATTERN },
+    productId: { type: 'string', pattern: ID_PATTERN },
+    requestId: { type: 'string', pattern: ID_PATTERN, description: 'HWID reset request ID' },
+    status: { type: 'string', enum: HWID_REQUEST_STATUSES },
+    message: { type: 'string', maxLength: 500, description: 'Shown to the customer when they poll the request' },
+    floating: { type: 'boolean' },
+    notes: { type: 'string', maxLength: 1000 },
+    state: { type: 'string', enum: ['active', 'suspended', 'revoked', 'expired'] },
+    batchId: { type: 'string', pattern: '^[0-9]{1,20}$' },
+    resellerId: { type: 'string', pattern: '^[a-z0-9_-]{1,32}$' },
+    limit: { type: 'integer', minimum: 1, maximum: 1000 },
+    offset: { type: 'integer', minimum: 0 },
+    action: { type: 'string', pattern: '^[A-Z_]{1,64}$', description: 'Activity log action, e.g. LICENSE_GENERATED' }
+};
+
+const LICENSE_OPTIONS = ['license', 'expiry', 'durationDays', 'seats', 'plan', 'templateId', 'customerId', 'productId', 'floating', 'notes'];
+
+// Settings are patched field by field; types follow DEFAULT_SETTINGS. Plan names are
+// checked against the saved plans by the handler.
+const SETTING_FORMATS = {
+    minClientVersion: { ...API_FIELDS.version, description: 'Lowest client version allowed, e.g. 2.4.0' }
+};
+
+function settingsSchemas() {
+    return Object.fromEntries(Object.entries(DEFAULT_SETTINGS).map(([field, value]) => {
+        if (SETTING_FORMATS[field]) return [field, SETTING_FORMATS[field]];
+        if (Array.isArray(value)) return [field, { type: 'array', items: { type: 'string' } }];
+        if (typeof value === 'number') return [field, { type: 'integer', minimum: SETTING_MINIMUMS[field] || 0 }];
+        return [field, { type: typeof value }];
+    }));
+}
+
+// `query`, `body` and `params` list field names (or a name -> schema map). `required` only
+// documents what the handler insists on: missing fields are still answered with the
+// handler's MISSING_PARAMETERS, so existing clients see no change. `v2` adds the POST twin.
+const API_OPERATIONS = [
+    { method: 'GET', path: '/api/validate', v2: '/api/v2/validate', tag: 'License', summary: 'Validate a license on a device', query: ['license', 'hwid', 'version', 'challengeId', 'signature'], required: ['license', 'hwid'], success: [200, 'VALID'] },
+    { method: 'GET', path: '/api/register', v2: '/api/v2/register', tag: 'License', summary: 'Register a device to a license', query: ['license', 'hwid', 'version'], required: ['license', 'hwid'], success: [201, 'SUCCESS'] },
+    { method: 'GET', path: '/api/license-info', v2: '/api/v2/license-info', tag: 'License', summary: 'Look up license details', query: ['license'], required: ['license'], success: [200, 'LICENSE_INFO'] },
+    { method: 'GET', path: '/api/trial', v2: '/api/v2/trial', tag: 'License', summary: 'Issue a one-time trial license', query: ['hwid', 'version'], required: ['hwid'], success: [201, 'TRIAL_ISSUED'] },
+    { method: 'GET', path: '/api/public-keys', tag: 'License', summary: 'List the public keys that verify license tokens', success: [200, 'PUBLIC_KEYS'] },
+    { method: 'POST', path: '/api/request-hwid-reset', v2: '/api/v2/request-hwid-reset', tag: 'Devices', summary: 'Ask for an HWID reset', body: ['license', 'hwid', 'reason'], required: ['license', 'hwid'], success: [200, 'REQUESTED'], v2Success: [201, 'HWID_RESET_REQUESTED'] },
+    { method: 'POST', path: '/api/move-license', v2: '/api/v2/move-license', tag: 'Devices', summary: 'Move a license from an old machine to this one', body: ['license', 'hwid', 'oldHwid', 'version'], required: ['license', 'hwid', 'oldHwid'], success: [200, 'HWID_MOVED (or 202 HWID_CHANGE_QUEUED)'] },
+    { method: 'GET', path: '/api/hwid-reset-status', v2: '/api/v2/hwid-reset-status', tag: 'Devices', summary: 'Poll the status of an HWID reset request', query: ['requestId', 'license'], required: ['requestId', 'license'], success: [200, 'REQUEST_PENDING, REQUEST_APPROVED, REQUEST_DENIED or REQUEST_CANCELLED'] },
+    { method: 'POST', path: '/api/cancel-hwid-reset', v2: '/api/v2/cancel-hwid-reset', tag: 'Devices', summary: 'Withdraw a pending HWID reset request', body: ['requestId', 'license'], required: ['requestId', 'license'], success: [200, 'REQUEST_CANCELLED'] },
+    { method: 'POST', path: '/api/device/challenge', v2: '/api/v2/device/challenge', tag: 'Devices', summary: 'Issue a one-time challenge for a device key proof', body: ['license', 'hwid', 'version'], required: ['license', 'hwid'], success: [201, 'CHALLENGE_ISSUED'] },
+    { method: 'POST', path: '/api/device/activate', v2: '/api/v2/device/activate', tag: 'Devices', summary: 'Register a device and bind it to a device key', body: ['license', 'hwid', 'challengeId', 'publicKey', 'signature', 'version'], required: ['license', 'hwid', 'challengeId', 'publicKey', 'signature'], success: [201, 'SUCCESS'] },
+    { method: 'POST', path: '/api/lease/checkout', v2: '/api/v2/lease/checkout', tag: 'Floating', summary: 'Check out a floating license lease', body: ['license', 'hwid', 'version'], required: ['license', 'hwid'], success: [200, 'LEASE_GRANTED'] },
+    { method: 'POST', path: '/api/lease/heartbeat', v2: '/api/v2/lease/heartbeat', tag: 'Floating', summary: 'Keep a lease alive', body: ['license', 'hwid', 'leaseId'], required: ['license', 'hwid', 'leaseId'], success: [200, 'LEASE_RENEWED'] },
+    { method: 'POST', path: '/api/lease/release', v2: '/api/v2/lease/release', tag: 'Floating', summary: 'Return a lease', body: ['license', 'hwid', 'leaseId'], required: ['license', 'hwid', 'leaseId'], success: [200, 'LEASE_RELEASED'] },
+    { method: 'GET', path: '/api/v2/public-keys', tag: 'License', summary: 'List the public keys that verify license tokens', success: [200, 'PUBLIC_KEYS'] },
+    { method: 'GET', path: '/api/v2/error-codes', tag: 'Meta', summary: 'List every error code with its HTTP status', success: [200, 'ERROR_CODES'] },
+    { method: 'GET', path: '/api/openapi.json', tag: 'Meta', summary: 'This OpenAPI document', success: [200, 'OpenAPI document'] },
+    
+    { method: 'GET', path: '/api/admin/licenses', scope: 'licenses:read', summary: 'List licenses', query: ['state', 'customerId', 'productId', 'batchId', 'resellerId', 'limit', 'offset'], success: [200, 'LICENSES'] },
+    { method: 'POST', path: '/api/admin/licenses', scope: 'licenses:write', summary: 'Generate a license', body: LICENSE_OPTIONS, success: [201, 'LICENSE_GENERATED'] },
+    { method: 'POST', path: '/api/admin/licenses/bulk', scope: 'licenses:write', summary: 'Generate a batch of licenses', body: ['count', 'prefix', ...LICENSE_OPTIONS.filter(field => field !== 'license' && field !== 'expiry')], success: [201, 'LICENSES_GENERATED'] },
+    { method: 'GET', path: '/api/admin/licenses/:license', scope: 'licenses:read', summary: 'Look up a license', params: ['license'], success: [200, 'LICENSE'] },
+    { method: 'DELETE', path: '/api/admin/licenses/:license', scope: 'licenses:write', summary: 'Delete a license', params: ['license'], success: [200, 'LICENSE_DELETED'] },
+    { method: 'POST', path: '/api/admin/licenses/:license/extend', scope: 'licenses:write', summary: 'Add days or set a new expiry', params: ['license'], body: ['days', 'expiry'], success: [200, 'LICENSE_EXTENDED'] },
+    { method: 'POST', path: '/api/admin/licenses/:license/suspend', scope: 'licenses:write', summary: 'Suspend a license', params: ['license'], body: ['reason', 'until'], success: [200, 'LICENSE_SUSPENDED'] },
+    { method: 'POST', path: '/api/admin/licenses/:license/reinstate', scope: 'licenses:write', summary: 'Lift a suspension', params: ['license'], body: ['reason'], success: [200, 'LICENSE_REINSTATED'] },
+    { method: 'POST', path: '/api/admin/licenses/:license/revoke', scope: 'licenses:write', summary: 'Revoke a license for good', params: ['license'], body: ['reason'], success: [200, 'LICENSE_REVOKED'] },
+    { method: 'POST', path: '/api/admin/licenses/:license/reset-hwid', scope: 'licenses:write', summary: 'Free every seat, or the seat of one HWID', params: ['license'], body: ['hwid'], success: [200, 'HWID_RESET'] },
+    { method: 'GET', path: '/api/admin/bans', scope: 'bans:read', summary: 'List banned HWIDs', success: [200, 'BANS'] },
+    { method: 'POST', path: '/api/admin/bans', scope: 'bans:write', summary: 'Ban an HWID', body: ['hwid', 'reason'], required: ['hwid'], success: [201, 'HWID_BANNED'] },
+    { method: 'DELETE', path: '/api/admin/bans/:hwid', scope: 'bans:write', summary: 'Unban an HWID', params: ['hwid'], success: [200, 'HWID_UNBANNED'] },
+    { method: 'GET', path: '/api/admin/hwid-requests', scope: 'hwid-requests:read', summary: 'List HWID reset requests', query: ['status'], success: [200, 'HWID_REQUESTS'] },
+    { method: 'POST', path: '/api/admin/hwid-requests/:requestId/approve', scope: 'hwid-requests:write', summary: 'Approve an HWID reset request', params: ['requestId'], body: ['message'], success: [200, 'HWID_RESET_APPROVED'] },
+    { method: 'POST', path: '/api/admin/hwid-requests/:requestId/deny', scope: 'hwid-requests:write', summary: 'Deny an HWID reset request', params: ['requestId'], body: ['message'], success: [200, 'HWID_RESET_DENIED'] },
+    { method: 'GET', path: '/api/admin/settings', scope: 'settings:read', summary: 'Read settings', success: [200, 'SETTINGS'] },
+    { method: 'PATCH', path: '/api/admin/settings', scope: 'settings:write', summary: 'Change some settings', body: settingsSchemas(), exact: true, success: [200, 'SETTINGS_UPDATED'] },
+    { method: 'GET', path: '/api/admin/logs', scope: 'logs:read', summary: 'Read the activity log', query: ['action', 'limit'], success: [200, 'ACTIVITY_LOG'] }
+].flatMap(operation => operation.v2
+    ? [operation, { ...operation, method: 'POST', path: operation.v2, v2: null, query: null, body: operation.query || operation.body, success: operation.v2Success || operation.success }]
+    : [operation]);
+
+function operationFields(operation, location) {
+    const fields = operation[location] || [];
+    return Array.isArray(fields) ? fields.map(name => [name, API_FIELDS[name]]) : Object.entries(fields);
+}
+
+// Builds the express-validator chain for one field. Absent and empty values are skipped,
+// and type checks run first because standard validators would test array items one by one.
+function fieldValidator(location, name, schema) {
+    const chain = { query, body, params: param }[location](name)
+        .if(value => value !== undefined && value !== null && value !== '');
+    
+    if (schema.type === 'integer') {
+        const bounded = schema.maximum !== undefined;
+        return chain.custom(value => ['number', 'string'].includes(typeof value)).withMessage('Must be a whole number').bail()
+            .isInt({ min: schema.minimum, ...(bounded && { max: schema.maximum }) })
+            .withMessage(`Must be a whole number ${bounded ? `between ${schema.minimum} and ${schema.maximum}` : `of at least ${schema.minimum}`}`).bail()
+            .toInt();
+    }
+    if (schema.type === 'boolean') {
+        return chain.custom(value => [true, false, 'true', 'false', 'on'].includes(value)).withMessage('Must be true or false').bail()
+            .customSanitizer(value => value === true || value === 'true' || value === 'on');
+    }
+    if (schema.type === 'array') {
+        return chain.custom(value => Array.isArray(value) && value.every(item => typeof item === 'string'))
+            .withMessage('Must be a list of strings');
+    }
+    
+    chain.custom(value => typeof value === 'string').withMessage('Must be a string').bail();
+    if (schema.minLength || schema.maxLength) {
+        chain.isLength({ min: schema.minLength || 0, max: schema.maxLength }).withMessage(`Must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern) {
+        chain.matches(new RegExp(schema.pattern)).withMessage('Contains characters or a format that is not allowed');
+    }
+    if (schema.enum) {
+        chain.isIn(schema.enum).withMessage(`Must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (schema.format === 'date-time') {
+        chain.isISO8601().withMessage('Must be an ISO 8601 date');
+    }
+    return chain;
+}
+
+const API_VALIDATORS = Object.fromEntries(API_OPERATIONS.map(operation => {
+    const chains = ['query', 'body', 'params'].flatMap(location =>
+        operationFields(operation, location).map(([name, schema]) => fieldValidator(location, name, schema)));
+    const key = `${operation.method} ${operation.path}`;
+    return [key, operation.exact ? [checkExact(chains, { locations: ['body'], message: 'Is not a known field' })] : chains];
+}));
+
+// Resolves to a VALIDATION_ERROR { status, body } listing every bad field, or null. The
+// operation defaults to the route being served.
+async function validateApiRequest(req, operationKey = `${req.method} ${req.route.path}`) {
+    for (const chain of API_VALIDATORS[operationKey] || []) {
+        await chain.run(req);
+    }
+    
+    const errors = validationResult(req).array({ onlyFirstError: true }).flatMap(error => error.type === 'unknown_fields'
+        ? error.fields.map(field => ({ field: field.path, location: field.location, message: error.msg }))
+        : [{ field: error.path, location: error.location, message: error.msg }]);
+    if (!errors.length) return null;
+    
+    return {
+        status: 400,
+        body: {
+            success: false,
+            code: 'VALIDATION_ERROR',
+            message: `Invalid ${errors.map(error => error.field).join(', ')}`,
+            data: { errors }
+        }
+    };
+}
+
+function buildOpenApiDocument() {
+    const paths = {};
+    for (const operation of API_OPERATIONS) {
+        const required = operation.required || [];
+        const parameters = [
+            ...operationFields(operation, 'params').map(([name, schema]) => ({ name, in: 'path', required: true, schema })),
+            ...operationFields(operation, 'query').map(([name, schema]) => ({ name, in: 'query', required: required.includes(name), schema })),
+            ...(operation.scope ? [] : ['Timestamp', 'Nonce', 'Signature', 'ProductId'].map(name => ({ $ref: `#/components/parameters/${name}` })))
+        ];
+        const bodyFields = operationFields(operation, 'body');
+        const [status, code] = operation.success;
+        const openApiPath = operation.path.replace(/:(\w+)/g, '{$1}');
+        
+        paths[openApiPath] = {
+            ...paths[openApiPath],
+            [operation.method.toLowerCase()]: {
+                operationId: operation.method.toLowerCase() + operation.path.replace(/^\/api/, '').split(/[/.-]/)
+                    .filter(Boolean).map(part => part.startsWith(':') ? `By${part[1].toUpperCase()}${part.slice(2)}` : part[0].toUpperCase() + part.slice(1)).join(''),
+                summary: operation.summary,
+                tags: [operation.scope ? 'Admin' : operation.tag],
+                ...(operation.scope && {
+                    description: `Requires an API key with the ${operation.scope} scope.`,
+                    security: [{ adminApiKey: [] }]
+                }),
+                ...(parameters.length && { parameters }),
+                ...(bodyFields.length && {
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: Object.fromEntries(bodyFields),
+                                    ...(required.length && { required }),
+                                    ...(operation.exact && { additionalProperties: false })
+                                }
+                            }
+                        }
+                    }
+                }),
+                responses: {
+                    [status]: { description: code, content: { 'application/json': { schema: { $ref: '#/components/schemas/Envelope' } } } },
+                    400: { description: 'VALIDATION_ERROR, MISSING_PARAMETERS or another client error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Envelope' } } } },
+                    default: { description: 'Error; see /api/v2/error-codes', content: { 'application/json': { schema: { $ref: '#/components/schemas/Envelope' } } } }
+                }
+            }
+        };
+    }
+    
+    const header = (name, description) => ({ name, in: 'header', required: false, schema: { type: 'string' }, description });
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'PC Optimizer License API',
+            version: require('./package.json').version,
+            description: 'Public license API for the client (v1 GET query strings, v2 POST JSON bodies) and the key-authenticated admin API.'
+        },
+        paths,
+        components: {
+            securitySchemes: {
+                adminApiKey: { type: 'http', scheme: 'bearer', description: 'Admin API key (pco_<id>_<secret>); X-API-Key works too' }
+            },
+            parameters: {
+                Timestamp: header('X-Timestamp', 'Unix seconds; required when the license\'s product requires signed requests'),
+                Nonce: header('X-Nonce', 'Single-use random value for signed requests'),
+                Signature: header('X-Signature', 'Hex HMAC-SHA256 over METHOD\\nURL\\nTIMESTAMP\\nNONCE\\nBODY'),
+                ProductId: header('X-Product-Id', 'Product for signed calls without a license (trials)')
+            },
+            schemas: {
+                Envelope: {
+                    type: 'object',
+                    required: ['success', 'code', 'message', 'data'],
+                    properties: {
+                        success: { type: 'boolean' },
+                        code: { type: 'string', description: 'Result code; error codes are listed at /api/v2/error-codes' },
+                        message: { type: 'string' },
+                        data: { nullable: true, description: 'For VALIDATION_ERROR: { errors: [{ field, location, message }] }' }
+                    }
+                }
+            }
+        }
+    };
+}
+
+// --- WEBHOOKS ---
+// Endpoints subscribe to events by name. Each event becomes one delivery per endpoint in
+// the webhookDeliveries collection, which is the queue: the worker POSTs pending
+// deliveries and retries failures with backoff. Bodies are JSON { id, event, createdAt,
+// data }; X-Signature is hex HMAC-SHA256 over "TIMESTAMP\nBODY" with the endpoint secret
+// and X-Timestamp, the same scheme signed API responses use. Retries keep the event ID.
+const WEBHOOK_EVENTS = {
+    LICENSE_GENERATED: 'A license was generated (one event per key in bulk runs)',
+    LICENSE_REGISTERED: 'A device was registered to a license',
+    LICENSE_EXPIRED: 'A license passed its expiry date',
+    HWID_RESET_REQUEST: 'A customer asked for an HWID reset',
+    HWID_RESET_APPROVED: 'An HWID reset request was approved',
+    HWID_BANNED: 'A hardware ID was banned',
+    ADMIN_LOGIN_FAILED: 'A dashboard login failed'
+};
+const WEBHOOK_RETRY_DELAYS_SECONDS = [30, 120, 600, 1800, 7200, 21600];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+
+async function getWebhooks() {
+    try {
+        return await store.getAll('webhooks');
+    } catch (error) {
+        console.error('Error getting webhooks:', error);
+        return {};
+    }
+}
+
+async function saveWebhook(webhookId, data) {
+    try {
+        await store.set('webhooks', webhookId, data, { merge: true });
+        return true;
+    } catch (error) {
+        console.error('Error saving webhook:', error);
+        return false;
+    }
+}
+
+async function deleteWebhook(webhookId) {
+    try {
+        await store.delete('webhooks', webhookId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        return false;
+    }
+}
+
+async function getWebhookDeliveries(limit = 50) {
+    try {
+        return await store.list('webhookDeliveries', { orderBy: 'createdAt', direction: 'desc', limit });
+    } catch (error) {
+        console.error('Error getting webhook deliveries:', error);
+        return [];
+    }
+}
+
+async function addWebhookDelivery(webhookId, webhook, payload, extra = {}) {
+    const now = new Date();
+    return store.add('webhookDeliveries', {
+        webhookId,
+        url: webhook.url,
+        eventId: payload.id,
+        event: payload.event,
+        body: JSON.stringify(payload),
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now.toISOString(),
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        ...extra
+    });
+}
+
+// Queues `event` for every active endpoint subscribed to it. Never throws, so callers can
+// fire events without guarding them.
+async function queueWebhookEvent(event, data) {
+    try {
+        const webhooks = await getWebhooks();
+        const targets = Object.entries(webhooks).filter(([, webhook]) => webhook.active && (webhook.events || []).includes(event));
+        if (!targets.length) return 0;
+        
+        const payload = { id: `evt_${crypto.randomBytes(12).toString('hex')}`, event, createdAt: new Date().toISOString(), data };
+        await Promise.all(targets.map(([id, webhook]) => addWebhookDelivery(id, webhook, payload)));
+        processWebhookQueue();
+        return targets.length;
+    } catch (error) {
+        console.error(`Error queueing webhook event ${event}:`, error);
+        return 0;
+    }
+}
+
+// Takes a due delivery off the queue for a minute so two workers can't send it twice
+async function claimWebhookDelivery(deliveryId) {
+    return store.runTransaction(async tx => {
+        const delivery = await tx.get('webhookDeliveries', deliveryId);
+        const now = Date.now();
+        if (!delivery || delivery.status !== 'pending' || new Date(delivery.nextAttemptAt).getTime() > now) return null;
+        tx.set('webhookDeliveries', deliveryId, { ...delivery, nextAttemptAt: new Date(now + 60 * 1000).toISOString() });
+        return delivery;
+    });
+}
+
+async function sendWebhookDelivery(deliveryId, delivery) {
+    const webhooks = await getWebhooks();
+    const webhook = webhooks[delivery.webhookId];
+    const attempts = delivery.attempts + 1;
+    const now = new Date().toISOString();
+    let outcome;
+    
+    if (!webhook) {
+        outcome = { status: 'failed', lastError: 'Endpoint was deleted' };
+    } else {
+        try {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'PCOptimizer-Webhooks/1.0',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Id': delivery.eventId,
+                    'X-Webhook-Delivery': deliveryId,
+                    'X-Timestamp': timestamp,
+                    'X-Signature': signPayload(webhook.secret, [timestamp, delivery.body])
+                },
+                body: delivery.body,
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            const text = (await response.text()).slice(0, 200);
+            outcome = response.ok
+                ? { status: 'delivered', deliveredAt: now, responseStatus: response.status, lastError: null }
+                : { responseStatus: response.status, lastError: text || `HTTP ${response.status}` };
+        } catch (error) {
+            outcome = { responseStatus: null, lastError: error.name === 'TimeoutError' ? `No response within ${WEBHOOK_TIMEOUT_MS / 1000}s` : error.message };
+        }
+        
+        if (!outcome.status) {
+            const delay = WEBHOOK_RETRY_DELAYS_SECONDS[attempts - 1];
+            outcome = delay === undefined
+                ? { ...outcome, status: 'failed' }
+                : { ...outcome, status: 'pending', nextAttemptAt: new Date(Date.now() + delay * 1000).toISOString() };
+        }
+    }
+    
+    await store.set('webhookDeliveries', deliveryId, { ...outcome, attempts, lastAttemptAt: now }, { merge: true });
+    if (outcome.status === 'failed') {
+        console.warn(`⚠️ Webhook delivery ${deliveryId} (${delivery.event}) failed after ${attempts} attempts: ${outcome.lastError}`);
+    }
+    return outcome.status;
+}
+
+// Sends every due delivery; a run already in progress picks up newly queued ones
+let webhookQueueRun = null;
+let webhookQueueDirty = false;
+function processWebhookQueue() {
+    if (webhookQueueRun) {
+        webhookQueueDirty = true;
+        return webhookQueueRun;
+    }
+    webhookQueueRun = (async () => {
+        do {
+            webhookQueueDirty = false;
+            const now = Date.now();
+            const due = (await store.list('webhookDeliveries', { where: [['status', '==', 'pending']] }))
+                .filter(delivery => new Date(delivery.nextAttemptAt).getTime() <= now);
+            for (const { id } of due) {
+                const delivery = await claimWebhookDelivery(id);
+                if (delivery) await sendWebhookDelivery(id, delivery);
+            }
+        } while (webhookQueueDirty);
+        purgeExpiredDocs('webhookDeliveries');
+    })()
+        .catch(error => console.error('Webhook queue error:', error))
+        .finally(() => { webhookQueueRun = null; });
+    return webhookQueueRun;
+}
+
+// A manual redelivery is a new delivery of the same event, so the log keeps both
+async function redeliverWebhook(deliveryId, adminUser) {
+    const delivery = await store.get('webhookDeliveries', deliveryId);
+    const webhooks = await getWebhooks();
+    const webhook = delivery && webhooks[delivery.webhookId];
+    if (!webhook) return null;
+    
+    const id = await addWebhookDelivery(delivery.webhookId, webhook, JSON.parse(delivery.body), {
+        redeliveryOf: deliveryId,
+        requestedBy: adminUser
+    });
+    processWebhookQueue();
+    return id;
+}
+
+// Expiry happens without any request, so an hourly sweep raises LICENSE_EXPIRED for
+// licenses that expired in the last week. `expiryNotified` holds the expiry date that was
+// announced, so an extended license that lapses again is announced again.
+let lastExpirySweep = 0;
+async function notifyExpiredLicenses({ force = false } = {}) {
+    if (!force && Date.now() - lastExpirySweep < 60 * 60 * 1000) return;
+    lastExpirySweep = Date.now();
+    try {
+        const webhooks = await getWebhooks();
+        if (!Object.values(webhooks).some(webhook => webhook.active && (webhook.events || []).includes('LICENSE_EXPIRED'))) return;
+        
+        const now = new Date();
+        const expired = await store.list('licenses', {
+            where: [
+                ['expiry', '<', now.toISOString()],
+                ['expiry', '>', new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString()]
+            ]
+        });
+        for (const { id, ...lic } of expired.filter(lic => lic.expiryNotified !== lic.expiry)) {
+            await saveLicense(id, { expiryNotified: lic.expiry });
+            await queueWebhookEvent('LICENSE_EXPIRED', {
+                license: id,
+                expiry: lic.expiry,
+                customerId: lic.customerId || null,
+                productId: lic.productId || null
+            });
+        }
+    } catch (error) {
+        console.error('Error sweeping expired licenses:', error);
+    }
+}
+
+function startWebhookWorker(intervalMs = 30 * 1000) {
+    const tick = () => {
+        notifyExpiredLicenses();
+        processWebhookQueue();
+    };
+    tick();
+    setInterval(tick, intervalMs).unref();
+}
+
+// Serverless hosts (Vercel) never run app.listen, so nothing starts the worker there; a
+// scheduled call to this route does its job instead. Vercel sends CRON_SECRET as a
+// Bearer token.
+app.get('/api/cron/webhooks', async (req, res) => {
+    const given = Buffer.from(req.get('Authorization') || '');
+    const expected = Buffer.from(`Bearer ${CONFIG.CRON_SECRET}`);
+    if (!CONFIG.CRON_SECRET || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({ success: false, code: 'UNAUTHORIZED', message: 'Invalid cron secret', data: null });
+    }
+    
+    try {
+        await notifyExpiredLicenses({ force: true });
+        await processWebhookQueue();
+        const pending = await store.list('webhookDeliveries', { where: [['status', '==', 'pending']] });
+        res.json({ success: true, code: 'CRON_COMPLETE', message: 'Webhook queue processed', data: { pending: pending.length } });
+    } catch (error) {
+        console.error('Webhook cron error:', error);
+        res.status(500).json({ success: false, code: 'SERVER_ERROR', message: 'Internal server error', data: null });
+    }
+});
+
+// --- SIGNED REQUESTS ---
+// Products with signing enabled require every API call for their licenses to carry
+// X-Timestamp (Unix seconds), X-Nonce and X-Signature = hex HMAC-SHA256 over
+// "METHOD\nURL\nTIMESTAMP\nNONCE\nBODY" with the product secret. Responses are signed
+// over "STATUS\nTIMESTAMP\nNONCE\nBODY" with the request's nonce, so a captured
+// response can't be replayed against a different request.
+const SIGNATURE_MAX_SKEW_SECONDS = 300;
+
+function signPayload(secret, parts) {
+    return crypto.createHmac('sha256', secret).update(parts.join('\n')).digest('hex');
+}
+
+function signatureError(status, code, message) {
+    return { error: { status, body: { success: false, code, message, data: null } } };
+}
+
+// The license's product decides whether signing applies; X-Product-Id only matters for
+// calls without a license (trials). With `requireProduct`, such calls must name their
+// product once any product requires signing, so leaving the header out can't skip it.
+// Resolves to { product, nonce } or { error }.
+async function verifyRequestSignature(req, params, { requireProduct = false } = {}) {
+    const products = await getProducts();
+    let productId = req.get('X-Product-Id') || null;
+    if (params.license) {
+        const lic = await getLicense(normalizeLicenseKey(params.license));
+        productId = (lic && lic.productId) || null;
+    } else if (productId && !products[productId]) {
+        return signatureError(400, 'UNKNOWN_PRODUCT', 'Unknown product');
+    } else if (!productId && requireProduct && Object.values(products).some(product => product.signingEnabled)) {
+        return signatureError(400, 'PRODUCT_REQUIRED', 'X-Product-Id is required');
+    }
+    
+    const product = productId ? products[productId] : null;
+    if (!product || !product.signingEnabled) return { product: null };
+    
+    const timestamp = req.get('X-Timestamp');
+    const nonce = req.get('X-Nonce');
+    const signature = req.get('X-Signature') || '';
+    if (!timestamp || !nonce || !signature) {
+        return signatureError(401, 'SIGNATURE_REQUIRED', 'This product requires signed requests');
+    }
+    if (!(Math.abs(Date.now() / 1000 - Number(timestamp)) <= SIGNATURE_MAX_SKEW_SECONDS)) {
+        return signatureError(401, 'STALE_TIMESTAMP', 'Request timestamp is too old or too far in the future');
+    }
+    
+    const given = Buffer.from(signature);
+    const expected = Buffer.from(signPayload(product.secret, [req.method, req.originalUrl, timestamp, nonce, req.rawBody || '']));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return signatureError(401, 'INVALID_SIGNATURE', 'Request signature is invalid');
+    }
+    
+    if (!(await claimRequestNonce(productId, nonce, SIGNATURE_MAX_SKEW_SECONDS * 2))) {
+        return signatureError(409, 'REPLAYED_NONCE', 'Request nonce has already been used');
+    }
+    return { product, nonce };
+}
+
+function signResponse(res, { product, nonce }, status, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    res.set({
+        'X-Timestamp': timestamp,
+        'X-Nonce': nonce,
+        'X-Signature': signPayload(product.secret, [status, timestamp, nonce, JSON.stringify(body)])
+    });
+}
+
+// --- ENHANCED API ENDPOINTS ---
+// API handlers take their parameters as a plain object and resolve to { status, body },
+// so v1 (GET query string) and v2 (POST JSON body) routes share one implementation
+function apiRoute(handler, label, { source = 'query', errorMessage = 'Internal server error', aliases = {}, requireProduct = false } = {}) {
+    return async (req, res) => {
+        try {
+            const params = req[source] || {};
+            const auth = await verifyRequestSignature(req, params, { requireProduct });
+            if (auth.error) {
+                return res.status(auth.error.status).json(auth.error.body);
+            }
+            
+            const result = (await validateApiRequest(req)) || await handler(params, req);
+            const body = aliases[result.body.code] ? { ...result.body, code: aliases[result.body.code] } : result.body;
+            if (auth.product) {
+                signResponse(res, auth, result.status, body);
+            }
+            return res.status(result.status).json(body);
+        } catch (error) {
+            console.error(`${label} error:`, error);
+            return res.status(500).json({
+                success: false,
+                code: 'SERVER_ERROR',
+                message: errorMessage,
+                data: null
+            });
+        }
+    };
+}
+
+async function apiValidate(params, req) {
+    const reply = (status, body) => ({ status, body });
+    const { hwid, version } = params;
+    const license = normalizeLicenseKey(params.license);
+    
+    // Input validation
+    if (!license || !hwid) {
+        return reply(400, {
+            success: false,
+            code: 'MISSING_PARAMETERS',
+            message: 'License and HWID are required',
+            data: null
+        });
+    }
+    
+    if (await isMalformedLicenseKey(license)) {
+        return reply(400, malformedLicenseResponse(license));
+    }
+    
+    await logActivity('API_VALIDATE', `License: ${license} HWID: ${hwid}${version ? ` Version: ${version}` : ''}`, req.ip, req.get('User-Agent'));
+    
+    const { error, lic, settings } = await checkLicenseAccess(license, hwid, { version });
+    if (error) {
+        return error;
+    }
+    
+    // Floating licenses are valid on whichever machine currently holds a lease
+    if (lic.floating) {
+        const lease = getActiveLeases(lic).find(l => l.hwid === hwid);
+        if (!lease) {
+            return reply(409, {
+                success: false,
+                code: 'LEASE_REQUIRED',
+                message: 'No active lease for this machine',
+                data: { license, hwid }
+            });
+        }
+        const plans = await getPlans();
+        return reply(200, {
+            success: true,
+            code: 'VALID',
+            message: 'License validation successful',
+            data: {
+                license,
+                hwid,
+                expiry: lic.expiry,
+                leaseId: lease.id,
+                leaseExpiresAt: lease.expiresAt,
+                plan: getLicensePlan(lic, settings),
+                entitlements: getEntitlements(lic, plans, settings),
+                token: issueLicenseToken(license, lic, hwid, settings, plans, { until: lease.expiresAt })
+            }
+        });
+    }
+    
+    // A device with a bound key must sign a fresh challenge instead of just naming its HWID
+    const device = getLicenseDevices(lic).find(d => d.hwid === hwid);
+    if (device && device.publicKey) {
+        const proof = await verifyDeviceProof(params, license, hwid, device.publicKey);
+        if (proof) {
+            return proof;
+        }
+    } else if (device && settings.requireDeviceKeys) {
+        return reply(401, deviceKeyRequiredResponse(license, hwid));
+    }
+    
+    // Any registered device may validate; update its last-seen time
+    const lastValidated = await touchLicenseDevice(license, hwid, version);
+    if (lastValidated) {
+        const plans = await getPlans();
+        return reply(200, {
+            success: true,
+            code: 'VALID',
+            message: 'License validation successful',
+            data: {
+                license,
+                hwid,
+                expiry: lic.expiry,
+                lastValidated,
+                plan: getLicensePlan(lic, settings),
+                entitlements: getEntitlements(lic, plans, settings),
+                token: issueLicenseToken(license, lic, hwid, settings, plans)
+            }
+        });
+    }
+    
+    return reply(409, {
+        success: false,
+        code: 'HWID_MISMATCH',
+        message: 'Hardware ID does not match',
+        data: { 
+            license,
+            provided_hwid: hwid,
+            registered_hwid: maskHwid(lic.hwid)
+        }
+    });
+}
+
+app.get('/api/validate', apiRoute(apiValidate, 'Validation'));
+
+
+// Ban, state and expiry checks shared by validation and floating leases;
+// resolves to { error: { status, body } } or { lic, settings }
+async function checkLicenseAccess(license, hwid, { version } = {}) {
+    const reply = (status, body) => ({ error: { status, body } });
+    
+    const settings = await getSettings();
+    if (!settings.apiEnabled) {
+        return reply(503, {
+            success: false,
+            code: 'API_DISABLED',
+            message: 'API is currently disabled',
+            data: null
+        });
+    }
+    
+    const updateRequired = clientVersionResponse(version, settings);
+    if (updateRequired) {
+        return reply(426, updateRequired);
+    }
+    
+    const banlist = await getBanlist();
+    if (isHWIDBanned(hwid, banlist)) {
+        return reply(403, {
+            success: false,
+            code: 'BANNED',
+            message: 'Hardware ID is banned',
+            data: { hwid }
+        });
+    }
+    
+    const lic = await getLicense(license);
+    if (!lic) {
+        return reply(404, {
+            success: false,
+            code: 'INVALID_LICENSE',
+            message: 'License not found',
+            data: { license }
+        });
+    }
+    
+    if (getLicenseState(lic) !== 'active') {
+        return reply(403, licenseBlockedResponse(license, lic));
+    }
+    
+    if (isLicenseExpired(lic)) {
+        return reply(410, {
+            success: false,
+            code: 'EXPIRED',
+            message: 'License has expired',
+            data: { 
+                license,
+                expiry: lic.expiry 
+            }
+        });
+    }
+    
+    return { lic, settings };
+}
+
+// Shared by /api/register and offline activation; resolves to { status, body }
+async function registerDevice({ license, hwid, ip, deviceInfo, version, publicKey = null, offline = false }) {
+    const reply = (status, body) => ({ status, body });
+    
+    const settings = await getSettings();
+    if (!settings.apiEnabled) {
+        return reply(503, {
+            success: false,
+            code: 'API_DISABLED',
+            message: 'API is currently disabled',
+            data: null
+        });
+    }
+    
+    const updateRequired = clientVersionResponse(version, settings);
+    if (updateRequired) {
+        return reply(426, updateRequired);
+    }
+    
+    if (settings.requireDeviceKeys && !publicKey) {
+        return reply(401, deviceKeyRequiredResponse(license, hwid));
+    }
+    
+    const banlist = await getBanlist();
+    if (isHWIDBanned(hwid, banlist)) {
+        return reply(403, {
+            success: false,
+            code: 'BANNED',
+            message: 'Hardware ID is banned',
+            data: { hwid }
+        });
+    }
+    
+    // Register the license
+    const { code, lic, seats, existingLicense } = await registerLicenseHwid(license, hwid, {
+        ip,
+        deviceInfo,
+        clientVersion: version,
+        publicKey,
+        settings
+    });
+    
+    if (code === 'INVALID_LICENSE') {
+        return reply(404, {
+            success: false,
+            code: 'INVALID_LICENSE',
+            message: 'License not found',
+            data: { license }
+        });
+    }
+    
+    if (code === 'BLOCKED') {
+        return reply(403, licenseBlockedResponse(license, lic));
+    }
+    
+    if (code === 'EXPIRED') {
+        return reply(410, {
+            success: false,
+            code: 'EXPIRED',
+            message: 'License has expired',
+            data: { 
+                license,
+                expiry: lic.expiry 
+            }
+        });
+    }
+    
+    if (code === 'ALREADY_REGISTERED') {
+        return reply(409, {
+            success: false,
+            code: 'ALREADY_REGISTERED',
+            message: seats > 1
+                ? `All ${seats} device seats of this license are in use`
+                : 'License is already registered to another device',
+            data: { 
+                license,
+                registered_hwid: maskHwid(lic.hwid),
+                seats
+            }
+        });
+    }
+    
+    if (code === 'FLOATING_LICENSE') {
+        return reply(409, floatingLicenseResponse(license));
+    }
+    
+    if (code === 'DEVICE_PROOF_REQUIRED') {
+        return reply(401, {
+            success: false,
+            code: 'DEVICE_PROOF_REQUIRED',
+            message: 'This device is bound to a device key; activate it with a signed challenge',
+            data: { license, hwid }
+        });
+    }
+    
+    if (code === 'DEVICE_KEY_MISMATCH') {
+        return reply(409, {
+            success: false,
+            code: 'DEVICE_KEY_MISMATCH',
+            message: 'This device is bound to a different device key',
+            data: { license, hwid }
+        });
+    }
+    
+    if (code === 'HWID_IN_USE') {
+        return reply(409, {
+            success: false,
+            code: 'HWID_IN_USE',
+            message: 'Hardware ID is already registered to another license',
+            data: { 
+                hwid,
+                existing_license: existingLicense 
+            }
+        });
+    }
+    
+    await queueWebhookEvent('LICENSE_REGISTERED', {
+        license,
+        hwid,
+        ip,
+        seats: { used: lic.devices.length, total: seats },
+        deviceKeyBound: !!publicKey,
+        offline
+    });
+    
+    const plans = await getPlans();
+    return reply(201, {
+        success: true,
+        code: 'SUCCESS',
+        message: 'License registered successfully',
+        data: {
+            license,
+            hwid,
+            activatedAt: lic.devices.find(d => d.hwid === hwid).activatedAt,
+            expiry: lic.expiry,
+            seats: {
+                used: lic.devices.length,
+                total: seats
+            },
+            deviceKeyBound: !!publicKey,
+            token: issueLicenseToken(license, lic, hwid, settings, plans, { offline })
+        }
+    });
+}
+
+// Checks params.challengeId / params.signature against the device key; resolves to an
+// error reply, or null when the proof is good
+async function verifyDeviceProof(params, license, hwid, publicKey) {
+    const reply = (status, body) => ({ status, body });
+    
+    if (!params.challengeId || !params.signature) {
+        return reply(401, {
+            success: false,
+            code: 'DEVICE_PROOF_REQUIRED',
+            message: 'Sign a challenge from /api/device/challenge with the device key',
+            data: { license, hwid }
+        });
+    }
+    
+    const challenge = await consumeDeviceChallenge(params.challengeId, license, hwid);
+    if (!challenge) {
+        return reply(401, {
+            success: false,
+            code: 'INVALID_CHALLENGE',
+            message: 'Challenge is unknown, expired, already used or issued for another device',
+            data: { license, hwid }
+        });
+    }
+    
+    if (!verifyDeviceSignature(publicKey, challenge.challenge, params.signature)) {
+        return reply(401, {
+            success: false,
+            code: 'INVALID_DEVICE_SIGNATURE',
+            message: 'Challenge signature does not match the device key',
+            data: { license, hwid }
+        });
+    }
+    return null;
+}
+
+async function apiRegister(params, req) {
+    const reply = (status, body) => ({ status, body });
+    const { hwid, version } = params;
+    const license = normalizeLicenseKey(params.license);
+    
+    if (!license || !hwid) {
+        return reply(400, {
+            success: false,
+            code: 'MISSING_PARAMETERS',
+            message: 'License and HWID are required',
+            data: null
+        });
+    }
+    
+    if (await isMalformedLicenseKey(license)) {
+        return reply(400, malformedLicenseResponse(license));
+    }
+    
+    await logActivity('API_REGISTER', `License: ${license} HWID: ${hwid}${version ? ` Version: ${version}` : ''}`, req.ip, req.get('User-Agent'));
+    
+    return registerDevice({
+        license,
+        hwid,
+        ip: req.ip,
+        deviceInfo: req.get('User-Agent'),
+        version
+    });
+}
+
+app.get('/api/register', apiRoute(apiRegister, 'Registration'));
+
+
+// NEW: Enhanced License Info API
+// --- CHALLENGE-RESPONSE DEVICE ACTIVATION ---
+// 1. POST /api/device/challenge { license, hwid } returns a one-time challenge.
+// 2. First activation: POST /api/device/activate { license, hwid, challengeId, publicKey, signature }
+//    binds the device keypair; later /api/validate calls send challengeId and signature.
+async function apiDeviceChallenge(params, req) {
+    const reply = (status, body) => ({ status, body });
+    const { hwid, version } = params;
+    const license = normalizeLicenseKey(params.license);
+    
+    if (!license || !hwid) {
+        return reply(400, {
+            success: false,
+            code: 'MISSING_PARAMETERS',
+            message: 'License and HWID are required',
+            data: null
+        });
+    }
+    
+    if (await isMalformedLicenseKey(license)) {
+        return reply(400, malformedLicenseResponse(license));
+    }
+    
+    const { error } = await checkLicenseAccess(license, hwid, { version });
+    if (error) {
+        return error;
+    }
+    
+    const challenge = await createDeviceChallenge(license, hwid);
+    return reply(201, {
+        success: true,
+        code: 'CHALLENGE_ISSUED',
+        message: 'Sign the challenge with the device key',
+        data: {
+            license,
+            hwid,
+            challengeId: challenge.id,
+            challenge: challenge.challenge,
+            expiresAt: challenge.expiresAt
+        }
+    });
+}
+
+async function apiDeviceActivate(params, req) {
+    const reply = (status, body) => ({ status, body });
+    const { hwid, version, challengeId, signature } = params;
+    const license = normalizeLicenseKey(params.license);
+    
+    if (!license || !hwid || !challengeId || !params.publicKey || !signature) {
+        return reply(400, {
+            success: false,
+            code: 'MISSING_PARAMETERS',
+            message: 'License, HWID, challenge ID, public key and signature are required',
+            data: null
+        });
+    }
+    
+    if (await isMalformedLicenseKey(license)) {
+        return reply(400, malformedLicenseResponse(license));
+    }
+    
+    let publicKey;
+    try {
+        publicKey = parseDevicePublicKey(params.publicKey);
+    } catch (error) {
+        return reply(400, {
+            success: false,
+            code: 'INVALID_DEVICE_KEY',
+            message: 'Public key must be an Ed25519 or ECDSA key in SPKI PEM or base64 DER form',
+            data: { license, hwid }
+        });
+    }
+    
+    // Proving possession of the new key is what makes the binding trustworthy
+    const proof = await verifyDeviceProof(params, license, hwid, publicKey);
+    if (proof) {
+        return proof;
+    }
+    
+    await logActivity('API_DEVICE_ACTIVATE', `License: ${license} HWID: ${hwid}${version ? ` Version: ${version}` : ''}`, req.ip, req.get('User-Agent'));
+    
+    return registerDevice({
+        license,
+        hwid,
+        ip: req.ip,
+        deviceInfo: req.get('User-Agent'),
+        version,
+        publicKey
+    });
+}
+
+app.post('/api/device/challenge', apiRoute(apiDeviceChallenge, 'Device challenge', { source: 'body' }));
+app.post('/api/device/activate', apiRoute(apiDeviceActivate, 'Device activation', { source: 'body' }));
+
+// --- FLOATING LICENSE LEASES ---
+// Lease endpoints take license, hwid and (for heartbeat/release) leaseId in the body
+async function leaseRequestError(params, needsLeaseId = true) {
+    const { hwid, leaseId } = params;
+    const license = normalizeLicenseKey(params.license);
+    if (!license || !hwid || (needsLeaseId && !leaseId)) {
+        return {
+            status: 400,
+            body: {
+                success: false,
+                code: 'MISSING_PARAMETERS',
+                message: needsLeaseId ? 'License, HWID and lease ID are required' : 'License and HWID are required',
+                data: null
+            }
+        };
+    }
+    if (await isMalformedLicenseKey(license)) {
+        return { status: 400, body: malformedLicenseResponse(license) };
+    }
+    return null;
+}
+
+function leaseNotFoundResponse(license, leaseId) {
+    return {
+        success: false,
+        code: 'LEASE_NOT_FOUND',
+        message: 'Lease not found or already expired',
+        data: { license, leaseId }
+    };
+}
+
+async function apiLeaseCheckout(params, req) {
+    const reply = (status, body) => ({ status, body });
+    const { hwid, version } = params;
+    const license = normalizeLicenseKey(params.license);
+    
+    const invalid = await leaseRequestError(params, false);
+    if (invalid) {
+        return invalid;
+    }
+    
+    await logActivity('LEASE_CHECKOUT', `License: ${license} HWID: ${hwid}`, req.ip, req.get('User-Agent'));
+    
+    const { error, lic: current, settings } = await checkLicenseAccess(license, hwid, { version });
+    if (error) {
+        return error;
+    }
+    if (!current.floating) {
+        return reply(409, {
+            success: false,
+            code: 'NOT_FLOATING',
+            message: 'License is not a floating license; register the device instead',
+            data: { license }
+        });
+    }
+    
+    const { code, lic, seats, leases, lease } = await checkoutLease(license, hwid, { ip: req.ip, clientVersion: version, settings });
+    if (code === 'INVALID_LICENSE') {
+        return reply(404, {
+            success: false,
+            code: 'INVALID_LICENSE',
+            message: 'License not found',
+            data: { license }
+        });
+    }
+    
+    if (code === 'NO_SEATS_AVAILABLE') {
+        return reply(409, {
+            success: false,
+            code: 'NO_SEATS_AVAILABLE',
+            message: `All ${seats} concurrent seats of this license are in use`,
+            data: {
+                license,
+                seats: { used: leases.length, total: seats },
+                nextExpiry: leases.map(l => l.expiresAt).sort()[0]
+            }
+        });
+    }
+    
+    const plans = await getPlans();
+    return reply(201, {
+        success: true,
+        code: 'LEASE_GRANTED',
+        message: 'Lease checked out successfully',
+        data: {
+            license,
+            hwid,
+            leaseId: lease.id,
+            expiresAt: lease.expiresAt,
+            heartbeatSeconds: Math.floor((parseInt(settings.leaseTimeoutMinutes) || DEFAULT_SETTINGS.leaseTimeoutMinutes) * 60 / 2),
+            expiry: lic.expiry,
+            seats: { used: lic.leases.length, total: seats },
+            plan: getLicensePlan(lic, settings),
+            entitlements: getEntitlements(lic, plans, settings)
+        }
+    });
+}
+
+app.post('/api/lease/checkout', apiRoute(apiLeaseCheckout, 'Lease checkout', { source: 'body' }));
+
+async function apiLeaseHeartbeat(params, req) {
+    const reply = (status, body) => ({ status, body });
+    const { hwid, leaseId } = params;
+    const license = normalizeLicenseKey(params.license);
+    
+    const invalid = await leaseRequestError(params);
+    if (invalid) {
+        return invalid;
+    }
+    
+    // A suspended, expired or banned license loses its lease at the next heartbeat
+    const { error, settings } = await checkLicenseAccess(license, hwid);
+    if (error) {
+        await releaseLease(license, leaseId, hwid);
+        return error;
+    }
+    
+    const lease = await renewLease(license, leaseId, hwid, settings);
+    if (!lease) {
+        return reply(404, leaseNotFoundResponse(license, leaseId));
+    }
+    
+    return reply(200, {
+        success: true,
+        code: 'LEASE_RENEWED',
+        message: 'Lease renewed',
+        data: {
+            license,
+            leaseId,
+            expiresAt: lease.expiresAt
+        }
+    });
+}
+
+app.post('/api/lease/heartbeat', apiRoute(apiLeaseHeartbeat, 'Lease heartbeat', { source: 'body' }));
+
+async function apiLeaseRelease(params, req) {
+    const reply = (status, body) => ({ status, body });
+    const { hwid, leaseId } = params;
+    const license = normalizeLicenseKey(params.license);
+    
+    const invalid = await leaseRequestError(params);
+    if (invalid) {
+        return invalid;
+    }
+    
+    const lease = await releaseLease(license, leaseId, hwid);
+    if (!lease) {
+        return reply(404, leaseNotFoundResponse(license, leaseId));
+    }
+    
+    await logActivity('LEASE_RELEASED', `License: ${license} HWID: ${hwid}`, req.ip, req.get('User-Agent'));
+    return reply(200, {
+        success: true,
+        code: 'LEASE_RELEASED',
+        message: 'Lease released',
+        data: { license, leaseId }
+    });
+}
+
+app.post('/api/lease/release', apiRoute(apiLeaseRelease, 'Lease release', { source: 'body' }));
+
+async function apiLicenseInfo(params, req) {
+    const reply = (status, body) => ({ status, body });
+    const license = normalizeLicenseKey(params.license);
+    
+    if (!license) {
+        return reply(400, {
+            success: false,
+            code: 'MISSING_LICENSE',
+            message: 'License parameter is required',
+            data: null
+        });
+    }
+    
+    if (await isMalformedLicenseKey(license)) {
+        return reply(400, malformedLicenseResponse(license));
+    }
+    
+    const lic = await getLicense(license);
+    if (!lic) {
+        return reply(404, {
+            success: false,
+            code: 'LICENSE_NOT_FOUND',
+            message: 'License not found',
+            data: { license }
+        });
+    }
+    
+    if (getLicenseState(lic) !== 'active') {
+        return reply(403, licenseBlockedResponse(license, lic));
+    }
+    
+    const [settings, plans] = await Promise.all([getSettings(), getPlans()]);
+    const devices = getLicenseDevices(lic);
+    const status = isLicenseExpired(lic) ? "EXPIRED" : (devices.length ? "ACTIVE" : "INACTIVE");
+    
+    return reply(200, {
+        success: true,
+        code: 'LICENSE_INFO_RETRIEVED',
+        message: 'License information retrieved successfully',
+        data: {
+            license,
+            status,
+            hwid: maskHwid(lic.hwid),
+            activatedAt: lic.activatedAt || null,
+            expiry: lic.expiry || null,
+            durationDays: lic.expiry ? null : (lic.durationDays || null),
+            lastValidated: lic.lastValidated || null,
+            createdAt: lic.createdAt || null,
+            devices: devices.map(d => ({
+                hwid: maskHwid(d.hwid),
+                activatedAt: d.activatedAt || null,
+                lastSeen: d.lastSeen || null
+            })),
+            seats: {
+                used: devices.length,
+                total: getSeatLimit(lic, settings)
+            },
+            plan: getLicensePlan(lic, settings),
+            entitlements: getEntitlements(lic, plans, settings),
+            isExpired: isLicenseExpired(lic),
+            isActive: devices.length > 0 && !isLicenseExpired(lic)
+        }
+    });
+}
+
+app.get('/api/license-info', apiRoute(apiLicenseInfo, 'License info', { errorMessage: 'Error retrieving license information' }));
+
+
+// NEW: Public keys for verifying license tokens offline
+async function apiPublicKeys() {
+    return {
+        status: 200,
+        body: {
+            success: true,
+            code: 'PUBLIC_KEYS',
+            message: 'License token verification keys',
+            data: {
+                algorithm: 'EdDSA',
+                activeKeyId: signing.activeKeyId,
+                keys: Object.entries(signing.keys).map(([kid, { publicKey }]) => ({
+                    kid,
+                    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+                }))
+            }
+        }
+    };
+}
+
+app.get('/api/public-keys', apiRoute(apiPublicKeys, 'Public keys'));
+
+// NEW: Trial License API
+async function apiTrial(params, req) {
+    const reply = (status, body) => ({ status, body });
+    const { hwid } = params;
+    
+    if (!hwid) {
+        return reply(400, {
+            success: false,
+            code: 'MISSING_PARAMETERS',
+            message: 'HWID is required',
+            data: null
+        });
+    }
+    
+    await logActivity('API_TRIAL', `HWID: ${hwid}`, req.ip, req.get('User-Agent'));
+    
+    const settings = await getSettings();
+    if (!settings.apiEnabled) {
+        return reply(503, {
+            success: false,
+            code: 'API_DISABLED',
+            message: 'API is currently disabled',
+            data: null
+        });
+    }
+    
+    if (!settings.trialEnabled) {
+        return reply(403, {
+            success: false,
+            code: 'TRIALS_DISABLED',
+            message: 'Trial licenses are not available',
+            data: null
+        });
+    }
+    
+    const banlist = await getBanlist();
+    if (isHWIDBanned(hwid, banlist)) {
+        return reply(403, {
+            success: false,
+            code: 'BANNED',
+            message: 'Hardware ID is banned',
+            data: { hwid }
+        });
+    }
+    
+    const { code, license, lic, trial, existingLicense } = await issueTrialLicense(hwid, {
+        ip: req.ip,
+        deviceInfo: req.get('User-Agent'),
+        productId: req.get('X-Product-Id') || null,
+        settings
+    });
+    
+    if (code === 'TRIAL_ALREADY_USED') {
+        return reply(409, {
+            success: false,
+            code: 'TRIAL_ALREADY_USED',
+            message: trial.hwid === hwid
+                ? 'A trial has already been issued to this machine'
+                : 'A trial has already been issued to this network',
+            data: {
+                hwid,
+                issuedAt: trial.issuedAt,
+                expiry: trial.expiry,
+                isExpired: isLicenseExpired(trial)
+            }
+        });
+    }
+    
+    if (code === 'HWID_IN_USE') {
+        return reply(409, {
+            success: false,
+            code: 'HWID_IN_USE',
+            message: 'Hardware ID is already registered to another license',
+            data: { 
+                hwid,
+                existing_license: existingLicense 
+            }
+        });
+    }
+    
+    await logActivity('TRIAL_ISSUED', `License: ${license} HWID: ${hwid}`, req.ip, req.get('User-Agent'));
+    
+    const plans = await getPlans();
+    return reply(201, {
+        success: true,
+        code: 'TRIAL_ISSUED',
+        message: 'Trial license issued successfully',
+        data: {
+            license,
+            hwid,
+            expiry: lic.expiry,
+            plan: getLicensePlan(lic, settings),
+            entitlements: getEntitlements(lic, plans, settings)
+        }
+    });
+}
+
+app.get('/api/trial', apiRoute(apiTrial, 'Trial', { requireProduct: true }));
+
+
+// NEW: HWID Reset Request API
+// v1 keeps its original shapes: { status, requestId } on success and { error } otherwise.
+// The v2 route below reports the same conditions with codes.
+app.post('/api/request-hwid-reset', async (req, res) => {
+    const { hwid, reason } = req.body;
+    const license = normalizeLicenseKey(req.body.license);
+    if (!license || !hwid) return res.status(400).json({ error: 'Missing license or HWID' });
+    
+    try {
+        const auth = await verifyRequestSignature(req, req.body);
+        if (auth.error) return res.status(auth.error.status).json({ error: auth.error.body.message });
+        const send = (status, body) => {
+            if (auth.product) signResponse(res, auth, status, body);
+            return res.status(status).json(body);
+        };
+        
+        if (await isMalformedLicenseKey(license)) return send(400, { error: 'Malformed license key' });
+        const invalid = await validateApiRequest(req);
+        if (invalid) return send(400, { error: invalid.body.message });
+        
+        // A repeated request answers with the one already pending rather than queueing another
+        const pending = await findPendingHwidRequest(license);
+        if (pending) return send(200, { status: 'REQUESTED', requestId: pending.id });
+        
+        const requestId = await addHwidRequest({
+            license,
+            hwid,
+            reason: reason || 'No reason provided',
+            requestIP: req.ip,
+            userAgent: req.get('User-Agent') || 'Unknown'
+        });
+        
+        await logActivity('HWID_RESET_REQUEST', `License: ${license} HWID: ${hwid} RequestID: ${requestId}`, req.ip);
+        await queueWebhookEvent('HWID_RESET_REQUEST', { requestId, license, hwid, reason: reason || null });
+        send(200, { status: 'REQUESTED', requestId });
+    } catch (error) {
+        console.error('HWID reset request error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// --- API v2 ---
+// POST JSON bodies keep license keys and HWIDs out of proxy and access logs. Every v2
+// endpoint answers with the { success, code, message, data } envelope and the codes in
+// API_ERROR_CODES; v1 routes above keep their original shapes.
+const API_ERROR_CODES = {
+    MISSING_PARAMETERS: { status: 400, description: 'A required parameter is missing' },
+    VALIDATION_ERROR: { status: 400, description: 'Parameters are malformed; data.errors lists each bad field' },
+    MALFORMED_LICENSE: { status: 400, description: 'The license key fails its format or checksum check' },
+    INVALID_DEVICE_KEY: { status: 400, description: 'The device public key is not an Ed25519 or ECDSA SPKI key' },
+    UNKNOWN_PRODUCT: { status: 400, description: 'X-Product-Id names no configured product' },
+    PRODUCT_REQUIRED: { status: 400, description: 'A product requires signed requests, so trial calls must send X-Product-Id' },
+    INVALID_JSON: { status: 400, description: 'The request body is not valid JSON' },
+    SIGNATURE_REQUIRED: { status: 401, description: 'The product requires signed requests and signature headers are missing' },
+    STALE_TIMESTAMP: { status: 401, description: 'X-Timestamp is more than 5 minutes away from server time' },
+    INVALID_SIGNATURE: { status: 401, description: 'X-Signature does not match the request' },
+    DEVICE_KEY_REQUIRED: { status: 401, description: 'Devices must be activated through the challenge-response handshake' },
+    DEVICE_PROOF_REQUIRED: { status: 401, description: 'The device has a bound key; send challengeId and signature' },
+    INVALID_CHALLENGE: { status: 401, description: 'The challenge is unknown, expired, already used or for another device' },
+    INVALID_DEVICE_SIGNATURE: { status: 401, description: 'The challenge signature does not match the device key' },
+    INVALID_LICENSE: { status: 404, description: 'No license exists with this key' },
+    REQUEST_NOT_FOUND: { status: 404, description: 'No HWID reset request with this ID exists for this license' },
+    LEASE_NOT_FOUND: { status: 404, description: 'The floating lease was released or has lapsed' },
+    ENDPOINT_NOT_FOUND: { status: 404, description: 'No endpoint exists at this path and method' },
+    BANNED: { status: 403, description: 'The hardware ID is banned' },
+    SUSPENDED: { status: 403, description: 'The license is suspended, possibly until a given date' },
+    REVOKED: { status: 403, description: 'The license has been permanently revoked' },
+    TRIALS_DISABLED: { status: 403, description: 'Trial licenses are switched off' },
+    HWID_MISMATCH: { status: 409, description: 'The hardware ID is not registered to this license' },
+    ALREADY_REGISTERED: { status: 409, description: 'Every device seat of the license is taken' },
+    HWID_IN_USE: { status: 409, description: 'The hardware ID is registered to another license' },
+    DEVICE_ALREADY_REGISTERED: { status: 409, description: 'The machine moved to is already registered to the license' },
+    DUPLICATE_REQUEST: { status: 409, description: 'The license already has a pending HWID reset request; data.requestId names it' },
+    REQUEST_NOT_PENDING: { status: 409, description: 'The HWID reset request was already approved, denied or cancelled' },
+    DEVICE_KEY_MISMATCH: { status: 409, description: 'The device is bound to a different device key' },
+    FLOATING_LICENSE: { status: 409, description: 'Floating licenses use lease checkout instead of registration' },
+    NOT_FLOATING: { status: 409, description: 'Leases are only available for floating licenses' },
+    LEASE_REQUIRED: { status: 409, description: 'A floating license is only valid while this machine holds a lease' },
+    NO_SEATS_AVAILABLE: { status: 409, description: 'Every concurrent seat of the floating license is leased' },
+    TRIAL_ALREADY_USED: { status: 409, description: 'This machine or network already received a trial' },
+    REPLAYED_NONCE: { status: 409, description: 'X-Nonce was already used; every request needs a fresh nonce' },
+    EXPIRED: { status: 410, description: 'The license has expired' },
+    UPDATE_REQUIRED: { status: 426, description: 'The client version is blocked or below the minimum; see data.downloadUrl' },
+    SERVER_ERROR: { status: 500, description: 'Unexpected server error' },
+    API_DISABLED: { status: 503, description: 'The license API is switched off' }
+};
+
+// v1 used different names for two of the catalog codes
+const V2_ROUTE = {
+    source: 'body',
+    aliases: { LICENSE_NOT_FOUND: 'INVALID_LICENSE', MISSING_LICENSE: 'MISSING_PARAMETERS' }
+};
+
+async function apiHwidResetRequest(params, req) {
+    const reply = (status, body) => ({ status, body });
+    const { hwid, reason } = params;
+    const license = normalizeLicenseKey(params.license);
+    
+    if (!license || !hwid) {
+        return reply(400, {
+            success: false,
+            code: 'MISSING_PARAMETERS',
+            message: 'License and HWID are required',
+            data: null
+        });
+    }
+    
+    if (await isMalformedLicenseKey(license)) {
+        return reply(400, malformedLicenseResponse(license));
+    }
+    
+    const pending = await findPendingHwidRequest(license);
+    if (pending) {
+        return reply(409, {
+            success: false,
+            code: 'DUPLICATE_REQUEST',
+            message: 'A reset request for this license is already pending',
+            data: { license, requestId: pending.id }
+        });
+    }
+    
+    const requestId = await addHwidRequest({
+        license,
+        hwid,
+        reason: reason || 'No reason provided',
+        requestIP: req.ip,
+        userAgent: req.get('User-Agent') || 'Unknown'
+    });
+    
+    await logActivity('HWID_RESET_REQUEST', `License: ${license} HWID: ${hwid} RequestID: ${requestId}`, req.ip);
+    await queueWebhookEvent('HWID_RESET_REQUEST', { requestId, license, hwid, reason: reason || null });
+    return reply(201, {
+        success: true,
+        code: 'HWID_RESET_REQUESTED',
+        message: 'HWID reset request submitted',
+        data: { license, hwid, requestId }
+    });
+}
+
+// What the customer may see of a request (not the deciding admin or the requesting IP)
+function hwidRequestStatusData(requestId, request) {
+    return {
+        requestId,
+        license: request.license,
+        hwid: request.hwid,
+        status: request.status,
+        requestedAt: request.createdAt || null,
+        resolvedAt: request.resolvedAt || null,
+        message: request.customerMessage || ''
+    };
+}
+
+// The request ID alone isn't enough: the license must match too, and a mismatch reads as
+// not found so request IDs can't be probed
+async function findCustomerHwidRequest(params) {
+    const license = normalizeLicenseKey(params.license);
+    if (!params.requestId || !license) {
+        return { error: { status: 400, body: { success: false, code: 'MISSING_PARAMETERS', message: 'Request ID and license are required', data: null } } };
+    }
+    
+    const request = await getHwidRequest(params.requestId);
+    if (!request || request.license !== license) {
+        return { error: { status: 404, body: { success: false, code: 'REQUEST_NOT_FOUND', message: 'HWID reset request not found', data: { requestId: params.requestId } } } };
+    }
+    return { request };
+}
+
+async function apiHwidResetStatus(params) {
+    const { error, request } = await findCustomerHwidRequest(params);
+    if (error) {
+        return error;
+    }
+    return {
+        status: 200,
+        body: {
+            success: true,
+            code: `REQUEST_${request.status.toUpperCase()}`,
+            message: `HWID reset request is ${request.status}`,
+            data: hwidRequestStatusData(params.requestId, request)
+        }
+    };
+}
+
+async function apiHwidResetCancel(params, req) {
+    const { error } = await findCustomerHwidRequest(params);
+    if (error) {
+        return error;
+    }
+    
+    const { code, request } = await resolveHwidRequest(params.requestId, 'cancelled', { by: 'customer' });
+    if (code === 'REQUEST_NOT_PENDING') {
+        return {
+            status: 409,
+            body: {
+                success: false,
+                code,
+                message: `HWID reset request is already ${request.status}`,
+                data: hwidRequestStatusData(params.requestId, request)
+            }
+        };
+    }
+    
+    await logActivity('HWID_RESET_CANCELLED', `License: ${request.license} RequestID: ${params.requestId}`, req.ip, req.get('User-Agent'));
+    return {
+        status: 200,
+        body: {
+            success: true,
+            code: 'REQUEST_CANCELLED',
+            message: 'HWID reset request cancelled',
+            data: hwidRequestStatusData(params.requestId, request)
+        }
+    };
+}
+
+// Self-service machine change, called from the new machine. Moves beyond the limits of
+// hwidMoveAllowance() become an HWID reset request for the admin instead.
+const HWID_MOVE_REFUSALS = {
+    DISABLED: 'self-service moves are switched off',
+    LIMIT_REACHED: 'move limit reached',
+    COOLDOWN: 'cooldown after the last move',
+    DEVICE_KEY_BOUND: 'the old device is bound to a device key'
+};
+
+async function apiMoveLicense(params, req) {
+    const reply = (status, body) => ({ status, body });
+    const { hwid, oldHwid, version } = params;
+    const license = normalizeLicenseKey(params.license);
+    
+    if (!license || !hwid || !oldHwid) {
+        return reply(400, {
+            success: false,
+            code: 'MISSING_PARAMETERS',
+            message: 'License, HWID and old HWID are required',
+            data: null
+        });
+    }
+    
+    if (await isMalformedLicenseKey(license)) {
+        return reply(400, malformedLicenseResponse(license));
+    }
+    
+    const { error, settings } = await checkLicenseAccess(license, hwid, { version });
+    if (error) {
+        return error;
+    }
+    
+    await logActivity('API_HWID_MOVE', `License: ${license} From: ${oldHwid} To: ${hwid}`, req.ip, req.get('User-Agent'));
+    
+    const result = await moveLicenseHwid(license, oldHwid, hwid, {
+        ip: req.ip,
+        deviceInfo: req.get('User-Agent'),
+        clientVersion: version,
+        settings
+    });
+    
+    if (result.code === 'FLOATING_LICENSE') {
+        return reply(409, floatingLicenseResponse(license));
+    }
+    
+    if (result.code === 'HWID_MISMATCH') {
+        return reply(409, {
+            success: false,
+            code: 'HWID_MISMATCH',
+            message: 'The old HWID is not registered to this license',
+            data: { license, oldHwid }
+        });
+    }
+    
+    if (result.code === 'DEVICE_ALREADY_REGISTERED') {
+        return reply(409, {
+            success: false,
+            code: 'DEVICE_ALREADY_REGISTERED',
+            message: 'This machine is already registered to the license',
+            data: { license, hwid }
+        });
+    }
+    
+    if (result.code === 'HWID_IN_USE') {
+        return reply(409, {
+            success: false,
+            code: 'HWID_IN_USE',
+            message: 'Hardware ID is already registered to another license',
+            data: { hwid, existing_license: result.existingLicense }
+        });
+    }
+    
+    if (result.code === 'NEEDS_APPROVAL') {
+        const pending = await findPendingHwidRequest(license);
+        const requestId = pending ? pending.id : await addHwidRequest({
+            license,
+            hwid,
+            oldHwid,
+            reason: `Self-service move from ${oldHwid} refused: ${HWID_MOVE_REFUSALS[result.reason]}`,
+            requestIP: req.ip,
+            userAgent: req.get('User-Agent') || 'Unknown'
+        });
+        if (!pending) {
+            await logActivity('HWID_RESET_REQUEST', `License: ${license} HWID: ${hwid} RequestID: ${requestId} (move refused: ${result.reason})`, req.ip);
+            await queueWebhookEvent('HWID_RESET_REQUEST', { requestId, license, hwid, oldHwid, reason: `Self-service move refused: ${result.reason}` });
+        }
+        return reply(202, {
+            success: true,
+            code: 'HWID_CHANGE_QUEUED',
+            message: `Move needs admin approval: ${HWID_MOVE_REFUSALS[result.reason]}`,
+            data: { license, hwid, oldHwid, requestId, reason: result.reason, nextAllowedAt: result.nextAllowedAt }
+        });
+    }
+    
+    await logActivity('HWID_MOVED', `License: ${license} From: ${oldHwid} To: ${hwid}`, req.ip, req.get('User-Agent'));
+    const plans = await getPlans();
+    return reply(200, {
+        success: true,
+        code: 'HWID_MOVED',
+        message: 'License moved to this machine',
+        data: {
+            license,
+            hwid,
+            oldHwid,
+            movesLeft: result.movesLeft,
+            token: issueLicenseToken(license, result.lic, hwid, settings, plans)
+        }
+    });
+}
+
+app.post('/api/move-license', apiRoute(apiMoveLicense, 'License move', { source: 'body' }));
+app.get('/api/hwid-reset-status', apiRoute(apiHwidResetStatus, 'HWID reset status'));
+app.post('/api/cancel-hwid-reset', apiRoute(apiHwidResetCancel, 'HWID reset cancel', { source: 'body' }));
+
+async function apiErrorCodes() {
+    return {
+        status: 200,
+        body: {
+            success: true,
+            code: 'ERROR_CODES',
+            message: 'API error code catalog',
+            data: Object.entries(API_ERROR_CODES).map(([code, { status, description }]) => ({ code, status, description }))
+        }
+    };
+}
+
+app.post('/api/v2/validate', apiRoute(apiValidate, 'Validation', V2_ROUTE));
+app.post('/api/v2/register', apiRoute(apiRegister, 'Registration', V2_ROUTE));
+app.post('/api/v2/license-info', apiRoute(apiLicenseInfo, 'License info', V2_ROUTE));
+app.post('/api/v2/trial', apiRoute(apiTrial, 'Trial', { ...V2_ROUTE, requireProduct: true }));
+app.post('/api/v2/request-hwid-reset', apiRoute(apiHwidResetRequest, 'HWID reset request', V2_ROUTE));
+app.post('/api/v2/move-license', apiRoute(apiMoveLicense, 'License move', V2_ROUTE));
+app.post('/api/v2/hwid-reset-status', apiRoute(apiHwidResetStatus, 'HWID reset status', V2_ROUTE));
+app.post('/api/v2/cancel-hwid-reset', apiRoute(apiHwidResetCancel, 'HWID reset cancel', V2_ROUTE));
+app.post('/api/v2/device/challenge', apiRoute(apiDeviceChallenge, 'Device challenge', V2_ROUTE));
+app.post('/api/v2/device/activate', apiRoute(apiDeviceActivate, 'Device activation', V2_ROUTE));
+app.post('/api/v2/lease/checkout', apiRoute(apiLeaseCheckout, 'Lease checkout', V2_ROUTE));
+app.post('/api/v2/lease/heartbeat', apiRoute(apiLeaseHeartbeat, 'Lease heartbeat', V2_ROUTE));
+app.post('/api/v2/lease/release', apiRoute(apiLeaseRelease, 'Lease release', V2_ROUTE));
+app.get('/api/v2/public-keys', apiRoute(apiPublicKeys, 'Public keys', V2_ROUTE));
+app.get('/api/v2/error-codes', apiRoute(apiErrorCodes, 'Error codes', V2_ROUTE));
+app.get('/api/openapi.json', (req, res) => res.json(buildOpenApiDocument()));
+
+// --- OFFLINE ACTIVATION ---
+// Registers the device from an uploaded request blob; resolves to { error } or { file, body }
+// The public page can't carry a request signature, so licenses of products that require
+// signed requests are only activated from the dashboard (`trusted`)
+async function processOfflineActivation(requestText, ip, source, { trusted = false } = {}) {
+    const request = parseActivationRequest(requestText);
+    if (!request) {
+        return { error: 'Activation request is missing or malformed' };
+    }
+    request.license = normalizeLicenseKey(request.license);
+    if (await isMalformedLicenseKey(request.license)) {
+        return { error: 'MALFORMED_LICENSE: License key is malformed' };
+    }
+    if (!trusted) {
+        const lic = await getLicense(request.license);
+        const product = lic && lic.productId ? (await getProducts())[lic.productId] : null;
+        if (product && product.signingEnabled) {
+            return { error: 'SIGNATURE_REQUIRED: This product requires signed requests; ask support to activate this machine' };
+        }
+    }
+    
+    await logActivity('OFFLINE_ACTIVATION', `License: ${request.license} HWID: ${request.hwid} Via: ${source}`, ip, request.deviceInfo || 'Offline client');
+    
+    const { body } = await registerDevice({
+        license: request.license,
+        hwid: request.hwid,
+        ip,
+        deviceInfo: request.deviceInfo || 'Offline activation',
+        version: request.version,
+        offline: true
+    });
+    if (!body.success) {
+        return { error: `${body.code}: ${body.message}` };
+    }
+    
+    const response = {
+        type: 'activation-response',
+        ...body.data,
+        issuedAt: new Date().toISOString()
+    };
+    return {
+        file: `activation-${request.license}.lic`,
+        body: Buffer.from(JSON.stringify(response)).toString('base64')
+    };
+}
+
+function renderOfflineActivationPage(error = null) {
+    return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>Offline Activation - PC Optimizer Pro</title>
+            <meta name="viewport" content="width=device-width,initial-scale=1">
+        </head>
+        <body style="margin:0;padding:40px 20px;background:#1a1d23;color:#00aaee;font-family:'Segoe UI',Tahoma,sans-serif;min-height:100vh;box-sizing:border-box;">
+            <div style="max-width:640px;margin:0 auto;background:rgba(35,39,46,0.95);padding:40px;border-radius:20px;border:2px solid rgba(0,170,238,0.4);">
+                <h2 style="margin-top:0;">📴 Offline Activation</h2>
+                <p style="color:#ccc;">Export an activation request from PC Optimizer Pro on the offline machine, upload or paste it here, then import the downloaded response file on that machine.</p>
+                ${error ? `<p style="color:#ff6b6b;background:rgba(255,107,107,0.1);padding:12px;border-radius:8px;">❌ ${error}</p>` : ''}
+                <form method="post" action="/activate-offline">
+                    <input type="file" accept=".req,.txt,.json" onchange="loadRequestFile(this)" style="margin-bottom:15px;color:#ccc;">
+                    <textarea name="request" rows="8" required placeholder="Paste the activation request here" style="width:100%;box-sizing:border-box;background:#23272e;color:#fff;border:1px solid rgba(0,170,238,0.3);border-radius:8px;padding:12px;font-family:'Courier New',monospace;"></textarea>
+                    <button type="submit" style="margin-top:15px;background:linear-gradient(45deg,#00aaee,#0099cc);color:#fff;border:none;padding:12px 30px;border-radius:8px;font-weight:bold;cursor:pointer;">⬇️ Activate & Download Response</button>
+                </form>
+                <p style="margin-top:30px;"><a href="/" style="color:#00aaee;">← Back to Home</a></p>
+            </div>
+            <script>
+                function loadRequestFile(input) {
+                    if (!input.files[0]) return;
+                    const reader = new FileReader();
+                    reader.onload = () => { input.form.request.value = reader.result; };
+                    reader.readAsText(input.files[0]);
+                }
+            </script>
+        </body>
+        </html>
+    `;
+}
+
+app.get('/activate-offline', (req, res) => {
+    res.send(renderOfflineActivationPage());
+});
+
+app.post('/activate-offline', async (req, res) => {
+    try {
+        const result = await processOfflineActivation(req.body.request, req.ip, 'public page');
+        if (result.error) {
+            return res.status(400).send(renderOfflineActivationPage(result.error));
+        }
+        res.attachment(result.file);
+        res.type('text/plain').send(result.body);
+    } catch (error) {
+        console.error('Offline activation error:', error);
+        res.status(500).send(renderOfflineActivationPage('Internal server error'));
+    }
+});
+
+// --- ROOT ROUTE ---
+app.get('/', (req, res) => {
+    res.send(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>PC Optimizer Pro Server</title>
+            <meta name="viewport" content="width=device-width,initial-scale=1">
+            <style>
+                body { 
+                    background: linear-gradient(135deg, #1a1d23 0%, #23272e 100%);
+                    color: #00aaee; 
+                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                    margin: 0; 
+                    padding: 40px;
+                    min-height: 100vh;
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    justify-content: center;
+                    position: relative;
+                    overflow-x: hidden;
+                }
+                .particles { position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none; }
+                .particle { position: absolute; background: rgba(0, 170, 238, 0.6); border-radius: 50%; animation: float 6s ease-in-out infinite; }
+                .particle:nth-child(1) { width: 4px; height: 4px; left: 10%; animation-delay: 0s; }
+                .particle:nth-child(2) { width: 6px; height: 6px; left: 20%; animation-delay: 1s; }
+                .particle:nth-child(3) { width: 3px; height: 3px; left: 30%; animation-delay: 2s; }
+                .particle:nth-child(4) { width: 5px; height: 5px; left: 40%; animation-delay: 3s; }
+                .particle:nth-child(5) { width: 4px; height: 4px; left: 50%; animation-delay: 4s; }
+                .particle:nth-child(6) { width: 6px; height: 6px; left: 60%; animation-delay: 5s; }
+                .particle:nth-child(7) { width: 3px; height: 3px; left: 70%; animation-delay: 0.5s; }
+                .particle:nth-child(8) { width: 5px; height: 5px; left: 80%; animation-delay: 1.5s; }
+                .particle:nth-child(9) { width: 4px; height: 4px; left: 90%; animation-delay: 2.5s; }
+                @keyframes float { 0%, 100% { transform: translateY(100vh) rotate(0deg); opacity: 0; } 10%, 90% { opacity: 1; } 50% { transform: translateY(-10px) rotate(180deg); } }
+                .container {
+                    text-align: center;
+                    background: rgba(35, 39, 46, 0.9);
+                    padding: 60px;
+                    border-radius: 25px;
+                    box-shadow: 0 15px 50px rgba(0, 170, 238, 0.3);
+                    border: 2px solid rgba(0, 170, 238, 0.4);
+                    backdrop-filter: blur(15px);
+                    z-index: 10;
+                    position: relative;
+                    max-width: 800px;
+                }
+                h1 { 
+                    font-size: 3.5em; 
+                    margin-bottom: 20px;
+                    background: linear-gradient(45deg, #00aaee, #0099cc, #00d4ff);
+                    -webkit-background-clip: text;
+                    -webkit-text-fill-color: transparent;
+                    background-clip: text;
+                    animation: glow 2s ease-in-out infinite alternate;
+                }
+                @keyframes glow { from { filter: drop-shadow(0 0 20px rgba(0, 170, 238, 0.5)); } to { filter: drop-shadow(0 0 30px rgba(0, 170, 238, 0.8)); } }
+                .subtitle {
+                    font-size: 1.3em;
+                    margin-bottom: 40px;
+                    opacity: 0.9;
+                    font-weight: 300;
+                }
+                .admin-btn {
+                    display: inline-block;
+                    background: linear-gradient(45deg, #00aaee, #0099cc, #00d4ff);
+                    color: white;
+                    padding: 18px 40px;
+                    text-decoration: none;
+                    border-radius: 15px;
+                    font-weight: bold;
+                    font-size: 1.2em;
+                    transition: all 0.4s;
+                    box-shadow: 0 6px 25px rgba(0, 170, 238, 0.4);
+                    position: relative;
+                    overflow: hidden;
+                }
+                .admin-btn:before {
+                    content: '';
+                    position: absolute;
+                    top: 0;
+                    left: -100%;
+                    width: 100%;
+                    height: 100%;
+                    background: linear-gradient(90deg, transparent, rgba(255,255,255,0.3), transparent);
+                    transition: left 0.5s;
+                }
+                .admin-btn:hover:before { left: 100%; }
+                .admin-btn:hover {
+                    transform: translateY(-3px) scale(1.05);
+                    box-shadow: 0 10px 35px rgba(0, 170, 238, 0.6);
+                }
+                .status-grid {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+                    gap: 25px;
+                    margin-top: 50px;
+                }
+                .status-card {
+                    background: rgba(0, 170, 238, 0.1);
+                    padding: 30px 20px;
+                    border-radius: 15px;
+                    border: 1px solid rgba(0, 170, 238, 0.3);
+                    transition: all 0.3s;
+                    position: relative;
+                    overflow: hidden;
+                }
+                .status-card:hover {
+                    transform: translateY(-8px);
+                    box-shadow: 0 10px 30px rgba(0, 170, 238, 0.3);
+                    border-color: rgba(0, 170, 238, 0.6);
+                }
+                .status-card h3 {
+                    margin-top: 0;
+                    color: #00aaee;
+                    font-size: 1.1em;
+                }
+                .emoji { 
+                    font-size: 2em; 
+                    display: block;
+                    margin-bottom: 10px;
+                    animation: bounce 2s infinite;
+                }
+                @keyframes bounce { 0%, 20%, 50%, 80%, 100% { transform: translateY(0); } 40% { transform: translateY(-10px); } 60% { transform: translateY(-5px); } }
+                .api-info {
+                    margin-top: 40px;
+                    padding: 25px;
+                    background: rgba(0, 170, 238, 0.05);
+                    border-radius: 15px;
+                    border: 1px solid rgba(0, 170, 238, 0.2);
+                }
+                .api-endpoint {
+                    background: rgba(0, 0, 0, 0.3);
+                    padding: 10px 15px;
+                    border-radius: 8px;
+                    font-family: 'Courier New', monospace;
+                    margin: 5px 0;
+                    font-size: 0.9em;
+                    border-left: 3px solid #00aaee;
+                }
+                .footer-info {
+                    margin-top: 40px; 
+                    opacity: 0.7;
+                    font-size: 0.9em;
+                }
+                .status-indicator {
+                    display: inline-block;
+                    width: 12px;
+                    height: 12px;
+                    border-radius: 50%;
+                    background: #00ff00;
+                    animation: pulse 2s infinite;
+                    margin-right: 8px;
+                }
+                @keyframes pulse { 0% { box-shadow: 0 0 0 0 rgba(0, 255, 0, 0.7); } 70% { box-shadow: 0 0 0 10px rgba(0, 255, 0, 0); } 100% { box-shadow: 0 0 0 0 rgba(0, 255, 0, 0); } }
+            </style>
+        </head>
+        <body>
+            <div class="particles">
+                <div class="particle"></div>
+                <div class="particle"></div>
+                <div class="particle"></div>
+                <div class="particle"></div>
+                <div class="particle"></div>
+                <div class="particle"></div>
+                <div class="particle"></div>
+                <div class="particle"></div>
+                <div class="particle"></div>
+            </div>
+            
+            <div class="container">
+                <h1>🚀 PC Optimizer Pro</h1>
+                <p class="subtitle">Enterprise License Management System</p>
+                
+                <a href="/admin" class="admin-btn">🔐 Access Admin Panel</a>
+                
+                <div class="status-grid">
+                    <div class="status-card">
+                        <span class="emoji">🔥</span>
+                        <h3>Firebase</h3>
+                        <p>Connected & Synced</p>
+                    </div>
+                    <div class="status-card">
+                        <span class="emoji">🛡️</span>
+                        <h3>Security</h3>
+                        <p>Military Grade</p>
+                    </div>
+                    <div class="status-card">
+                        <span class="emoji">⚡</span>
+                        <h3>Performance</h3>
+                        <p>Lightning Fast</p>
+                    </div>
+                    <div class="status-card">
+                        <span class="emoji">📊</span>
+                        <h3>Analytics</h3>
+                        <p>Real-time Data</p>
+                    </div>
+                </div>
+                
+                <div class="api-info">
+                    <h3 style="color: #00aaee; margin-bottom: 15px;">🔌 API Endpoints</h3>
+                    <div class="api-endpoint">GET /api/validate?license=LICENSE&hwid=HWID</div>
+                    <div class="api-endpoint">GET /api/register?license=LICENSE&hwid=HWID</div>
+                    <div class="api-endpoint">GET /api/license-info?license=LICENSE</div>
+                    <div class="api-endpoint">GET /api/trial?hwid=HWID</div>
+                    <div class="api-endpoint">GET /api/public-keys</div>
+                    <div class="api-endpoint">POST /api/v2/validate | register | license-info | trial | request-hwid-reset (JSON body)</div>
+                    <div class="api-endpoint">GET /api/v2/error-codes</div>
+                    <div class="api-endpoint">GET /api/openapi.json (OpenAPI 3 specification)</div>
+                    <div class="api-endpoint">POST /api/request-hwid-reset</div>
+                    <div class="api-endpoint">GET /api/hwid-reset-status?requestId=ID&license=KEY</div>
+                    <div class="api-endpoint">POST /api/move-license (self-service machine change)</div>
+                    <div class="api-endpoint">POST /api/lease/checkout | heartbeat | release</div>
+                    <div class="api-endpoint">POST /api/device/challenge | activate (device key binding)</div>
+                    <div class="api-endpoint">GET /activate-offline (request/response file activation)</div>
+                    <div class="api-endpoint">/api/admin/* (admin API, API key required)</div>
+                </div>
+                
+                <div class="footer-info">
+                    <p>
+                        <span class="status-indicator"></span>
+                        Server Status: Online | Port: ${CONFIG.PORT} | Environment: ${process.env.NODE_ENV || 'development'}
+                    </p>
+                    <p style="margin-top: 10px;">
+                        🌐 ${store.description} | 
+                        ⏰ Uptime: ${process.uptime().toFixed(0)}s
+                    </p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `);
+});
+
+// --- ENHANCED ADMIN LOGIN ---
+app.get('/admin/login', (req, res) => {
+    if (req.session && req.session.user === CONFIG.ADMIN_USERNAME) {
+        return res.redirect('/admin');
+    }
+    
+    res.send(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>Admin Login - PC Optimizer Pro</title>
+            <meta name="viewport" content="width=device-width,initial-scale=1">
+            <style>
+                * { box-sizing: border-box; margin: 0; padding: 0; }
+                body { 
+                    background: linear-gradient(135deg, #1a1d23 0%, #23272e 100%);
+                    color: #00aaee; 
+                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                    min-height: 100vh;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    padding: 20px;
+                    position: relative;
+                    overflow: hidden;
+                }
+                .bg-animation {
+                    position: absolute;
+                    top: 0;
+                    left: 0;
+                    width: 100%;
+                    height: 100%;
+                    background: linear-gradient(45deg, rgba(0, 170, 238, 0.1), rgba(0, 153, 204, 0.1));
+                    animation: backgroundShift 10s ease-in-out infinite alternate;
+                }
+                @keyframes backgroundShift {
+                    0% { transform: translateX(-10px) translateY(-10px); }
+                    100% { transform: translateX(10px) translateY(10px); }
+                }
+                .login-container { 
+                    width: 100%; 
+                    max-width: 450px; 
+                    z-index: 10;
+                }
+                .login-box { 
+                    background: rgba(35, 39, 46, 0.95);
+                    padding: 60px 50px;
+                    border-radius: 25px;
+                    box-shadow: 0 15px 50px rgba(0, 170, 238, 0.3);
+                    border: 2px solid rgba(0, 170, 238, 0.4);
+                    backdrop-filter: blur(15px);
+                    position: relative;
+                    overflow: hidden;
+                }
+                .login-box:before {
+                    content: '';
+                    position: absolute;
+                    top: -50%;
+                    left: -50%;
+                    width: 200%;
+                    height: 200%;
+                    background: linear-gradient(45deg, transparent, rgba(0, 170, 238, 0.1), transparent);
+                    animation: rotate 10s linear infinite;
+                    z-index: -1;
+                }
+                @keyframes rotate { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }
+                .login-box h2 { 
+                    margin-bottom: 40px; 
+                    font-weight: 600; 
+                    text-align: center; 
+                    font-size: 2.2em;
+                    background: linear-gradient(45deg, #00aaee, #0099cc, #00d4ff);
+                    -webkit-background-clip: text;
+                    -webkit-text-fill-color: transparent;
+                    background-clip: text;
+                }
+                .form-group { 
+                    margin-bottom: 30px; 
+                    position: relative;
+                }
+                .form-group label {
+                    position: absolute;
+                    top: 15px;
+                    left: 20px;
+                    color: rgba(0, 170, 238, 0.6);
+                    transition: all 0.3s;
+                    pointer-events: none;
+                    font-size: 16px;
+                }
+                input { 
+                    width: 100%; 
+                    padding: 20px; 
+                    background: rgba(26, 29, 35, 0.8);
+                    color: #00aaee; 
+                    border: 2px solid rgba(0, 170, 238, 0.3);
+                    border-radius: 12px; 
+                    font-size: 16px; 
+                    outline: none; 
+                    transition: all 0.4s;
+                }
+                input:focus, input:not(:placeholder-shown) { 
+                    border-color: #00aaee;
+                    box-shadow: 0 0 20px rgba(0, 170, 238, 0.3);
+                    transform: translateY(-2px);
+                }
+                input:focus + label, input:not(:placeholder-shown) + label {
+                    top: -10px;
+                    left: 15px;
+                    font-size: 12px;
+                    background: rgba(35, 39, 46, 0.9);
+                    padding: 2px 8px;
+                    border-radius: 4px;
+                    color: #00aaee;
+                }
+                button { 
+                    width: 100%; 
+                    padding: 20px; 
+                    background: linear-gradient(45deg, #00aaee, #0099cc, #00d4ff);
+                    color: #fff; 
+                    border: none; 
+                    border-radius: 12px; 
+                    font-weight: 600; 
+                    font-size: 18px; 
+                    cursor: pointer; 
+                    transition: all 0.4s;
+                    box-shadow: 0 6px 25px rgba(0, 170, 238, 0.4);
+                    position: relative;
+                    overflow: hidden;
+                }
+                button:before {
+                    content: '';
+                    position: absolute;
+                    top: 0;
+                    left: -100%;
+                    width: 100%;
+                    height: 100%;
+                    background: linear-gradient(90deg, transparent, rgba(255,255,255,0.3), transparent);
+                    transition: left 0.5s;
+                }
+                button:hover:before { left: 100%; }
+                button:hover { 
+                    transform: translateY(-3px);
+                    box-shadow: 0 10px 35px rgba(0, 170, 238, 0.6);
+                }
+                .info { 
+                    background: rgba(0, 170, 238, 0.15);
+                    color: #00aaee; 
+                    padding: 25px; 
+                    border-radius: 12px; 
+                    margin-bottom: 40px; 
+                    text-align: center; 
+                    border: 1px solid rgba(0, 170, 238, 0.3);
+                    animation: pulse-info 3s ease-in-out infinite alternate;
+                }
+                @keyframes pulse-info { 0% { box-shadow: 0 0 20px rgba(0, 170, 238, 0.2); } 100% { box-shadow: 0 0 30px rgba(0, 170, 238, 0.4); } }
+                .back-link {
+                    text-align: center;
+                    margin-top: 25px;
+                }
+                .back-link a {
+                    color: #00aaee;
+                    text-decoration: none;
+                    opacity: 0.8;
+                    transition: all 0.3s;
+                    font-weight: 500;
+                }
+                .back-link a:hover {
+                    opacity: 1;
+                    text-shadow: 0 0 10px rgba(0, 170, 238, 0.5);
+                }
+                .login-attempts {
+                    text-align: center;
+                    margin-top: 15px;
+                    font-size: 0.85em;
+                    opacity: 0.7;
+                }
+            </style>
+        </head>
+        <body>
+            <div class="bg-animation"></div>
+            <div class="login-container">
+                <div class="login-box">
+                    <div class="info">
+                        🔥 Firebase Integration Active<br>
+                        🛡️ Secure • ⚡ Fast • 📊 Real-time
+                    </div>
+                    <h2>🔐 Admin Access</h2>
+                    <form method="post" action="/admin/login">
+                        <div class="form-group">
+                            <input name="username" type="text" placeholder=" " required autocomplete="username">
+                            <label>Username</label>
+                        </div>
+                        <div class="form-group">
+                            <input name="password" type="password" placeholder=" " required autocomplete="current-password">
+                            <label>Password</label>
+                        </div>
+                        <button type="submit">🚀 Login to Dashboard</button>
+                    </form>
+                    <div class="login-attempts">
+                        🔒 Secure session management enabled
+                    </div>
+                    <div class="back-link">
+                        <a href="/">← Back to Home</a>
+                    </div>
+                </div>
+            </div>
+        </body>
+        </html>
+    `);
+});
+
+app.post('/admin/login', async (req, res) => {
+    const { username, password } = req.body;
+    
+    try {
+        if (username === CONFIG.ADMIN_USERNAME && password === CONFIG.ADMIN_PASSWORD) {
+            req.session.user = CONFIG.ADMIN_USERNAME;
+            await logActivity('ADMIN_LOGIN_SUCCESS', `Admin logged in`, req.ip, req.get('User-Agent'));
+            console.log('✅ Admin logged in successfully');
+            return res.redirect('/admin');
+        }
+        
+        await logActivity('ADMIN_LOGIN_FAILED', `Failed login attempt for: ${username}`, req.ip, req.get('User-Agent'));
+        await queueWebhookEvent('ADMIN_LOGIN_FAILED', { username: username || null, ip: req.ip, userAgent: req.get('User-Agent') || null });
+        console.log('❌ Failed login attempt');
+        res.send('<script>alert("Invalid credentials!");window.location="/admin/login";</script>');
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).send('<script>alert("Server error!");window.location="/admin/login";</script>');
+    }
+});
+
+app.get('/admin/logout', async (req, res) => {
+    try {
+        await logActivity('ADMIN_LOGOUT', `Admin logged out`, req.ip, req.get('User-Agent'));
+        req.session.destroy(() => {
+            res.redirect('/admin/login');
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        req.session.destroy(() => {
+            res.redirect('/admin/login');
+        });
+    }
+});
+
+// --- ULTIMATE ADMIN DASHBOARD ---
+app.get('/admin', requireLogin, async (req, res) => {
+    try {
+        const [licenses, banlist, activityLog, hwidRequests, settings, templates, plans, trials, customers, products, apiKeys, webhooks, webhookDeliveries, resellers] = await Promise.all([
+            getLicenses(),
+            getBanlist(),
+            getActivityLog(50),
+            getHwidRequests(),
+            getSettings(),
+            getLicenseTemplates(),
+            getPlans(),
+            getTrials(),
+            getCustomers(),
+            getProducts(),
+            getApiKeys(),
+            getWebhooks(),
+            getWebhookDeliveries(50),
+            getResellers()
+        ]);
+        
+        const planOptions = (selected) => Object.entries(plans).map(([id, plan]) => `
+            <option value="${id}" ${id === selected ? 'selected' : ''}>${escapeHtml(plan.name)}</option>
+        `).join('');
+        
+        const templateOptions = Object.entries(templates).map(([id, template]) => `
+            <option value="${id}">${escapeHtml(template.name)}</option>
+        `).join('');
+        
+        const customerOptions = (selected) => Object.entries(customers).map(([id, customer]) => `
+            <option value="${id}" ${id === selected ? 'selected' : ''}>${escapeHtml(customer.name)} (${escapeHtml(customer.email)})</option>
+        `).join('');
+        
+        const productOptions = (selected) => Object.entries(products).map(([id, product]) => `
+            <option value="${id}" ${id === selected ? 'selected' : ''}>${escapeHtml(product.name)}</option>
+        `).join('');
+        
+        const productRows = Object.entries(products).map(([id, product]) => `
+            <tr>
+                <td colspan="3">
+                    <form method="post" action="/admin/save-product">
+                        <input type="hidden" name="productId" value="${id}">
+                        <div class="form-grid">
+                            <input name="name" value="${escapeHtml(product.name)}" placeholder="Product name">
+                            <label><input name="signingEnabled" type="checkbox" style="width:auto;" ${product.signingEnabled ? 'checked' : ''}> Require signed requests</label>
+                            <input value="${product.secret}" readonly onclick="this.select()" title="Shared secret (HMAC-SHA256)">
+                            <button type="submit" class="btn btn-primary">💾 Save ${id}</button>
+                        </div>
+                    </form>
+                </td>
+                <td class="actions">
+                    <form style="display:inline;" method="post" action="/admin/rotate-product-secret">
+                        <input type="hidden" name="productId" value="${id}">
+                        <button type="submit" class="btn btn-warning" onclick="return confirm('Clients using the old secret will be rejected. Rotate?')" title="Rotate Secret">🔁</button>
+                    </form>
+                    <form style="display:inline;" method="post" action="/admin/delete-product">
+                        <input type="hidden" name="productId" value="${id}">
+                        <button type="submit" class="btn btn-danger" onclick="return confirm('Delete this product?')" title="Delete">🗑️</button>
+                    </form>
+                </td>
+            </tr>
+        `).join('');
+        
+        const apiKeyRows = Object.entries(apiKeys)
+            .sort(([, a], [, b]) => String(b.createdAt).localeCompare(String(a.createdAt)))
+            .map(([id, apiKey]) => `
+            <tr>
+                <td><strong>${escapeHtml(apiKey.name)}</strong><br><small style="font-family:'Courier New',monospace;color:#6c757d;">pco_${id}_…</small></td>
+                <td><small>${apiKey.scopes.join(', ')}</small></td>
+                <td><small>Created ${formatTimeAgo(apiKey.createdAt)} by ${apiKey.createdBy}<br>${apiKey.lastUsedAt ? `Last used ${formatTimeAgo(apiKey.lastUsedAt)}` : 'Never used'}</small></td>
+                <td class="actions">
+                    ${apiKey.revokedAt ? `<span style="color:#ff6b6b;">Revoked ${formatTimeAgo(apiKey.revokedAt)}</span>` : `
+                    <form style="display:inline;" method="post" action="/admin/revoke-api-key">
+                        <input type="hidden" name="keyId" value="${id}">
+                        <button type="submit" class="btn btn-danger" onclick="return confirm('Calls with this key will be rejected. Revoke?')" title="Revoke">⛔</button>
+                    </form>`}
+                </td>
+            </tr>
+        `).join('');
+        
+        const webhookEventCheckboxes = (selected) => Object.entries(WEBHOOK_EVENTS).map(([event, description]) => `
+            <label title="${description}"><input name="events" value="${event}" type="checkbox" style="width:auto;" ${selected.includes(event) ? 'checked' : ''}> ${event}</label>
+        `).join('');
+        
+        const webhookRows = Object.entries(webhooks).map(([id, webhook]) => `
+            <tr>
+                <td colspan="3">
+                    <form method="post" action="/admin/save-webhook">
+                        <input type="hidden" name="webhookId" value="${id}">
+                        <div class="form-grid">
+                            <input name="url" type="url" value="${escapeHtml(webhook.url)}" required>
+                            <input name="description" value="${escapeHtml(webhook.description)}" placeholder="Description">
+                            <label><input name="active" type="checkbox" style="width:auto;" ${webhook.active ? 'checked' : ''}> Active</label>
+                            <div class="feature-list">${webhookEventCheckboxes(webhook.events || [])}</div>
+                            <input value="${webhook.secret}" readonly onclick="this.select()" title="Signing secret (HMAC-SHA256)">
+                            <button type="submit" class="btn btn-primary">💾 Save</button>
+                        </div>
+                    </form>
+                </td>
+                <td class="actions">
+                    <form style="display:inline;" method="post" action="/admin/test-webhook">
+                        <input type="hidden" name="webhookId" value="${id}">
+                        <button type="submit" class="btn btn-success" title="Send a WEBHOOK_TEST event">📤</button>
+                    </form>
+                    <form style="display:inline;" method="post" action="/admin/delete-webhook">
+                        <input type="hidden" name="webhookId" value="${id}">
+                        <button type="submit" class="btn btn-danger" onclick="return confirm('Delete this endpoint? Queued deliveries to it will fail.')" title="Delete">🗑️</button>
+                    </form>
+                </td>
+            </tr>
+        `).join('');
+        
+        const deliveryStatusColors = { delivered: '#00ff88', pending: '#ffa500', failed: '#ff6b6b' };
+        const webhookDeliveryRows = webhookDeliveries.map(delivery => `
+            <tr>
+                <td><strong>${delivery.event}</strong><br><small style="color:#6c757d;">${escapeHtml(delivery.url)}</small></td>
+                <td><span style="color:${deliveryStatusColors[delivery.status]};">${delivery.status}</span>${delivery.responseStatus ? ` <small>(HTTP ${delivery.responseStatus})</small>` : ''}<br><small>${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}${delivery.status === 'pending' && delivery.attempts ? `, retry at ${new Date(delivery.nextAttemptAt).toLocaleString()}` : ''}</small></td>
+                <td class="activity-details">${escapeHtml(delivery.lastError || '-')}${delivery.redeliveryOf ? `<br><small>Redelivery by ${delivery.requestedBy}</small>` : ''}</td>
+                <td>${formatTimeAgo(delivery.createdAt)}</td>
+                <td class="actions">
+                    <form style="display:inline;" method="post" action="/admin/redeliver-webhook">
+                        <input type="hidden" name="deliveryId" value="${delivery.id}">
+                        <button type="submit" class="btn btn-warning" title="Redeliver">🔁</button>
+                    </form>
+                </td>
+            </tr>
+        `).join('');
+        
+        const templateCheckboxes = (selected) => Object.entries(templates).map(([id, template]) => `
+            <label><input name="allowedTemplates" value="${id}" type="checkbox" style="width:auto;" ${selected.includes(id) ? 'checked' : ''}> ${escapeHtml(template.name)}</label>
+        `).join('') || '<small>Create a license template first</small>';
+        
+        const resellerRows = Object.entries(resellers).map(([id, reseller]) => {
+            const usage = getResellerUsage(id, reseller, licenses, hwidRequests);
+            return `
+            <tr>
+                <td colspan="2">
+                    <form method="post" action="/admin/save-reseller">
+                        <input type="hidden" name="resellerId" value="${id}">
+                        <div class="form-grid">
+                            <input name="name" value="${escapeHtml(reseller.name)}" placeholder="Name" required>
+                            <input name="email" type="email" value="${escapeHtml(reseller.email)}" placeholder="Email">
+                            <input name="password" type="password" placeholder="New password (leave empty to keep)" autocomplete="new-password">
+                            <input name="prefix" value="${escapeHtml(reseller.prefix)}" placeholder="Key prefix" required>
+                            <input name="keyQuota" type="number" min="0" value="${reseller.keyQuota}" title="Key quota">
+                            <label><input name="active" type="checkbox" style="width:auto;" ${reseller.active ? 'checked' : ''}> Active</label>
+                            <div class="feature-list">${templateCheckboxes(reseller.allowedTemplates || [])}</div>
+                            <button type="submit" class="btn btn-primary">💾 Save ${id}</button>
+                        </div>
+                    </form>
+                </td>
+                <td>
+                    <strong>${usage.keysIssued}/${usage.keyQuota}</strong> keys issued<br>
+                    <small>${usage.active} active · ${usage.activated} activated · ${usage.devices} devices<br>
+                    ${usage.pendingRequests} pending HWID requests<br>
+                    ${reseller.lastLoginAt ? `Last login ${formatTimeAgo(reseller.lastLoginAt)}` : 'Never logged in'}</small>
+                </td>
+                <td class="actions">
+                    <form style="display:inline;" method="post" action="/admin/delete-reseller">
+                        <input type="hidden" name="resellerId" value="${id}">
+                        <button type="submit" class="btn btn-danger" onclick="return confirm('Delete this reseller account?')" title="Delete">🗑️</button>
+                    </form>
+                </td>
+            </tr>
+        `;
+        }).join('');
+        
+        const customerRows = Object.entries(customers).map(([id, customer]) => `
+            <tr>
+                <td><a href="/admin/customers/${id}" style="color:#00aaee;">${escapeHtml(customer.name)}</a></td>
+                <td>${escapeHtml(customer.email)}</td>
+                <td>${escapeHtml(customer.orderRef || '-')}</td>
+                <td>${Object.values(licenses).filter(lic => lic.customerId === id).length}</td>
+                <td class="activity-details">${escapeHtml(customer.notes || '-')}</td>
+            </tr>
+        `).join('');
+        
+        // Client versions reported by devices and leases seen in the last 30 days
+        const versionCutoff = Date.now() - 30 * 24 * 60 * 60 * 1000;
+        const versionStats = {};
+        Object.values(licenses).forEach(lic => {
+            [...getLicenseDevices(lic), ...(lic.leases || [])].forEach(entry => {
+                const seenAt = entry.lastSeen || entry.lastHeartbeat;
+                if (!seenAt || new Date(seenAt).getTime() < versionCutoff) return;
+                const stat = versionStats[entry.clientVersion || 'unknown'] ||= { machines: 0, lastSeen: seenAt };
+                stat.machines++;
+                if (seenAt > stat.lastSeen) stat.lastSeen = seenAt;
+            });
+        });
+        
+        const versionRows = Object.entries(versionStats)
+            .sort(([a], [b]) => compareVersions(b, a))
+            .map(([version, stat]) => `
+            <tr>
+                <td class="license-key">${escapeHtml(version)}</td>
+                <td>${stat.machines}</td>
+                <td>${formatTimeAgo(stat.lastSeen)}</td>
+                <td>${version === 'unknown' ? (settings.minClientVersion ? '<span class="status suspended">⬆️ Update required</span>' : '<span class="inactive">Not reported</span>')
+                    : (settings.blockedClientVersions || []).includes(version) ? '<span class="status expired">⛔ Blocked</span>'
+                    : settings.minClientVersion && compareVersions(version, settings.minClientVersion) < 0 ? '<span class="status suspended">⬆️ Update required</span>'
+                    : '<span class="status active">✅ Supported</span>'}</td>
+            </tr>
+        `).join('');
+        
+        const templateRows = Object.entries(templates).map(([id, template]) => `
+            <tr>
+                <td colspan="6">
+                    <form method="post" action="/admin/save-template">
+                        <input type="hidden" name="templateId" value="${id}">
+                        <div class="form-grid">
+                            <input name="name" value="${escapeHtml(template.name)}" placeholder="Template name" required>
+                            <input name="prefix" value="${escapeHtml(template.prefix)}" placeholder="Key prefix">
+                            <input name="durationDays" type="number" min="1" value="${template.durationDays || ''}" placeholder="Duration (days from activation)">
+                            <select name="plan"><option value="">Default plan</option>${planOptions(template.plan)}</select>
+                            <input name="seats" type="number" min="1" value="${template.seats || ''}" placeholder="Seats">
+                            <label><input name="floating" type="checkbox" style="width:auto;" ${template.floating ? 'checked' : ''}> Floating</label>
+                            <input name="notes" value="${escapeHtml(template.notes)}" placeholder="Notes">
+                            <button type="submit" class="btn btn-primary">💾 Save</button>
+                        </div>
+                    </form>
+                </td>
+                <td class="actions">
+                    <form style="display:inline;" method="post" action="/admin/delete-template">
+                        <input type="hidden" name="templateId" value="${id}">
+                        <button type="submit" class="btn btn-danger" onclick="return confirm('Delete this template?')" title="Delete">🗑️</button>
+                    </form>
+                </td>
+            </tr>
+        `).join('');
+        
+        const totalLicenses = Object.keys(licenses).length;
+        let activeLicenses = 0;
+        let expiredLicenses = 0;
+        let recentActivity = 0;
+        
+        const now = new Date();
+        const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+        
+        Object.values(licenses).forEach(license => {
+            if (getLicenseDevices(license).length) {
+                if (isLicenseExpired(license)) {
+                    expiredLicenses++;
+                } else {
+                    activeLicenses++;
+                }
+            }
+            if (license.lastValidated && new Date(license.lastValidated) > oneDayAgo) {
+                recentActivity++;
+            }
+        });
+        
+        // Generate various UI components (truncated for brevity)
+        // Trials are listed in their own section
+        const paidLicenses = Object.entries(licenses).filter(([, val]) => !val.trial);
+        
+        const batches = {};
+        paidLicenses.forEach(([, val]) => {
+            if (val.batchId) batches[val.batchId] = (batches[val.batchId] || 0) + 1;
+        });
+        const batchOptions = Object.entries(batches).sort(([a], [b]) => b - a).map(([batchId, count]) => `
+            <option value="${batchId}">Batch ${new Date(Number(batchId)).toISOString().replace('T', ' ').substring(0, 16)} (${count} keys)</option>
+        `).join('');
+        const licenseRows = paidLicenses.map(([key, val]) => `
+            <tr>
+                <td><input type="checkbox" name="licenses" value="${key}" form="bulkExtendForm" style="width:auto;"></td>
+                <td class="license-key">
+                    <div class="license-info">
+                        <span class="key">${key}</span>
+                        <small class="created">${val.createdAt ? formatTimeAgo(val.createdAt) : 'Unknown'}${val.resellerId ? ` · 🤝 ${val.resellerId}` : ''}</small>
+                        <form method="post" action="/admin/assign-customer">
+                            <input type="hidden" name="license" value="${key}">
+                            <select name="customerId" onchange="this.form.submit()" title="Customer"><option value="">No customer</option>${customerOptions(val.customerId)}</select>
+                        </form>
+                    </div>
+                </td>
+                <td class="hwid">
+                    ${val.floating ? `
+                    ${getActiveLeases(val).map(lease => `
+                        <div class="device">
+                            <span>${escapeHtml(lease.hwid)}</span>
+                            <small class="created">leased ${formatTimeAgo(lease.checkedOutAt)}, beat ${formatTimeAgo(lease.lastHeartbeat)}</small>
+                            <form style="display:inline;" method="post" action="/admin/release-lease">
+                                <input type="hidden" name="license" value="${key}">
+                                <input type="hidden" name="leaseId" value="${lease.id}">
+                                <button type="submit" class="btn btn-warning" onclick="return confirm('End this lease?')" title="End Lease">✖</button>
+                            </form>
+                        </div>
+                    `).join('') || '<span class="inactive">No active leases</span>'}
+                    <small class="seats">🌐 Floating: ${getActiveLeases(val).length}/${getSeatLimit(val, settings)} in use</small>
+                    ` : `
+                    ${getLicenseDevices(val).map(device => `
+                        <div class="device">
+                            <span>${device.publicKey ? `<span title="Bound to a device key ${formatTimeAgo(device.keyBoundAt)}">🔑</span> ` : ''}${escapeHtml(device.hwid)}</span>
+                            <small class="created">${device.lastSeen || device.activatedAt ? 'seen ' + formatTimeAgo(device.lastSeen || device.activatedAt) : ''}</small>
+                            <form style="display:inline;" method="post" action="/admin/release-seat">
+                                <input type="hidden" name="license" value="${key}">
+                                <input type="hidden" name="hwid" value="${escapeHtml(device.hwid)}">
+                                <button type="submit" class="btn btn-warning" onclick="return confirm('Free this seat?')" title="Free Seat">✖</button>
+                            </form>
+                        </div>
+                    `).join('') || '<span class="inactive">Not Activated</span>'}
+                    <small class="seats">${getLicenseDevices(val).length}/${getSeatLimit(val, settings)} seats</small>
+                    `}
+                </td>
+                <td>
+                    <form method="post" action="/admin/set-license-plan">
+                        <input type="hidden" name="license" value="${key}">
+                        <select name="plan" onchange="this.form.submit()">${planOptions(getLicensePlan(val, settings))}</select>
+                    </form>
+                    <form method="post" action="/admin/set-license-product">
+                        <input type="hidden" name="license" value="${key}">
+                        <select name="productId" onchange="this.form.submit()" title="Product"><option value="">No product</option>${productOptions(val.productId)}</select>
+                    </form>
+                </td>
+                <td>${val.expiry ? val.expiry.split('T')[0] : `<span class="never">${formatExpiry(val)}</span>`}</td>
+                <td>${val.activatedAt ? val.activatedAt.replace('T', ' ').substring(0, 19) : '<span class="inactive">-</span>'}</td>
+                <td>${val.lastValidated ? formatTimeAgo(val.lastValidated) : '<span class="inactive">Never</span>'}</td>
+                ${getLicenseState(val) !== 'active' ? `
+                <td class="status ${getLicenseState(val)}" title="${escapeHtml((val.suspension || val.revocation || {}).reason)}">
+                    ${getLicenseState(val) === 'revoked' ? '⛔ REVOKED' : '⏸️ SUSPENDED'}
+                    ${val.suspension && val.suspension.until ? `<small class="seats">until ${val.suspension.until.split('T')[0]}</small>` : ''}
+                </td>` : `
+                <td class="status ${isLicenseExpired(val) ? 'expired' : (getLicenseDevices(val).length ? 'active' : 'inactive')}">
+                    ${isLicenseExpired(val) ? '🔴 EXPIRED' : (getLicenseDevices(val).length ? '🟢 ACTIVE' : '🟡 INACTIVE')}
+                </td>`}
+                <td class="actions">
+                    <div class="action-buttons">
+                        <button onclick="viewLicenseHistory('${key}')" class="btn btn-info" title="View History">📖</button>
+                        <form style="display:inline;" method="post" action="/admin/extend-license" onsubmit="return askDays(this)">
+                            <input type="hidden" name="license" value="${key}">
+                            <input type="hidden" name="days">
+                            <button type="submit" class="btn btn-primary" title="Extend">📅</button>
+                        </form>
+                        <form style="display:inline;" method="post" action="/admin/reset-hwid">
+                            <input type="hidden" name="license" value="${key}">
+                            <button type="submit" class="btn btn-warning" title="Free All Seats">↻</button>
+                        </form>
+                        ${getLicenseState(val) === 'revoked' ? '' : getLicenseState(val) === 'active' ? `
+                        <form style="display:inline;" method="post" action="/admin/suspend-license" onsubmit="return askReason(this, 'Suspend', true)">
+                            <input type="hidden" name="license" value="${key}">
+                            <input type="hidden" name="reason">
+                            <input type="hidden" name="until">
+                            <button type="submit" class="btn btn-warning" title="Suspend">⏸️</button>
+                        </form>` : `
+                        <form style="display:inline;" method="post" action="/admin/reinstate-license" onsubmit="return askReason(this, 'Reinstate')">
+                            <input type="hidden" name="license" value="${key}">
+                            <input type="hidden" name="reason">
+                            <button type="submit" class="btn btn-success" title="Reinstate">▶️</button>
+                        </form>`}
+                        ${getLicenseState(val) !== 'revoked' ? `
+                        <form style="display:inline;" method="post" action="/admin/revoke-license" onsubmit="return askReason(this, 'Revoke')">
+                            <input type="hidden" name="license" value="${key}">
+                            <input type="hidden" name="reason">
+                            <button type="submit" class="btn btn-danger" title="Revoke">⛔</button>
+                        </form>` : ''}
+                        <form style="display:inline;" method="post" action="/admin/delete-license">
+                            <input type="hidden" name="license" value="${key}">
+                            <button type="submit" class="btn btn-danger" onclick="return confirm('Are you sure?')" title="Delete">🗑️</button>
+                        </form>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+        
+        const activityRows = activityLog.slice(0, 20).map(entry => `
             <tr>
                 <td>${entry.date ? formatTimeAgo(entry.date) : 'Unknown'}</td>
                 <td><span class="activity-action">${entry.action}</span></td>
-                <td class="activity-details">${entry.details || '-'}</td>
-                <td><span class="ip-address">${entry.ip || 'Unknown'}</span></td>
+                <td class="activity-details">${escapeHtml(entry.details || '-')}</td>
+                <td><span class="ip-address">${escapeHtml(entry.ip || 'Unknown')}</span></td>
             </tr>
         `).join('');
         
-        const hwidRequestRows = hwidRequests.map(req => `
+        const pendingRequests = hwidRequests.filter(req => req.status === 'pending');
+        const hwidRequestRows = pendingRequests.map(req => `
             <tr>
-                <td class="license-key">${req.license}</td>
-                <td class="hwid">${req.hwid}</td>
-                <td class="request-reason">${req.reason || 'No reason provided'}</td>
+                <td class="license-key">${escapeHtml(req.license)}</td>
+                <td class="hwid">${escapeHtml(req.hwid)}</td>
+                <td class="request-reason">${escapeHtml(req.reason || 'No reason provided')}</td>
                 <td>${req.timestamp ? formatTimeAgo(req.timestamp.toDate ? req.timestamp.toDate() : req.timestamp) : 'Unknown'}</td>
                 <td><span class="ip-address">${req.requestIP || 'Unknown'}</span></td>
                 <td class="actions">
                     <form style="display:inline;" method="post" action="/admin/approve-hwid-reset">
                         <input type="hidden" name="requestId" value="${req.id}">
-                        <input type="hidden" name="license" value="${req.license}">
+                        <input name="message" placeholder="Message to customer (optional)" style="width:180px;">
                         <button type="submit" class="btn btn-success" title="Approve">✅</button>
+                        <button type="submit" formaction="/admin/deny-hwid-reset" class="btn btn-danger" title="Deny">❌</button>
                     </form>
-                    <form style="display:inline;" method="post" action="/admin/deny-hwid-reset">
-                        <input type="hidden" name="requestId" value="${req.id}">
-                        <button type="submit" class="btn btn-danger" title="Deny">❌</button>
+                </td>
+            </tr>
+        `).join('');
+        
+        const statusIcons = { approved: '✅', denied: '❌', cancelled: '↩️' };
+        const decidedRequestRows = hwidRequests.filter(req => req.status !== 'pending').slice(0, 20).map(req => `
+            <tr>
+                <td class="license-key">${escapeHtml(req.license)}</td>
+                <td class="hwid">${escapeHtml(req.hwid)}</td>
+                <td>${statusIcons[req.status] || ''} ${req.status}</td>
+                <td>${escapeHtml(req.resolvedBy || '-')}</td>
+                <td>${req.resolvedAt ? formatTimeAgo(req.resolvedAt) : 'Unknown'}</td>
+                <td class="request-reason">${escapeHtml(req.customerMessage || '-')}</td>
+            </tr>
+        `).join('');
+        
+        const featureCheckboxes = (selected) => Object.entries(FEATURE_CATALOG).map(([id, label]) => `
+            <label class="feature-option">
+                <input type="checkbox" name="features" value="${id}" style="width:auto;" ${selected.includes(id) ? 'checked' : ''}> ${label}
+            </label>
+        `).join('');
+        
+        const planRows = Object.entries(plans).map(([id, plan]) => `
+            <tr>
+                <td colspan="3">
+                    <form method="post" action="/admin/save-plan">
+                        <input type="hidden" name="planId" value="${id}">
+                        <div class="form-grid">
+                            <input name="name" value="${escapeHtml(plan.name)}" placeholder="Plan name">
+                            <div class="feature-list">${featureCheckboxes(plan.features || [])}</div>
+                            <button type="submit" class="btn btn-primary">💾 Save ${id}</button>
+                        </div>
+                    </form>
+                </td>
+                <td class="actions">
+                    <form style="display:inline;" method="post" action="/admin/delete-plan">
+                        <input type="hidden" name="planId" value="${id}">
+                        <button type="submit" class="btn btn-danger" onclick="return confirm('Delete this plan?')" title="Delete">🗑️</button>
                     </form>
                 </td>
             </tr>
         `).join('');
         
+        const trialRows = trials.map(trial => `
+            <tr>
+                <td class="license-key">${trial.license}</td>
+                <td class="hwid">${escapeHtml(trial.hwid)}</td>
+                <td>${trial.issuedAt ? formatTimeAgo(trial.issuedAt) : 'Unknown'}</td>
+                <td>${trial.expiry ? trial.expiry.split('T')[0] : '-'}</td>
+                <td class="status ${trial.convertedTo ? 'active' : (isLicenseExpired(trial) ? 'expired' : 'inactive')}">
+                    ${trial.convertedTo ? `💳 ${trial.convertedTo}` : (isLicenseExpired(trial) ? '🔴 EXPIRED' : '🟡 TRIAL')}
+                </td>
+                <td><span class="ip-address">${trial.ip || 'Unknown'}</span></td>
+                <td class="actions">
+                    ${trial.convertedTo ? '' : `
+                        <form method="post" action="/admin/convert-trial">
+                            <input type="hidden" name="license" value="${trial.license}">
+                            <select name="templateId"><option value="">No template</option>${templateOptions}</select>
+                            <select name="plan"><option value="">Default plan</option>${planOptions()}</select>
+                            <input name="durationDays" type="number" min="1" placeholder="Days">
+                            <button type="submit" class="btn btn-success" title="Convert to paid key">💳 Convert</button>
+                        </form>
+                    `}
+                </td>
+            </tr>
+        `).join('');
+        
         const banRows = banlist.map(hwid => `
             <tr>
-                <td class="hwid">${hwid}</td>
+                <td class="hwid">${escapeHtml(hwid)}</td>
                 <td>${new Date().toISOString().split('T')[0]}</td>
                 <td class="actions">
                     <form style="display:inline;" method="post" action="/admin/unban-hwid">
-                        <input type="hidden" name="hwid" value="${hwid}">
+                        <input type="hidden" name="hwid" value="${escapeHtml(hwid)}">
                         <button type="submit" class="btn btn-success" title="Unban">🔓 Unban</button>
                     </form>
                 </td>
@@ -1406,6 +5052,26 @@ app.get('/admin', requireLogin, async (req, res) => {
                         font-family: 'Courier New', monospace;
                         font-size: 0.9em;
                     }
+                    .device {
+                        display: flex;
+                        align-items: center;
+                        gap: 8px;
+                        margin-bottom: 4px;
+                    }
+                    .seats {
+                        display: block;
+                        color: #6c757d;
+                        font-size: 0.8em;
+                    }
+                    .feature-list {
+                        display: flex;
+                        flex-wrap: wrap;
+                        gap: 10px;
+                    }
+                    .feature-option {
+                        font-size: 0.9em;
+                        white-space: nowrap;
+                    }
                     .status {
                         font-weight: bold;
                         padding: 8px 12px;
@@ -1416,6 +5082,8 @@ app.get('/admin', requireLogin, async (req, res) => {
                     .status.active { background: rgba(40, 167, 69, 0.2); color: #28a745; }
                     .status.inactive { background: rgba(108, 117, 125, 0.2); color: #6c757d; }
                     .status.expired { background: rgba(220, 53, 69, 0.2); color: #dc3545; }
+                    .status.suspended { background: rgba(255, 193, 7, 0.2); color: #ffc107; }
+                    .status.revoked { background: rgba(220, 53, 69, 0.35); color: #ff6b6b; }
                     .inactive, .never { color: #6c757d; font-style: italic; }
                     .btn {
                         padding: 8px 12px;
@@ -1589,7 +5257,7 @@ app.get('/admin', requireLogin, async (req, res) => {
             <body>
                 <div class="container">
                     <div class="firebase-status">
-                        🔥 Firebase Connected - Real-time Data Management Active | Project: optimizer-ae60e
+                        ${store.backend === 'firestore' ? '🔥' : '💾'} Storage Connected - Real-time Data Management Active | ${store.description}
                     </div>
                     
                     <div class="header">
@@ -1630,7 +5298,7 @@ app.get('/admin', requireLogin, async (req, res) => {
                             <div class="stat-change">🚫 Security active</div>
                         </div>
                         <div class="stat-card">
-                            <div class="stat-number">${hwidRequests.length}</div>
+                            <div class="stat-number">${pendingRequests.length}</div>
                             <div class="stat-label">Pending Requests</div>
                             <div class="stat-change">⏳ Need attention</div>
                         </div>
@@ -1645,6 +5313,13 @@ app.get('/admin', requireLogin, async (req, res) => {
                                     <div class="form-grid">
                                         <input name="license" placeholder="Custom Key (optional)">
                                         <input name="expiry" type="date">
+                                        <input name="durationDays" type="number" min="1" placeholder="Days from activation (default ${settings.autoExpireInDays || 'never'})">
+                                        <input name="seats" type="number" min="1" placeholder="Seats (default ${settings.maxDevicesPerLicense})">
+                                        <select name="plan"><option value="">Default plan</option>${planOptions()}</select>
+                                        <select name="templateId"><option value="">No template</option>${templateOptions}</select>
+                                        <select name="customerId"><option value="">No customer</option>${customerOptions()}</select>
+                                        <select name="productId"><option value="">No product</option>${productOptions()}</select>
+                                        <label><input name="floating" type="checkbox" style="width:auto;"> Floating (seats = concurrent users)</label>
                                         <button type="submit" class="btn btn-primary">Generate</button>
                                     </div>
                                 </form>
@@ -1655,6 +5330,13 @@ app.get('/admin', requireLogin, async (req, res) => {
                                     <div class="form-grid">
                                         <input name="count" type="number" placeholder="Quantity" min="1" max="100">
                                         <input name="prefix" placeholder="Prefix (optional)">
+                                        <input name="durationDays" type="number" min="1" placeholder="Days from activation (default ${settings.autoExpireInDays || 'never'})">
+                                        <input name="seats" type="number" min="1" placeholder="Seats (default ${settings.maxDevicesPerLicense})">
+                                        <select name="plan"><option value="">Default plan</option>${planOptions()}</select>
+                                        <select name="templateId"><option value="">No template</option>${templateOptions}</select>
+                                        <select name="customerId"><option value="">No customer</option>${customerOptions()}</select>
+                                        <select name="productId"><option value="">No product</option>${productOptions()}</select>
+                                        <label><input name="floating" type="checkbox" style="width:auto;"> Floating (seats = concurrent users)</label>
                                         <button type="submit" class="btn btn-primary">Bulk Create</button>
                                     </div>
                                 </form>
@@ -1663,76 +5345,393 @@ app.get('/admin', requireLogin, async (req, res) => {
                     </div>
                     
                     <div class="section">
-                        <h2><span class="section-icon">📋</span>License Management (${totalLicenses} Total)</h2>
+                        <h2><span class="section-icon">📐</span>License Templates (${Object.keys(templates).length})</h2>
+                        <form method="post" action="/admin/save-template">
+                            <div class="form-grid">
+                                <input name="name" placeholder="Template name" required>
+                                <input name="prefix" placeholder="Key prefix (e.g. PRO)">
+                                <input name="durationDays" type="number" min="1" placeholder="Duration (days from activation)">
+                                <select name="plan"><option value="">Default plan</option>${planOptions()}</select>
+                                <input name="seats" type="number" min="1" placeholder="Seats">
+                                <label><input name="floating" type="checkbox" style="width:auto;"> Floating</label>
+                                <input name="notes" placeholder="Notes">
+                                <button type="submit" class="btn btn-primary">➕ Add Template</button>
+                            </div>
+                        </form>
+                        <div class="scrollable">
+                            <table>
+                                <tr>
+                                    <th colspan="6">Template</th>
+                                    <th>Actions</th>
+                                </tr>
+                                ${templateRows || '<tr><td colspan="7" style="text-align:center;padding:40px;color:#6c757d;">No templates yet. Add one above to generate licenses with preset defaults.</td></tr>'}
+                            </table>
+                        </div>
+                    </div>
+                    
+                    <div class="section">
+                        <h2><span class="section-icon">📋</span>License Management (${paidLicenses.length} Total)</h2>
+                        <form id="bulkExtendForm" method="post" action="/admin/bulk-extend" onsubmit="return confirm('Extend the selected licenses?')">
+                            <div class="form-grid">
+                                <select name="batchId">
+                                    <option value="">Selected licenses</option>
+                                    ${batchOptions}
+                                </select>
+                                <input name="days" type="number" min="1" placeholder="Days to add">
+                                <input name="expiry" type="date" title="Or set a new expiry date">
+                                <button type="submit" class="btn btn-primary">📅 Bulk Extend</button>
+                            </div>
+                        </form>
+                        <div class="scrollable">
+                            <table>
+                                <tr>
+                                    <th><input type="checkbox" style="width:auto;" onclick="document.querySelectorAll('input[name=licenses]').forEach(cb => cb.checked = this.checked)"></th>
+                                    <th>License Key</th>
+                                    <th>Devices</th>
+                                    <th>Plan</th>
+                                    <th>Expiry Date</th>
+                                    <th>Activated At</th>
+                                    <th>Last Seen</th>
+                                    <th>Status</th>
+                                    <th>Actions</th>
+                                </tr>
+                                ${licenseRows || '<tr><td colspan="9" style="text-align:center;padding:40px;color:#6c757d;">No licenses found. Generate your first license above.</td></tr>'}
+                            </table>
+                        </div>
+                    </div>
+                    
+                    <div class="section">
+                        <h2><span class="section-icon">👤</span>Customers (${Object.keys(customers).length})</h2>
+                        <form method="post" action="/admin/save-customer">
+                            <div class="form-grid">
+                                <input name="name" placeholder="Customer name" required>
+                                <input name="email" type="email" placeholder="Email" required>
+                                <input name="orderRef" placeholder="Order reference">
+                                <input name="notes" placeholder="Notes">
+                                <button type="submit" class="btn btn-primary">➕ Add Customer</button>
+                            </div>
+                        </form>
+                        <form method="get" action="/admin/customers">
+                            <div class="form-grid">
+                                <input name="email" placeholder="Search by email" required>
+                                <button type="submit" class="btn btn-info">🔍 Search</button>
+                            </div>
+                        </form>
+                        <div class="scrollable">
+                            <table>
+                                <tr>
+                                    <th>Name</th>
+                                    <th>Email</th>
+                                    <th>Order</th>
+                                    <th>Licenses</th>
+                                    <th>Notes</th>
+                                </tr>
+                                ${customerRows || '<tr><td colspan="5" style="text-align:center;padding:40px;color:#6c757d;">No customers yet.</td></tr>'}
+                            </table>
+                        </div>
+                    </div>
+                    
+                    <div class="section">
+                        <h2><span class="section-icon">🧪</span>Trials (${trials.length} Issued, ${trials.filter(t => t.convertedTo).length} Converted)</h2>
+                        <div class="scrollable">
+                            <table>
+                                <tr>
+                                    <th>Trial Key</th>
+                                    <th>Hardware ID</th>
+                                    <th>Issued</th>
+                                    <th>Expiry</th>
+                                    <th>Status</th>
+                                    <th>IP Address</th>
+                                    <th>Convert</th>
+                                </tr>
+                                ${trialRows || '<tr><td colspan="7" style="text-align:center;padding:40px;color:#6c757d;">No trials issued yet.</td></tr>'}
+                            </table>
+                        </div>
+                    </div>
+                    
+                    <div class="section">
+                        <h2><span class="section-icon">📊</span>Recent Activity</h2>
+                        <div class="scrollable">
+                            <table>
+                                <tr>
+                                    <th>Time</th>
+                                    <th>Action</th>
+                                    <th>Details</th>
+                                    <th>IP Address</th>
+                                </tr>
+                                ${activityRows || '<tr><td colspan="4" style="text-align:center;padding:40px;color:#6c757d;">No recent activity.</td></tr>'}
+                            </table>
+                        </div>
+                    </div>
+                    
+                    <div class="section">
+                        <h2><span class="section-icon">🔄</span>HWID Reset Requests (${pendingRequests.length} Pending)</h2>
+                        <div class="scrollable">
+                            <table>
+                                <tr>
+                                    <th>License</th>
+                                    <th>Hardware ID</th>
+                                    <th>Reason</th>
+                                    <th>Requested</th>
+                                    <th>IP Address</th>
+                                    <th>Actions</th>
+                                </tr>
+                                ${hwidRequestRows || '<tr><td colspan="6" style="text-align:center;padding:40px;color:#6c757d;">No pending HWID reset requests.</td></tr>'}
+                            </table>
+                        </div>
+                        ${decidedRequestRows ? `
+                        <h3 style="margin-top:25px;">Recent Decisions</h3>
+                        <div class="scrollable">
+                            <table>
+                                <tr>
+                                    <th>License</th>
+                                    <th>Hardware ID</th>
+                                    <th>Outcome</th>
+                                    <th>By</th>
+                                    <th>When</th>
+                                    <th>Message</th>
+                                </tr>
+                                ${decidedRequestRows}
+                            </table>
+                        </div>` : ''}
+                    </div>
+                    
+                    <div class="section">
+                        <h2><span class="section-icon">🚫</span>HWID Ban Management</h2>
+                        <form method="post" action="/admin/ban-hwid">
+                            <div class="form-grid">
+                                <input name="hwid" placeholder="Hardware ID to ban" required>
+                                <input name="reason" placeholder="Ban reason (optional)">
+                                <button type="submit" class="btn btn-danger">🚫 Ban HWID</button>
+                            </div>
+                        </form>
+                        <div class="scrollable">
+                            <table>
+                                <tr>
+                                    <th>Banned Hardware ID</th>
+                                    <th>Banned Date</th>
+                                    <th>Actions</th>
+                                </tr>
+                                ${banRows || '<tr><td colspan="3" style="text-align:center;padding:40px;color:#6c757d;">No banned HWIDs.</td></tr>'}
+                            </table>
+                        </div>
+                    </div>
+                    
+                    <div class="section">
+                        <h2><span class="section-icon">📴</span>Offline Activation</h2>
+                        <form method="post" action="/admin/offline-activation">
+                            <div class="form-grid">
+                                <input type="file" accept=".req,.txt,.json" onchange="loadRequestFile(this)">
+                                <textarea name="request" rows="3" placeholder="Paste the client's activation request" required></textarea>
+                                <button type="submit" class="btn btn-primary">⬇️ Activate & Download Response</button>
+                            </div>
+                        </form>
+                    </div>
+                    
+                    <div class="section">
+                        <h2><span class="section-icon">🏷️</span>Client Versions (last 30 days)</h2>
                         <div class="scrollable">
                             <table>
                                 <tr>
-                                    <th>License Key</th>
-                                    <th>Hardware ID</th>
-                                    <th>Expiry Date</th>
-                                    <th>Activated At</th>
+                                    <th>Version</th>
+                                    <th>Machines</th>
                                     <th>Last Seen</th>
                                     <th>Status</th>
+                                </tr>
+                                ${versionRows || '<tr><td colspan="4" style="text-align:center;padding:40px;color:#6c757d;">No client activity in the last 30 days.</td></tr>'}
+                            </table>
+                        </div>
+                    </div>
+                    
+                    <div class="section">
+                        <h2><span class="section-icon">🧩</span>Plans & Entitlements</h2>
+                        <form method="post" action="/admin/save-plan">
+                            <div class="form-grid">
+                                <input name="planId" placeholder="New plan ID (e.g. family)" required>
+                                <input name="name" placeholder="Display name">
+                                <div class="feature-list">${featureCheckboxes([])}</div>
+                                <button type="submit" class="btn btn-primary">➕ Add Plan</button>
+                            </div>
+                        </form>
+                        <div class="scrollable">
+                            <table>
+                                <tr>
+                                    <th colspan="3">Plan & Features</th>
                                     <th>Actions</th>
                                 </tr>
-                                ${licenseRows || '<tr><td colspan="7" style="text-align:center;padding:40px;color:#6c757d;">No licenses found. Generate your first license above.</td></tr>'}
+                                ${planRows}
                             </table>
                         </div>
                     </div>
                     
                     <div class="section">
-                        <h2><span class="section-icon">📊</span>Recent Activity</h2>
+                        <h2><span class="section-icon">🔐</span>Products & Request Signing</h2>
+                        <form method="post" action="/admin/save-product">
+                            <div class="form-grid">
+                                <input name="productId" placeholder="New product ID (e.g. optimizer)" required>
+                                <input name="name" placeholder="Display name">
+                                <label><input name="signingEnabled" type="checkbox" style="width:auto;"> Require signed requests</label>
+                                <button type="submit" class="btn btn-primary">➕ Add Product</button>
+                            </div>
+                        </form>
                         <div class="scrollable">
                             <table>
                                 <tr>
-                                    <th>Time</th>
-                                    <th>Action</th>
-                                    <th>Details</th>
-                                    <th>IP Address</th>
+                                    <th colspan="3">Product, Signing & Secret</th>
+                                    <th>Actions</th>
                                 </tr>
-                                ${activityRows || '<tr><td colspan="4" style="text-align:center;padding:40px;color:#6c757d;">No recent activity.</td></tr>'}
+                                ${productRows || '<tr><td colspan="4" style="text-align:center;padding:40px;color:#6c757d;">No products yet. Licenses without a product accept unsigned requests.</td></tr>'}
                             </table>
                         </div>
                     </div>
                     
                     <div class="section">
-                        <h2><span class="section-icon">🔄</span>HWID Reset Requests (${hwidRequests.length} Pending)</h2>
+                        <h2><span class="section-icon">🗝️</span>Admin API Keys</h2>
+                        <form method="post" action="/admin/create-api-key">
+                            <div class="form-grid">
+                                <input name="name" placeholder="Key name (e.g. shop-backend)" required>
+                                ${Object.entries(ADMIN_API_SCOPES).map(([scope, description]) => `
+                                    <label title="${description}"><input name="scopes" value="${scope}" type="checkbox" style="width:auto;"> ${scope}</label>
+                                `).join('')}
+                                <button type="submit" class="btn btn-primary">➕ Create Key</button>
+                            </div>
+                        </form>
                         <div class="scrollable">
                             <table>
                                 <tr>
-                                    <th>License</th>
-                                    <th>Hardware ID</th>
-                                    <th>Reason</th>
-                                    <th>Requested</th>
-                                    <th>IP Address</th>
+                                    <th>Key</th>
+                                    <th>Scopes</th>
+                                    <th>Usage</th>
                                     <th>Actions</th>
                                 </tr>
-                                ${hwidRequestRows || '<tr><td colspan="6" style="text-align:center;padding:40px;color:#6c757d;">No pending HWID reset requests.</td></tr>'}
+                                ${apiKeyRows || '<tr><td colspan="4" style="text-align:center;padding:40px;color:#6c757d;">No API keys yet. Keys authenticate the JSON admin API under /api/admin.</td></tr>'}
                             </table>
                         </div>
                     </div>
                     
                     <div class="section">
-                        <h2><span class="section-icon">🚫</span>HWID Ban Management</h2>
-                        <form method="post" action="/admin/ban-hwid">
+                        <h2><span class="section-icon">🤝</span>Resellers</h2>
+                        <form method="post" action="/admin/save-reseller">
                             <div class="form-grid">
-                                <input name="hwid" placeholder="Hardware ID to ban" required>
-                                <input name="reason" placeholder="Ban reason (optional)">
-                                <button type="submit" class="btn btn-danger">🚫 Ban HWID</button>
+                                <input name="resellerId" placeholder="Username (e.g. acme-store)" required>
+                                <input name="name" placeholder="Name" required>
+                                <input name="email" type="email" placeholder="Email">
+                                <input name="password" type="password" placeholder="Password" required autocomplete="new-password">
+                                <input name="prefix" placeholder="Forced key prefix (e.g. ACME)" required>
+                                <input name="keyQuota" type="number" min="0" placeholder="Key quota" required>
+                                <div class="feature-list">${templateCheckboxes([])}</div>
+                                <button type="submit" class="btn btn-primary">➕ Add Reseller</button>
                             </div>
                         </form>
                         <div class="scrollable">
                             <table>
                                 <tr>
-                                    <th>Banned Hardware ID</th>
-                                    <th>Banned Date</th>
+                                    <th colspan="2">Account, Prefix, Quota & Templates</th>
+                                    <th>Usage</th>
                                     <th>Actions</th>
                                 </tr>
-                                ${banRows || '<tr><td colspan="3" style="text-align:center;padding:40px;color:#6c757d;">No banned HWIDs.</td></tr>'}
+                                ${resellerRows || '<tr><td colspan="4" style="text-align:center;padding:40px;color:#6c757d;">No resellers yet. Resellers sign in at /reseller.</td></tr>'}
+                            </table>
+                        </div>
+                    </div>
+                    
+                    <div class="section">
+                        <h2><span class="section-icon">📡</span>Webhooks</h2>
+                        <form method="post" action="/admin/save-webhook">
+                            <div class="form-grid">
+                                <input name="url" type="url" placeholder="Endpoint URL (https://...)" required>
+                                <input name="description" placeholder="Description (e.g. CRM)">
+                                <div class="feature-list">${webhookEventCheckboxes([])}</div>
+                                <button type="submit" class="btn btn-primary">➕ Add Endpoint</button>
+                            </div>
+                        </form>
+                        <div class="scrollable">
+                            <table>
+                                <tr>
+                                    <th colspan="3">Endpoint, Events & Secret</th>
+                                    <th>Actions</th>
+                                </tr>
+                                ${webhookRows || '<tr><td colspan="4" style="text-align:center;padding:40px;color:#6c757d;">No webhook endpoints yet.</td></tr>'}
+                            </table>
+                        </div>
+                        <h3 style="margin-top:20px;">Recent Deliveries</h3>
+                        <div class="scrollable">
+                            <table>
+                                <tr>
+                                    <th>Event & Endpoint</th>
+                                    <th>Status</th>
+                                    <th>Last Error</th>
+                                    <th>Queued</th>
+                                    <th>Actions</th>
+                                </tr>
+                                ${webhookDeliveryRows || '<tr><td colspan="5" style="text-align:center;padding:40px;color:#6c757d;">No deliveries yet.</td></tr>'}
                             </table>
                         </div>
                     </div>
                     
+                    <div class="section">
+                        <h2><span class="section-icon">⚙️</span>Settings</h2>
+                        <form method="post" action="/admin/settings">
+                            <div class="form-grid">
+                                <label>Default seats per license
+                                    <input name="maxDevicesPerLicense" type="number" min="1" value="${settings.maxDevicesPerLicense}">
+                                </label>
+                                <label>Default duration in days (0 = never expires)
+                                    <input name="autoExpireInDays" type="number" min="0" value="${settings.autoExpireInDays || 0}">
+                                </label>
+                                <label>Offline grace period (days)
+                                    <input name="offlineGraceDays" type="number" min="0" value="${settings.offlineGraceDays}">
+                                </label>
+                                <label>Floating lease timeout (minutes without heartbeat)
+                                    <input name="leaseTimeoutMinutes" type="number" min="1" value="${settings.leaseTimeoutMinutes}">
+                                </label>
+                                <label>Minimum client version (empty = any)
+                                    <input name="minClientVersion" value="${escapeHtml(settings.minClientVersion)}" placeholder="e.g. 2.4.0">
+                                </label>
+                                <label>Blocked client versions (comma separated)
+                                    <input name="blockedClientVersions" value="${escapeHtml((settings.blockedClientVersions || []).join(', '))}" placeholder="e.g. 2.5.0, 2.5.1">
+                                </label>
+                                <label>Update download URL
+                                    <input name="updateDownloadUrl" type="url" value="${escapeHtml(settings.updateDownloadUrl)}" placeholder="https://...">
+                                </label>
+                                <label>Default plan
+                                    <select name="defaultPlan">${planOptions(settings.defaultPlan)}</select>
+                                </label>
+                                <label>
+                                    <input name="apiEnabled" type="checkbox" style="width:auto;" ${settings.apiEnabled ? 'checked' : ''}> API enabled
+                                </label>
+                                <label>
+                                    <input name="trialEnabled" type="checkbox" style="width:auto;" ${settings.trialEnabled ? 'checked' : ''}> Trials enabled
+                                </label>
+                                <label>Trial length (days)
+                                    <input name="trialDays" type="number" min="1" value="${settings.trialDays}">
+                                </label>
+                                <label>Trial plan
+                                    <select name="trialPlan"><option value="">Default plan</option>${planOptions(settings.trialPlan)}</select>
+                                </label>
+                                <label>
+                                    <input name="trialOnePerIp" type="checkbox" style="width:auto;" ${settings.trialOnePerIp ? 'checked' : ''}> One trial per IP
+                                </label>
+                                <label>
+                                    <input name="requireDeviceKeys" type="checkbox" style="width:auto;" ${settings.requireDeviceKeys ? 'checked' : ''}> Require device keys (challenge-response activation only)
+                                </label>
+                                <label>
+                                    <input name="allowHwidChange" type="checkbox" style="width:auto;" ${settings.allowHwidChange ? 'checked' : ''}> Self-service machine moves
+                                </label>
+                                <label>Self-service moves per period (0 = always ask an admin)
+                                    <input name="hwidChangeLimit" type="number" min="0" value="${settings.hwidChangeLimit}">
+                                </label>
+                                <label>Move period (rolling, days)
+                                    <input name="hwidChangePeriodDays" type="number" min="1" value="${settings.hwidChangePeriodDays}">
+                                </label>
+                                <label>Cooldown between moves (hours)
+                                    <input name="hwidChangeCooldownHours" type="number" min="0" value="${settings.hwidChangeCooldownHours}">
+                                </label>
+                                <button type="submit" class="btn btn-primary">💾 Save Settings</button>
+                            </div>
+                        </form>
+                    </div>
+                    
                     <div class="system-info">
                         <h3>🔧 System Information</h3>
                         <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin-top: 20px;">
@@ -1741,8 +5740,8 @@ app.get('/admin', requireLogin, async (req, res) => {
                                 <span style="color: #28a745;">●</span> Online & Healthy
                             </div>
                             <div>
-                                <strong>Firebase Project:</strong><br>
-                                optimizer-ae60e
+                                <strong>Storage:</strong><br>
+                                ${store.description}
                             </div>
                             <div>
                                 <strong>Environment:</strong><br>
@@ -1761,6 +5760,9 @@ app.get('/admin', requireLogin, async (req, res) => {
                                 ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB
                             </div>
                         </div>
+                        <form method="post" action="/admin/rebuild-hwid-index" style="margin-top: 20px;">
+                            <button type="submit" class="btn btn-warning" onclick="return confirm('Rebuild the HWID index from all licenses?')">🗂️ Rebuild HWID Index</button>
+                        </form>
                     </div>
                 </div>
                 
@@ -1774,6 +5776,32 @@ app.get('/admin', requireLogin, async (req, res) => {
                 </div>
                 
                 <script>
+                    function loadRequestFile(input) {
+                        if (!input.files[0]) return;
+                        const reader = new FileReader();
+                        reader.onload = () => { input.form.request.value = reader.result; };
+                        reader.readAsText(input.files[0]);
+                    }
+                    
+                    function askDays(form) {
+                        const days = prompt('Extend by how many days?', '30');
+                        if (!days || !(parseInt(days) > 0)) return false;
+                        form.days.value = parseInt(days);
+                        return true;
+                    }
+                    
+                    function askReason(form, action, withEndDate) {
+                        const reason = prompt(action + ' reason:');
+                        if (reason === null) return false;
+                        form.reason.value = reason;
+                        if (withEndDate) {
+                            const until = prompt('Suspend until (YYYY-MM-DD, leave empty for indefinitely):');
+                            if (until === null) return false;
+                            form.until.value = until;
+                        }
+                        return true;
+                    }
+                    
                     function viewLicenseHistory(licenseKey) {
                         // This would fetch and display license history
                         document.getElementById('historyModal').style.display = 'block';
@@ -1801,252 +5829,1712 @@ app.get('/admin', requireLogin, async (req, res) => {
             </html>
         `);
     } catch (error) {
-        console.error('Admin dashboard error:', error);
-        res.status(500).send(`
-            <div style="text-align:center;padding:50px;color:red;background:#1a1d23;min-height:100vh;display:flex;align-items:center;justify-content:center;flex-direction:column;">
-                <h2>🚨 Dashboard Error</h2>
-                <p>Error: ${error.message}</p>
-                <a href="/admin/login" style="color:#00aaee;margin-top:20px;">← Back to Login</a>
-            </div>
-        `);
+        console.error('Admin dashboard error:', error);
+        res.status(500).send(`
+            <div style="text-align:center;padding:50px;color:red;background:#1a1d23;min-height:100vh;display:flex;align-items:center;justify-content:center;flex-direction:column;">
+                <h2>🚨 Dashboard Error</h2>
+                <p>Error: ${error.message}</p>
+                <a href="/admin/login" style="color:#00aaee;margin-top:20px;">← Back to Login</a>
+            </div>
+        `);
+    }
+});
+
+// --- CUSTOMER PAGES ---
+function renderPlainPage(title, content, nav = '<a href="/admin">← Back to Dashboard</a>') {
+    return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>${title} - PC Optimizer Pro</title>
+            <meta name="viewport" content="width=device-width,initial-scale=1">
+            <style>
+                body { margin: 0; padding: 30px; background: #1a1d23; color: #e0e0e0; font-family: 'Segoe UI', Tahoma, sans-serif; }
+                h1, h2 { color: #00aaee; }
+                a { color: #00aaee; }
+                .section { background: rgba(35, 39, 46, 0.95); padding: 25px; border-radius: 15px; border: 1px solid rgba(0, 170, 238, 0.3); margin-bottom: 25px; }
+                table { width: 100%; border-collapse: collapse; }
+                th, td { padding: 10px; border-bottom: 1px solid rgba(0, 170, 238, 0.15); text-align: left; vertical-align: top; }
+                th { color: #00aaee; }
+                input, select, textarea { background: #23272e; color: #fff; border: 1px solid rgba(0, 170, 238, 0.3); border-radius: 6px; padding: 8px; margin: 4px 4px 4px 0; }
+                button { background: linear-gradient(45deg, #00aaee, #0099cc); color: #fff; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; }
+                small { color: #888; }
+            </style>
+        </head>
+        <body>
+            <p>${nav}</p>
+            ${content}
+        </body>
+        </html>
+    `;
+}
+
+app.get('/admin/customers', requireLogin, async (req, res) => {
+    try {
+        const [matches, licenses] = await Promise.all([findCustomersByEmail(req.query.email), getLicenses()]);
+        const rows = matches.map(([id, customer]) => `
+            <tr>
+                <td><a href="/admin/customers/${escapeHtml(id)}">${escapeHtml(customer.name)}</a></td>
+                <td>${escapeHtml(customer.email)}</td>
+                <td>${escapeHtml(customer.orderRef || '-')}</td>
+                <td>${Object.values(licenses).filter(lic => lic.customerId === id).length}</td>
+            </tr>
+        `).join('');
+        
+        res.send(renderPlainPage('Customer Search', `
+            <div class="section">
+                <h1>🔍 Customers matching "${escapeHtml(req.query.email)}"</h1>
+                <form method="get" action="/admin/customers">
+                    <input name="email" value="${escapeHtml(req.query.email)}" placeholder="Search by email" required>
+                    <button type="submit">Search</button>
+                </form>
+                <table>
+                    <tr><th>Name</th><th>Email</th><th>Order</th><th>Licenses</th></tr>
+                    ${rows || '<tr><td colspan="4">No customers found.</td></tr>'}
+                </table>
+            </div>
+        `));
+    } catch (error) {
+        console.error('Customer search error:', error);
+        res.send('<script>alert("Error searching customers!");window.location="/admin";</script>');
+    }
+});
+
+app.get('/admin/customers/:id', requireLogin, async (req, res) => {
+    try {
+        const customerId = req.params.id;
+        const [customer, customers, licenses, settings] = await Promise.all([
+            getCustomer(customerId),
+            getCustomers(),
+            getLicenses(),
+            getSettings()
+        ]);
+        if (!customer) {
+            return res.send('<script>alert("Customer not found!");window.location="/admin";</script>');
+        }
+        
+        const moveOptions = Object.entries(customers).map(([id, other]) => `
+            <option value="${escapeHtml(id)}" ${id === customerId ? 'selected' : ''}>${escapeHtml(other.name)} (${escapeHtml(other.email)})</option>
+        `).join('');
+        
+        const licenseRows = Object.entries(licenses).filter(([, lic]) => lic.customerId === customerId).map(([key, lic]) => `
+            <tr>
+                <td>${escapeHtml(key)}<br><small>${lic.createdAt ? formatTimeAgo(lic.createdAt) : 'Unknown'}</small></td>
+                <td>${escapeHtml(getLicensePlan(lic, settings))}</td>
+                <td>${formatExpiry(lic)}</td>
+                <td>${getLicenseState(lic) !== 'active' ? getLicenseState(lic).toUpperCase() : (isLicenseExpired(lic) ? 'EXPIRED' : 'ACTIVE')}</td>
+                <td>
+                    ${getLicenseDevices(lic).map(device => `
+                        <div>${escapeHtml(device.hwid)} <small>${device.lastSeen || device.activatedAt ? 'seen ' + formatTimeAgo(device.lastSeen || device.activatedAt) : ''}${device.deviceInfo ? ' · ' + escapeHtml(device.deviceInfo) : ''}</small></div>
+                    `).join('') || '<small>Not activated</small>'}
+                    <small>${getLicenseDevices(lic).length}/${getSeatLimit(lic, settings)} seats</small>
+                </td>
+                <td>
+                    <form method="post" action="/admin/assign-customer">
+                        <input type="hidden" name="license" value="${escapeHtml(key)}">
+                        <select name="customerId" onchange="this.form.submit()"><option value="">No customer</option>${moveOptions}</select>
+                    </form>
+                </td>
+            </tr>
+        `).join('');
+        
+        res.send(renderPlainPage(escapeHtml(customer.name), `
+            <div class="section">
+                <h1>👤 ${escapeHtml(customer.name)}</h1>
+                <form method="post" action="/admin/save-customer">
+                    <input type="hidden" name="customerId" value="${escapeHtml(customerId)}">
+                    <input name="name" value="${escapeHtml(customer.name)}" placeholder="Customer name" required>
+                    <input name="email" type="email" value="${escapeHtml(customer.email)}" placeholder="Email" required>
+                    <input name="orderRef" value="${escapeHtml(customer.orderRef)}" placeholder="Order reference">
+                    <input name="notes" value="${escapeHtml(customer.notes)}" placeholder="Notes">
+                    <button type="submit">💾 Save</button>
+                </form>
+                <small>Created ${customer.createdAt ? formatTimeAgo(customer.createdAt) : 'Unknown'}${customer.createdBy ? ` by ${escapeHtml(customer.createdBy)}` : ''}</small>
+            </div>
+            <div class="section">
+                <h2>🎫 Licenses</h2>
+                <form method="post" action="/admin/assign-customer">
+                    <input type="hidden" name="customerId" value="${escapeHtml(customerId)}">
+                    <input name="license" placeholder="License key to assign" required>
+                    <button type="submit">➕ Assign License</button>
+                </form>
+                <table>
+                    <tr><th>License</th><th>Plan</th><th>Expiry</th><th>Status</th><th>Devices</th><th>Customer</th></tr>
+                    ${licenseRows || '<tr><td colspan="6">No licenses assigned.</td></tr>'}
+                </table>
+            </div>
+        `));
+    } catch (error) {
+        console.error('Customer page error:', error);
+        res.send('<script>alert("Error loading customer!");window.location="/admin";</script>');
+    }
+});
+
+// --- RESELLER PORTAL ---
+// Resellers sign in at /reseller with the account the admin created for them. They only
+// ever see licenses carrying their resellerId and HWID requests for those licenses.
+const RESELLER_NAV = '<a href="/reseller">🏠 Portal</a> · <a href="/reseller/logout">Log out</a>';
+
+app.get('/reseller/login', (req, res) => {
+    if (req.session && req.session.reseller) {
+        return res.redirect('/reseller');
+    }
+    res.send(renderPlainPage('Reseller Login', `
+        <div class="section" style="max-width:400px;margin:60px auto;">
+            <h1>🤝 Reseller Portal</h1>
+            <form method="post" action="/reseller/login">
+                <input name="username" placeholder="Username" required autofocus><br>
+                <input name="password" type="password" placeholder="Password" required><br>
+                <button type="submit">🔓 Sign In</button>
+            </form>
+        </div>
+    `, ''));
+});
+
+app.post('/reseller/login', async (req, res) => {
+    const username = String((req.body || {}).username || '').trim().toLowerCase();
+    const password = String((req.body || {}).password || '');
+    
+    try {
+        const reseller = /^[a-z0-9_-]{1,32}$/.test(username) ? await getReseller(username) : null;
+        if (reseller && reseller.active && await verifyResellerPassword(password, reseller.passwordHash)) {
+            req.session.reseller = username;
+            await saveReseller(username, { lastLoginAt: new Date().toISOString() });
+            await logActivity('RESELLER_LOGIN_SUCCESS', `Reseller: ${username}`, req.ip, req.get('User-Agent'));
+            return res.redirect('/reseller');
+        }
+        
+        await logActivity('RESELLER_LOGIN_FAILED', `Failed reseller login for: ${username}`, req.ip, req.get('User-Agent'));
+        res.send('<script>alert("Invalid credentials!");window.location="/reseller/login";</script>');
+    } catch (error) {
+        console.error('Reseller login error:', error);
+        res.status(500).send('<script>alert("Server error!");window.location="/reseller/login";</script>');
+    }
+});
+
+app.get('/reseller/logout', (req, res) => {
+    if (req.session) delete req.session.reseller;
+    res.redirect('/reseller/login');
+});
+
+app.get('/reseller', requireReseller, async (req, res) => {
+    try {
+        const { reseller } = req;
+        const [licenses, hwidRequests, templates, settings] = await Promise.all([
+            getLicenses(),
+            getHwidRequests('pending'),
+            getLicenseTemplates(),
+            getSettings()
+        ]);
+        
+        const own = Object.entries(licenses)
+            .filter(([, lic]) => lic.resellerId === reseller.id)
+            .sort(([, a], [, b]) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+        const ownKeys = new Set(own.map(([key]) => key));
+        const usage = getResellerUsage(reseller.id, reseller, licenses, hwidRequests);
+        const remaining = Math.max(0, usage.keyQuota - usage.keysIssued);
+        
+        const templateOptions = (reseller.allowedTemplates || []).filter(id => templates[id]).map(id => `
+            <option value="${escapeHtml(id)}">${escapeHtml(templates[id].name)}</option>
+        `).join('');
+        
+        const requestRows = hwidRequests.filter(request => ownKeys.has(request.license)).map(request => `
+            <tr>
+                <td>${escapeHtml(request.license)}</td>
+                <td>${escapeHtml(request.hwid)}${request.oldHwid ? `<br><small>replacing ${escapeHtml(request.oldHwid)}</small>` : ''}</td>
+                <td>${escapeHtml(request.reason || 'No reason provided')}</td>
+                <td>${request.createdAt ? formatTimeAgo(request.createdAt) : 'Unknown'}</td>
+                <td>
+                    <form method="post" action="/reseller/approve-hwid-reset">
+                        <input type="hidden" name="requestId" value="${escapeHtml(request.id)}">
+                        <input name="message" placeholder="Message to customer (optional)">
+                        <button type="submit">✅ Approve</button>
+                        <button type="submit" formaction="/reseller/deny-hwid-reset">❌ Deny</button>
+                    </form>
+                </td>
+            </tr>
+        `).join('');
+        
+        const licenseRows = own.map(([key, lic]) => `
+            <tr>
+                <td>${escapeHtml(key)}<br><small>${lic.createdAt ? formatTimeAgo(lic.createdAt) : 'Unknown'}</small></td>
+                <td>${lic.templateId && templates[lic.templateId] ? escapeHtml(templates[lic.templateId].name) : '-'}</td>
+                <td>${formatExpiry(lic)}</td>
+                <td>${getLicenseState(lic) !== 'active' ? getLicenseState(lic).toUpperCase() : (isLicenseExpired(lic) ? 'EXPIRED' : 'ACTIVE')}</td>
+                <td>${getLicenseDevices(lic).length}/${getSeatLimit(lic, settings)} seats</td>
+            </tr>
+        `).join('');
+        
+        const activationRows = own
+            .flatMap(([key, lic]) => getLicenseDevices(lic).map(device => ({ license: key, ...device })))
+            .sort((a, b) => String(b.activatedAt || '').localeCompare(String(a.activatedAt || '')))
+            .slice(0, 50)
+            .map(device => `
+            <tr>
+                <td>${escapeHtml(device.license)}</td>
+                <td>${escapeHtml(device.hwid)}</td>
+                <td>${device.activatedAt ? formatTimeAgo(device.activatedAt) : 'Unknown'}</td>
+                <td>${device.lastSeen ? formatTimeAgo(device.lastSeen) : '-'}</td>
+                <td><small>${escapeHtml(device.deviceInfo)}${device.clientVersion ? ` · v${escapeHtml(device.clientVersion)}` : ''}</small></td>
+            </tr>
+        `).join('');
+        
+        res.send(renderPlainPage(`Reseller Portal`, `
+            <div class="section">
+                <h1>🤝 ${escapeHtml(reseller.name)}</h1>
+                <p>Keys issued: <strong>${usage.keysIssued}/${usage.keyQuota}</strong> · Key prefix: <strong>${escapeHtml(reseller.prefix)}</strong> · Active licenses: ${usage.active} · Activated: ${usage.activated}</p>
+            </div>
+            <div class="section">
+                <h2>🎫 Generate Keys</h2>
+                ${!templateOptions ? '<p>No license templates are enabled for your account yet.</p>' : !remaining ? '<p>Your key quota is used up. Contact us to raise it.</p>' : `
+                <form method="post" action="/reseller/generate">
+                    <select name="templateId" required>${templateOptions}</select>
+                    <input name="count" type="number" min="1" max="${Math.min(100, remaining)}" value="1" required>
+                    <button type="submit">➕ Generate</button>
+                </form>
+                <small>${remaining} keys left on your quota, up to 100 at a time</small>`}
+            </div>
+            <div class="section">
+                <h2>🔄 HWID Reset Requests</h2>
+                <table>
+                    <tr><th>License</th><th>Hardware ID</th><th>Reason</th><th>Requested</th><th>Decision</th></tr>
+                    ${requestRows || '<tr><td colspan="5">No pending requests.</td></tr>'}
+                </table>
+            </div>
+            <div class="section">
+                <h2>🖥️ Recent Activations</h2>
+                <table>
+                    <tr><th>License</th><th>Hardware ID</th><th>Activated</th><th>Last Seen</th><th>Device</th></tr>
+                    ${activationRows || '<tr><td colspan="5">No activations yet.</td></tr>'}
+                </table>
+            </div>
+            <div class="section">
+                <h2>📋 Licenses (${own.length})</h2>
+                <table>
+                    <tr><th>License</th><th>Template</th><th>Expiry</th><th>Status</th><th>Devices</th></tr>
+                    ${licenseRows || '<tr><td colspan="5">No licenses yet.</td></tr>'}
+                </table>
+            </div>
+        `, RESELLER_NAV));
+    } catch (error) {
+        console.error('Reseller portal error:', error);
+        res.send('<script>alert("Error loading portal!");window.location="/reseller/login";</script>');
+    }
+});
+
+app.post('/reseller/generate', requireReseller, async (req, res) => {
+    try {
+        const { reseller } = req;
+        const count = parseInt(req.body.count);
+        const { templateId } = req.body;
+        if (!(reseller.allowedTemplates || []).includes(templateId)) {
+            return res.send('<script>alert("This template is not available to you!");window.location="/reseller";</script>');
+        }
+        if (!(count >= 1 && count <= 100)) {
+            return res.send('<script>alert("Generate between 1 and 100 keys at a time!");window.location="/reseller";</script>');
+        }
+        
+        const reservation = await reserveResellerKeys(reseller.id, count);
+        if (reservation.code !== 'SUCCESS') {
+            return res.send(`<script>alert("${reservation.code === 'QUOTA_EXCEEDED' ? `Only ${reservation.available} keys left on your quota` : 'Your account is disabled'}!");window.location="/reseller";</script>`);
+        }
+        
+        const result = await bulkGenerateLicenses({ count, templateId, prefix: reseller.prefix }, `reseller:${reseller.id}`, { resellerId: reseller.id });
+        if (!result.body.success) {
+            await releaseResellerKeys(reseller.id, count);
+            return res.send(`<script>alert("${result.body.message}!");window.location="/reseller";</script>`);
+        }
+        
+        const { batchId, template, licenses } = result.body.data;
+        await logActivity('BULK_GENERATE', `Generated ${licenses.length} licenses with prefix: ${reseller.prefix} Batch: ${batchId} Template: ${template} Reseller: ${reseller.id}`, req.ip, req.get('User-Agent'));
+        res.send(renderPlainPage('Keys Generated', `
+            <div class="section">
+                <h1>✅ ${licenses.length} keys generated</h1>
+                <p>${escapeHtml(template)} · ${reservation.available} keys left on your quota</p>
+                <textarea rows="${Math.min(20, licenses.length)}" cols="40" readonly onclick="this.select()">${licenses.join('\n')}</textarea>
+            </div>
+        `, RESELLER_NAV));
+    } catch (error) {
+        console.error('Reseller generate error:', error);
+        res.send('<script>alert("Error generating licenses!");window.location="/reseller";</script>');
+    }
+});
+
+// Resellers decide requests for their own licenses only
+function resellerHwidDecision(approved) {
+    return async (req, res) => {
+        try {
+            const { reseller } = req;
+            const { requestId, message } = req.body;
+            const request = await getHwidRequest(requestId);
+            const lic = request && await getLicense(request.license);
+            if (!lic || lic.resellerId !== reseller.id) {
+                return res.send('<script>alert("Request not found!");window.location="/reseller";</script>');
+            }
+            
+            const { code } = await decideHwidRequest(requestId, approved, { admin: `reseller:${reseller.id}`, message });
+            if (code !== 'SUCCESS') {
+                return res.send('<script>alert("Request was already decided!");window.location="/reseller";</script>');
+            }
+            await logActivity(approved ? 'HWID_RESET_APPROVED' : 'HWID_RESET_DENIED', `License: ${request.license} RequestID: ${requestId} Reseller: ${reseller.id}`, req.ip, req.get('User-Agent'));
+            res.redirect('/reseller');
+        } catch (error) {
+            console.error('Reseller HWID decision error:', error);
+            res.send('<script>alert("Error deciding request!");window.location="/reseller";</script>');
+        }
+    };
+}
+
+app.post('/reseller/approve-hwid-reset', requireReseller, resellerHwidDecision(true));
+app.post('/reseller/deny-hwid-reset', requireReseller, resellerHwidDecision(false));
+
+// --- LICENSE GENERATION ---
+// Unknown templates and plans are refused instead of silently falling back to defaults
+async function unknownLicenseOptionResponse(options, templates) {
+    if (options.templateId && !templates[options.templateId]) {
+        return {
+            status: 404,
+            body: {
+                success: false,
+                code: 'TEMPLATE_NOT_FOUND',
+                message: 'License template not found',
+                data: { templateId: options.templateId }
+            }
+        };
+    }
+    if (options.plan && !(await getPlans())[options.plan]) {
+        return {
+            status: 400,
+            body: {
+                success: false,
+                code: 'UNKNOWN_PLAN',
+                message: 'Plan does not exist',
+                data: { plan: options.plan }
+            }
+        };
+    }
+    return null;
+}
+
+// Shared by the dashboard and the admin API; both resolve to { status, body }
+async function generateLicense(options, adminUser) {
+    const reply = (status, body) => ({ status, body });
+    const templates = await getLicenseTemplates();
+    const unknownOption = await unknownLicenseOptionResponse(options, templates);
+    if (unknownOption) {
+        return unknownOption;
+    }
+    
+    const template = templates[options.templateId] || null;
+    const license = normalizeLicenseKey(options.license) || generateSecureLicenseKey((template && template.prefix) || 'LIC');
+    if (await isMalformedLicenseKey(license)) {
+        return reply(400, malformedLicenseResponse(license));
+    }
+    
+    const existingLicense = await getLicense(license);
+    if (existingLicense) {
+        return reply(409, {
+            success: false,
+            code: 'LICENSE_EXISTS',
+            message: 'License already exists',
+            data: { license }
+        });
+    }
+    
+    if (options.customerId && !(await getCustomer(options.customerId))) {
+        return reply(404, {
+            success: false,
+            code: 'CUSTOMER_NOT_FOUND',
+            message: 'Customer not found',
+            data: { customerId: options.customerId }
+        });
+    }
+    
+    const settings = await getSettings();
+    const licenseData = buildLicenseData({
+        ...options,
+        createdBy: adminUser
+    }, template, settings);
+    const { expiry, durationDays } = licenseData;
+    
+    await saveLicense(license, licenseData);
+    console.log(`✅ Generated license: ${license}`);
+    await queueWebhookEvent('LICENSE_GENERATED', licenseEventData(license, licenseData));
+    
+    return reply(201, {
+        success: true,
+        code: 'LICENSE_GENERATED',
+        message: 'License generated successfully',
+        data: {
+            license,
+            expiry,
+            durationDays,
+            seats: licenseData.maxDevices,
+            plan: licenseData.plan,
+            templateId: licenseData.templateId,
+            customerId: licenseData.customerId,
+            createdAt: licenseData.createdAt,
+            createdBy: licenseData.createdBy
+        }
+    });
+}
+
+function licenseEventData(license, lic) {
+    return {
+        license,
+        expiry: lic.expiry,
+        durationDays: lic.durationDays,
+        maxDevices: lic.maxDevices,
+        plan: lic.plan,
+        templateId: lic.templateId,
+        customerId: lic.customerId,
+        productId: lic.productId || null,
+        batchId: lic.batchId || null,
+        resellerId: lic.resellerId || null,
+        createdBy: lic.createdBy
+    };
+}
+
+// `resellerId` is only set by the reseller portal, never from request options
+async function bulkGenerateLicenses(options, adminUser, { resellerId = null } = {}) {
+    const reply = (status, body) => ({ status, body });
+    const count = parseInt(options.count) || 1;
+    const [templates, settings] = await Promise.all([getLicenseTemplates(), getSettings()]);
+    const unknownOption = await unknownLicenseOptionResponse(options, templates);
+    if (unknownOption) {
+        return unknownOption;
+    }
+    
+    const template = templates[options.templateId] || null;
+    // Lookups upper-case keys and drop anything but letters and digits, so the prefix must
+    // already be in that form or the keys could never be found
+    const prefix = String(options.prefix || (template && template.prefix) || 'LIC').trim().toUpperCase();
+    if (!/^[A-Z0-9]{1,12}$/.test(prefix)) {
+        return reply(400, {
+            success: false,
+            code: 'INVALID_PREFIX',
+            message: 'Key prefix may only contain up to 12 letters and numbers',
+            data: { prefix }
+        });
+    }
+    
+    if (count < 1 || count > 100) {
+        return reply(400, {
+            success: false,
+            code: 'TOO_MANY_LICENSES',
+            message: 'Maximum 100 licenses at once',
+            data: { count }
+        });
+    }
+    if (options.customerId && !(await getCustomer(options.customerId))) {
+        return reply(404, {
+            success: false,
+            code: 'CUSTOMER_NOT_FOUND',
+            message: 'Customer not found',
+            data: { customerId: options.customerId }
+        });
+    }
+    
+    // One batch ID for the whole run so the batch can be managed together
+    const batchId = Date.now();
+    const licenses = [];
+    for (let i = 0; i < count; i++) {
+        const license = generateSecureLicenseKey(prefix);
+        const licenseData = buildLicenseData({
+            ...options,
+            expiry: null,
+            createdBy: adminUser,
+            batchId,
+            resellerId
+        }, template, settings);
+        
+        await saveLicense(license, licenseData);
+        await queueWebhookEvent('LICENSE_GENERATED', licenseEventData(license, licenseData));
+        licenses.push(license);
+    }
+    console.log(`✅ Bulk generated ${count} licenses`);
+    
+    return reply(201, {
+        success: true,
+        code: 'LICENSES_GENERATED',
+        message: `Generated ${count} licenses`,
+        data: { batchId, prefix, template: template && template.name, licenses }
+    });
+}
+
+// --- NEW ADMIN ACTIONS ---
+app.post('/admin/generate-license', requireLogin, async (req, res) => {
+    try {
+        // The dashboard form takes the same options as the admin API
+        const result = (await validateApiRequest(req, 'POST /api/admin/licenses')) ||
+            await generateLicense(req.body, req.session.user);
+        if (result.body.success) {
+            const { license } = result.body.data;
+            await logActivity('LICENSE_GENERATED', `License: ${license} Expiry: ${formatExpiry(result.body.data)}`, req.ip, req.get('User-Agent'));
+        }
+        return res.status(result.status).json(result.body);
+        
+    } catch (error) {
+        console.error('Generate license error:', error);
+        return res.status(500).json({
+            success: false,
+            code: 'GENERATION_ERROR',
+            message: 'Error generating license',
+            data: null
+        });
+    }
+});
+
+
+app.post('/admin/bulk-generate', requireLogin, async (req, res) => {
+    try {
+        const result = await bulkGenerateLicenses(req.body, req.session.user);
+        if (!result.body.success) {
+            return res.send(`<script>alert("${result.body.message}!");window.location="/admin";</script>`);
+        }
+        
+        const { batchId, prefix, template, licenses } = result.body.data;
+        await logActivity('BULK_GENERATE', `Generated ${licenses.length} licenses with prefix: ${prefix} Batch: ${batchId}${template ? ` Template: ${template}` : ''}${req.body.customerId ? ` Customer: ${req.body.customerId}` : ''}`, req.ip, req.get('User-Agent'));
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Bulk generate error:', error);
+        res.send('<script>alert("Error generating licenses!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/delete-license', requireLogin, async (req, res) => {
+    try {
+        const { license } = req.body;
+        
+        if (!license) {
+            return res.status(400).json({
+                success: false,
+                code: 'MISSING_LICENSE',
+                message: 'License parameter is required',
+                data: null
+            });
+        }
+        
+        const existingLicense = await removeLicense(license);
+        if (!existingLicense) {
+            return res.status(404).json({
+                success: false,
+                code: 'LICENSE_NOT_FOUND',
+                message: 'License not found',
+                data: { license }
+            });
+        }
+        
+        await logActivity('LICENSE_DELETED', `License: ${license}`, req.ip, req.get('User-Agent'));
+        
+        console.log(`🗑️ Deleted license: ${license}`);
+        
+        return res.json({
+            success: true,
+            code: 'LICENSE_DELETED',
+            message: 'License deleted successfully',
+            data: { license }
+        });
+        
+    } catch (error) {
+        console.error('Delete license error:', error);
+        return res.status(500).json({
+            success: false,
+            code: 'DELETION_ERROR',
+            message: 'Error deleting license',
+            data: null
+        });
+    }
+});
+
+
+app.post('/admin/reset-hwid', requireLogin, async (req, res) => {
+    try {
+        const { license } = req.body;
+        const lic = await releaseLicenseDevices(license, {
+            action: "HWID_RESET_BY_ADMIN",
+            admin: req.session.user
+        });
+        if (lic) {
+            await logActivity('HWID_RESET', `License: ${license}`, req.ip, req.get('User-Agent'));
+            console.log(`↻ Reset HWID for license: ${license}`);
+        }
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Reset HWID error:', error);
+        res.send('<script>alert("Error resetting HWID!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/suspend-license', requireLogin, async (req, res) => {
+    try {
+        const { license, reason, until } = req.body;
+        const lic = await suspendLicense(license, { reason, until }, req.session.user);
+        if (lic) {
+            const { suspension } = lic;
+            await logActivity('LICENSE_SUSPENDED', `License: ${license} Reason: ${suspension.reason} Until: ${suspension.until || 'Indefinite'}`, req.ip, req.get('User-Agent'));
+            console.log(`⏸️ Suspended license: ${license}`);
+        }
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Suspend license error:', error);
+        res.send('<script>alert("Error suspending license!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/revoke-license', requireLogin, async (req, res) => {
+    try {
+        const { license, reason } = req.body;
+        const lic = await revokeLicense(license, reason, req.session.user);
+        if (lic) {
+            const { revocation } = lic;
+            await logActivity('LICENSE_REVOKED', `License: ${license} Reason: ${revocation.reason}`, req.ip, req.get('User-Agent'));
+            console.log(`⛔ Revoked license: ${license}`);
+        }
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Revoke license error:', error);
+        res.send('<script>alert("Error revoking license!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/reinstate-license', requireLogin, async (req, res) => {
+    try {
+        const { license, reason } = req.body;
+        const lic = await reinstateLicense(license, reason, req.session.user);
+        if (lic) {
+            await logActivity('LICENSE_REINSTATED', `License: ${license} Reason: ${reason || 'No reason provided'}`, req.ip, req.get('User-Agent'));
+            console.log(`▶️ Reinstated license: ${license}`);
+        }
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Reinstate license error:', error);
+        res.send('<script>alert("Error reinstating license!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/extend-license', requireLogin, async (req, res) => {
+    try {
+        const { license, expiry } = req.body;
+        const days = parseInt(req.body.days) || 0;
+        const updated = await updateLicense(license, lic => extendLicenseData(lic, { days, expiry }, req.session.user));
+        if (!updated) {
+            return res.send('<script>alert("Nothing to extend: license not found or it never expires!");window.location="/admin";</script>');
+        }
+        
+        await logActivity('LICENSE_EXTENDED', `License: ${license} New expiry: ${formatExpiry(updated)}`, req.ip, req.get('User-Agent'));
+        console.log(`📅 Extended license: ${license}`);
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Extend license error:', error);
+        res.send('<script>alert("Error extending license!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/bulk-extend', requireLogin, async (req, res) => {
+    try {
+        const { batchId, expiry } = req.body;
+        const days = parseInt(req.body.days) || 0;
+        if (!days && !expiry) {
+            return res.send('<script>alert("Enter days to add or a new expiry date!");window.location="/admin";</script>');
+        }
+        
+        let keys = [].concat(req.body.licenses || []);
+        if (batchId) {
+            const licenses = await getLicenses();
+            keys = Object.keys(licenses).filter(key => String(licenses[key].batchId) === String(batchId));
+        }
+        
+        let extended = 0;
+        for (const license of keys) {
+            const updated = await updateLicense(license, lic => extendLicenseData(lic, { days, expiry }, req.session.user));
+            if (updated) extended++;
+        }
+        
+        const change = expiry ? `Expiry set to ${expiry}` : `+${days} days`;
+        await logActivity('BULK_EXTEND', `${change} for ${extended}/${keys.length} licenses${batchId ? ` in batch ${batchId}` : ''}`, req.ip, req.get('User-Agent'));
+        console.log(`📅 Bulk extended ${extended} licenses`);
+        res.send(`<script>alert("Extended ${extended} of ${keys.length} licenses");window.location="/admin";</script>`);
+    } catch (error) {
+        console.error('Bulk extend error:', error);
+        res.send('<script>alert("Error extending licenses!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/release-seat', requireLogin, async (req, res) => {
+    try {
+        const { license, hwid } = req.body;
+        const lic = await releaseLicenseDevices(license, {
+            action: "SEAT_RELEASED_BY_ADMIN",
+            admin: req.session.user
+        }, hwid);
+        if (lic) {
+            await logActivity('SEAT_RELEASED', `License: ${license} HWID: ${hwid}`, req.ip, req.get('User-Agent'));
+            console.log(`↻ Released seat ${hwid} on license: ${license}`);
+        }
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Release seat error:', error);
+        res.send('<script>alert("Error releasing seat!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/release-lease', requireLogin, async (req, res) => {
+    try {
+        const { license, leaseId } = req.body;
+        const lease = await releaseLease(license, leaseId);
+        if (lease) {
+            await logActivity('LEASE_ENDED_BY_ADMIN', `License: ${license} HWID: ${lease.hwid}`, req.ip, req.get('User-Agent'));
+            console.log(`✖ Ended lease of ${lease.hwid} on license: ${license}`);
+        }
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Release lease error:', error);
+        res.send('<script>alert("Error ending lease!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/approve-hwid-reset', requireLogin, async (req, res) => {
+    try {
+        const { requestId, message } = req.body;
+        const { code, request } = await decideHwidRequest(requestId, true, { admin: req.session.user, message });
+        if (code !== 'SUCCESS') {
+            return res.send(`<script>alert("Request is ${request ? `already ${request.status}` : 'gone'}!");window.location="/admin";</script>`);
+        }
+        await logActivity('HWID_RESET_APPROVED', `License: ${request.license} RequestID: ${requestId}`, req.ip, req.get('User-Agent'));
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Approve HWID reset error:', error);
+        res.send('<script>alert("Error approving request!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/deny-hwid-reset', requireLogin, async (req, res) => {
+    try {
+        const { requestId, message } = req.body;
+        const { code, request } = await decideHwidRequest(requestId, false, { admin: req.session.user, message });
+        if (code !== 'SUCCESS') {
+            return res.send(`<script>alert("Request is ${request ? `already ${request.status}` : 'gone'}!");window.location="/admin";</script>`);
+        }
+        await logActivity('HWID_RESET_DENIED', `License: ${request.license} RequestID: ${requestId}`, req.ip, req.get('User-Agent'));
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Deny HWID reset error:', error);
+        res.send('<script>alert("Error denying request!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/ban-hwid', requireLogin, async (req, res) => {
+    try {
+        const { hwid, reason } = req.body;
+        if (hwid && hwid.trim() && await banHwid(hwid.trim(), { reason: reason || null, by: req.session.user })) {
+            await logActivity('HWID_BANNED', `HWID: ${hwid} Reason: ${reason || 'No reason'}`, req.ip, req.get('User-Agent'));
+            console.log(`🚫 Banned HWID: ${hwid}`);
+        }
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Ban HWID error:', error);
+        res.send('<script>alert("Error banning HWID!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/unban-hwid', requireLogin, async (req, res) => {
+    try {
+        const { hwid } = req.body;
+        await unbanHwid(hwid);
+        await logActivity('HWID_UNBANNED', `HWID: ${hwid}`, req.ip, req.get('User-Agent'));
+        console.log(`✅ Unbanned HWID: ${hwid}`);
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Unban HWID error:', error);
+        res.send('<script>alert("Error unbanning HWID!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/offline-activation', requireLogin, async (req, res) => {
+    try {
+        const result = await processOfflineActivation(req.body.request, req.ip, `admin ${req.session.user}`, { trusted: true });
+        if (result.error) {
+            return res.send(`<script>alert("Offline activation failed: ${result.error}");window.location="/admin";</script>`);
+        }
+        res.attachment(result.file);
+        res.type('text/plain').send(result.body);
+    } catch (error) {
+        console.error('Offline activation error:', error);
+        res.send('<script>alert("Error processing activation request!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/rebuild-hwid-index', requireLogin, async (req, res) => {
+    try {
+        const result = await rebuildHwidIndex();
+        await logActivity('HWID_INDEX_REBUILT', `Indexed: ${result.indexed} Conflicts: ${result.conflicts.length}`, req.ip, req.get('User-Agent'));
+        console.log(`🗂️ Rebuilt HWID index: ${result.indexed} entries, ${result.conflicts.length} conflicts`);
+        res.send(`<script>alert("HWID index rebuilt: ${result.indexed} entries, ${result.conflicts.length} conflicts");window.location="/admin";</script>`);
+    } catch (error) {
+        console.error('Rebuild HWID index error:', error);
+        res.send('<script>alert("Error rebuilding HWID index!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/save-plan', requireLogin, async (req, res) => {
+    try {
+        const planId = (req.body.planId || '').trim().toLowerCase();
+        if (!/^[a-z0-9_-]{1,32}$/.test(planId)) {
+            return res.send('<script>alert("Plan ID may only contain letters, numbers, - and _");window.location="/admin";</script>');
+        }
+        
+        const features = [].concat(req.body.features || []).filter(feature => FEATURE_CATALOG[feature]);
+        await savePlan(planId, {
+            name: (req.body.name || '').trim() || planId,
+            features
+        });
+        await logActivity('PLAN_SAVED', `Plan: ${planId} Features: ${features.join(', ') || 'None'}`, req.ip, req.get('User-Agent'));
+        console.log(`🧩 Saved plan: ${planId}`);
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Save plan error:', error);
+        res.send('<script>alert("Error saving plan!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/delete-plan', requireLogin, async (req, res) => {
+    try {
+        const { planId } = req.body;
+        const settings = await getSettings();
+        if (planId === settings.defaultPlan) {
+            return res.send('<script>alert("The default plan cannot be deleted!");window.location="/admin";</script>');
+        }
+        if (planId === settings.trialPlan) {
+            return res.send('<script>alert("The trial plan cannot be deleted!");window.location="/admin";</script>');
+        }
+        // Licenses and templates left on a missing plan would silently lose their entitlements
+        const [licensesOnPlan, templates] = await Promise.all([
+            store.list('licenses', { where: [['plan', '==', planId]], limit: 1 }),
+            getLicenseTemplates()
+        ]);
+        if (licensesOnPlan.length || Object.values(templates).some(template => template.plan === planId)) {
+            return res.send('<script>alert("Move the licenses and templates on this plan to another plan first!");window.location="/admin";</script>');
+        }
+        
+        await deletePlan(planId);
+        await logActivity('PLAN_DELETED', `Plan: ${planId}`, req.ip, req.get('User-Agent'));
+        console.log(`🗑️ Deleted plan: ${planId}`);
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Delete plan error:', error);
+        res.send('<script>alert("Error deleting plan!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/save-product', requireLogin, async (req, res) => {
+    try {
+        const productId = (req.body.productId || '').trim().toLowerCase();
+        if (!/^[a-z0-9_-]{1,32}$/.test(productId)) {
+            return res.send('<script>alert("Product ID may only contain letters, numbers, - and _");window.location="/admin";</script>');
+        }
+        
+        const products = await getProducts();
+        const product = {
+            name: (req.body.name || '').trim() || productId,
+            signingEnabled: req.body.signingEnabled === 'on'
+        };
+        if (!products[productId]) {
+            product.secret = generateProductSecret();
+            product.createdAt = new Date().toISOString();
+        }
+        
+        await saveProduct(productId, product);
+        await logActivity('PRODUCT_SAVED', `Product: ${productId} Signing: ${product.signingEnabled ? 'required' : 'off'}`, req.ip, req.get('User-Agent'));
+        console.log(`🔐 Saved product: ${productId}`);
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Save product error:', error);
+        res.send('<script>alert("Error saving product!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/rotate-product-secret', requireLogin, async (req, res) => {
+    try {
+        const { productId } = req.body;
+        const products = await getProducts();
+        if (products[productId]) {
+            await saveProduct(productId, { secret: generateProductSecret(), secretRotatedAt: new Date().toISOString() });
+            await logActivity('PRODUCT_SECRET_ROTATED', `Product: ${productId}`, req.ip, req.get('User-Agent'));
+            console.log(`🔁 Rotated secret of product: ${productId}`);
+        }
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Rotate product secret error:', error);
+        res.send('<script>alert("Error rotating secret!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/delete-product', requireLogin, async (req, res) => {
+    try {
+        const { productId } = req.body;
+        const licenses = await getLicenses();
+        if (Object.values(licenses).some(lic => lic.productId === productId)) {
+            return res.send('<script>alert("Move this product\'s licenses to another product first!");window.location="/admin";</script>');
+        }
+        
+        await deleteProduct(productId);
+        await logActivity('PRODUCT_DELETED', `Product: ${productId}`, req.ip, req.get('User-Agent'));
+        console.log(`🗑️ Deleted product: ${productId}`);
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Delete product error:', error);
+        res.send('<script>alert("Error deleting product!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/create-api-key', requireLogin, async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        const scopes = [].concat(req.body.scopes || []).filter(scope => scope in ADMIN_API_SCOPES);
+        if (!name || !scopes.length) {
+            return res.send('<script>alert("Enter a name and pick at least one scope!");window.location="/admin";</script>');
+        }
+        
+        const key = await createApiKey(name, scopes, req.session.user);
+        await logActivity('API_KEY_CREATED', `Key: ${name} (${key.split('_')[1]}) Scopes: ${scopes.join(', ')}`, req.ip, req.get('User-Agent'));
+        console.log(`🗝️ Created API key: ${name}`);
+        // The full key is only ever shown here
+        res.send(`<script>prompt("API key created. Copy it now, it won't be shown again:", "${key}");window.location="/admin";</script>`);
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.send('<script>alert("Error creating API key!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/revoke-api-key', requireLogin, async (req, res) => {
+    try {
+        const { keyId } = req.body;
+        const apiKey = await getApiKey(keyId);
+        if (apiKey && !apiKey.revokedAt) {
+            await saveApiKey(keyId, { revokedAt: new Date().toISOString(), revokedBy: req.session.user });
+            await logActivity('API_KEY_REVOKED', `Key: ${apiKey.name} (${keyId})`, req.ip, req.get('User-Agent'));
+            console.log(`⛔ Revoked API key: ${apiKey.name}`);
+        }
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.send('<script>alert("Error revoking API key!");window.location="/admin";</script>');
     }
 });
 
-// --- NEW ADMIN ACTIONS ---
-app.post('/admin/generate-license', requireLogin, async (req, res) => {
+app.post('/admin/save-reseller', requireLogin, async (req, res) => {
     try {
-        let license = req.body.license || generateSecureLicenseKey();
-        
-        const existingLicense = await getLicense(license);
-        if (existingLicense) {
-            return res.status(409).json({
-                success: false,
-                code: 'LICENSE_EXISTS',
-                message: 'License already exists',
-                data: { license }
-            });
+        const resellerId = (req.body.resellerId || '').trim().toLowerCase();
+        const prefix = (req.body.prefix || '').trim().toUpperCase();
+        const name = (req.body.name || '').trim();
+        if (!/^[a-z0-9_-]{1,32}$/.test(resellerId)) {
+            return res.send('<script>alert("Username may only contain letters, numbers, - and _");window.location="/admin";</script>');
+        }
+        if (!name || !/^[A-Z0-9]{1,12}$/.test(prefix)) {
+            return res.send('<script>alert("Enter a name and a key prefix of up to 12 letters and numbers!");window.location="/admin";</script>');
         }
         
-        let expiry = req.body.expiry ? new Date(req.body.expiry).toISOString() : null;
-        const licenseData = { 
-            hwid: '', 
-            activatedAt: '', 
-            expiry, 
-            history: [],
-            createdAt: new Date().toISOString(),
-            createdBy: req.session.user
-        };
-        
-        await saveLicense(license, licenseData);
-        await logActivity('LICENSE_GENERATED', `License: ${license} Expiry: ${expiry || 'Never'}`, req.ip, req.get('User-Agent'));
+        const resellers = await getResellers();
+        if (Object.entries(resellers).some(([id, other]) => id !== resellerId && other.prefix === prefix)) {
+            return res.send('<script>alert("Another reseller already uses this prefix!");window.location="/admin";</script>');
+        }
         
-        console.log(`✅ Generated license: ${license}`);
+        const existing = resellers[resellerId];
+        if (!existing && !req.body.password) {
+            return res.send('<script>alert("Set a password for the new reseller!");window.location="/admin";</script>');
+        }
         
-        return res.status(201).json({
-            success: true,
-            code: 'LICENSE_GENERATED',
-            message: 'License generated successfully',
-            data: {
-                license,
-                expiry,
-                createdAt: licenseData.createdAt,
-                createdBy: licenseData.createdBy
-            }
-        });
+        const templates = await getLicenseTemplates();
+        const reseller = {
+            name,
+            email: (req.body.email || '').trim(),
+            prefix,
+            keyQuota: Math.max(0, parseInt(req.body.keyQuota) || 0),
+            allowedTemplates: [].concat(req.body.allowedTemplates || []).filter(id => templates[id]),
+            active: existing ? req.body.active === 'on' : true,
+            updatedAt: new Date().toISOString()
+        };
+        if (req.body.password) {
+            reseller.passwordHash = await hashResellerPassword(req.body.password);
+        }
+        if (!existing) {
+            reseller.keysIssued = 0;
+            reseller.createdAt = reseller.updatedAt;
+            reseller.createdBy = req.session.user;
+        }
         
+        await saveReseller(resellerId, reseller);
+        await logActivity('RESELLER_SAVED', `Reseller: ${resellerId} Prefix: ${prefix} Quota: ${reseller.keyQuota}${reseller.active ? '' : ' (disabled)'}${req.body.password && existing ? ' Password changed' : ''}`, req.ip, req.get('User-Agent'));
+        console.log(`🤝 Saved reseller: ${resellerId}`);
+        res.redirect('/admin');
     } catch (error) {
-        console.error('Generate license error:', error);
-        return res.status(500).json({
-            success: false,
-            code: 'GENERATION_ERROR',
-            message: 'Error generating license',
-            data: null
-        });
+        console.error('Save reseller error:', error);
+        res.send('<script>alert("Error saving reseller!");window.location="/admin";</script>');
     }
 });
 
-
-app.post('/admin/bulk-generate', requireLogin, async (req, res) => {
+app.post('/admin/delete-reseller', requireLogin, async (req, res) => {
     try {
-        const count = parseInt(req.body.count) || 1;
-        const prefix = req.body.prefix || 'LIC';
+        const { resellerId } = req.body;
+        const licenses = await getLicenses();
+        if (Object.values(licenses).some(lic => lic.resellerId === resellerId)) {
+            return res.send('<script>alert("This reseller has licenses. Disable the account instead!");window.location="/admin";</script>');
+        }
         
-        if (count > 100) {
-            return res.send('<script>alert("Maximum 100 licenses at once!");window.location="/admin";</script>');
+        await deleteReseller(resellerId);
+        await logActivity('RESELLER_DELETED', `Reseller: ${resellerId}`, req.ip, req.get('User-Agent'));
+        console.log(`🗑️ Deleted reseller: ${resellerId}`);
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Delete reseller error:', error);
+        res.send('<script>alert("Error deleting reseller!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/save-webhook', requireLogin, async (req, res) => {
+    try {
+        const url = (req.body.url || '').trim();
+        if (!/^https?:\/\/[^\s]+$/i.test(url)) {
+            return res.send('<script>alert("Enter an http(s) URL!");window.location="/admin";</script>');
         }
         
-        const licenses = [];
-        for (let i = 0; i < count; i++) {
-            const license = generateSecureLicenseKey(prefix);
-            const licenseData = {
-                hwid: '',
-                activatedAt: '',
-                expiry: null,
-                history: [],
+        const events = [].concat(req.body.events || []).filter(event => event in WEBHOOK_EVENTS);
+        const webhook = {
+            url,
+            description: (req.body.description || '').trim(),
+            events
+        };
+        
+        let { webhookId } = req.body;
+        const webhooks = await getWebhooks();
+        if (webhookId && webhooks[webhookId]) {
+            webhook.active = req.body.active === 'on';
+            await saveWebhook(webhookId, webhook);
+        } else {
+            webhookId = crypto.randomBytes(6).toString('hex');
+            await saveWebhook(webhookId, {
+                ...webhook,
+                active: true,
+                secret: generateProductSecret(),
                 createdAt: new Date().toISOString(),
-                createdBy: req.session.user,
-                batchId: Date.now()
-            };
-            
-            await saveLicense(license, licenseData);
-            licenses.push(license);
+                createdBy: req.session.user
+            });
         }
         
-        await logActivity('BULK_GENERATE', `Generated ${count} licenses with prefix: ${prefix}`, req.ip, req.get('User-Agent'));
-        console.log(`✅ Bulk generated ${count} licenses`);
+        await logActivity('WEBHOOK_SAVED', `Webhook: ${webhookId} URL: ${url} Events: ${events.join(', ') || 'none'}`, req.ip, req.get('User-Agent'));
+        console.log(`📡 Saved webhook: ${url}`);
         res.redirect('/admin');
     } catch (error) {
-        console.error('Bulk generate error:', error);
-        res.send('<script>alert("Error generating licenses!");window.location="/admin";</script>');
+        console.error('Save webhook error:', error);
+        res.send('<script>alert("Error saving webhook!");window.location="/admin";</script>');
     }
 });
 
-app.post('/admin/delete-license', requireLogin, async (req, res) => {
+app.post('/admin/delete-webhook', requireLogin, async (req, res) => {
     try {
-        const { license } = req.body;
-        
-        if (!license) {
-            return res.status(400).json({
-                success: false,
-                code: 'MISSING_LICENSE',
-                message: 'License parameter is required',
-                data: null
-            });
+        const { webhookId } = req.body;
+        const webhooks = await getWebhooks();
+        if (webhooks[webhookId]) {
+            await deleteWebhook(webhookId);
+            await logActivity('WEBHOOK_DELETED', `Webhook: ${webhookId} URL: ${webhooks[webhookId].url}`, req.ip, req.get('User-Agent'));
+            console.log(`🗑️ Deleted webhook: ${webhooks[webhookId].url}`);
         }
-        
-        const existingLicense = await getLicense(license);
-        if (!existingLicense) {
-            return res.status(404).json({
-                success: false,
-                code: 'LICENSE_NOT_FOUND',
-                message: 'License not found',
-                data: { license }
-            });
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.send('<script>alert("Error deleting webhook!");window.location="/admin";</script>');
+    }
+});
+
+// Sends a WEBHOOK_TEST event to one endpoint, whatever it subscribes to
+app.post('/admin/test-webhook', requireLogin, async (req, res) => {
+    try {
+        const { webhookId } = req.body;
+        const webhooks = await getWebhooks();
+        if (!webhooks[webhookId]) {
+            return res.send('<script>alert("Webhook not found!");window.location="/admin";</script>');
         }
         
-        await deleteLicense(license);
-        await logActivity('LICENSE_DELETED', `License: ${license}`, req.ip, req.get('User-Agent'));
-        
-        console.log(`🗑️ Deleted license: ${license}`);
-        
-        return res.json({
-            success: true,
-            code: 'LICENSE_DELETED',
-            message: 'License deleted successfully',
-            data: { license }
+        await addWebhookDelivery(webhookId, webhooks[webhookId], {
+            id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+            event: 'WEBHOOK_TEST',
+            createdAt: new Date().toISOString(),
+            data: { sentBy: req.session.user }
         });
-        
+        await processWebhookQueue();
+        res.redirect('/admin');
     } catch (error) {
-        console.error('Delete license error:', error);
-        return res.status(500).json({
-            success: false,
-            code: 'DELETION_ERROR',
-            message: 'Error deleting license',
-            data: null
-        });
+        console.error('Test webhook error:', error);
+        res.send('<script>alert("Error sending test event!");window.location="/admin";</script>');
     }
 });
 
+app.post('/admin/redeliver-webhook', requireLogin, async (req, res) => {
+    try {
+        const { deliveryId } = req.body;
+        const id = await redeliverWebhook(deliveryId, req.session.user);
+        if (!id) {
+            return res.send('<script>alert("The delivery or its endpoint no longer exists!");window.location="/admin";</script>');
+        }
+        await logActivity('WEBHOOK_REDELIVERED', `Delivery: ${deliveryId} New delivery: ${id}`, req.ip, req.get('User-Agent'));
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Redeliver webhook error:', error);
+        res.send('<script>alert("Error redelivering!");window.location="/admin";</script>');
+    }
+});
 
-app.post('/admin/reset-hwid', requireLogin, async (req, res) => {
+app.post('/admin/set-license-product', requireLogin, async (req, res) => {
     try {
-        const { license } = req.body;
-        const lic = await getLicense(license);
-        if (lic) {
-            const updatedLic = {
-                ...lic,
-                hwid: '',
-                activatedAt: '',
-                history: [...(lic.history || []), {
-                    action: "HWID_RESET_BY_ADMIN",
-                    date: new Date().toISOString(),
-                    admin: req.session.user
-                }]
-            };
-            await saveLicense(license, updatedLic);
-            await logActivity('HWID_RESET', `License: ${license}`, req.ip, req.get('User-Agent'));
-            console.log(`↻ Reset HWID for license: ${license}`);
+        const { license, productId } = req.body;
+        const products = await getProducts();
+        if (productId && !products[productId]) {
+            return res.send('<script>alert("Product not found!");window.location="/admin";</script>');
+        }
+        
+        const updated = await updateLicense(license, lic => (lic.productId || null) === (productId || null) ? null : {
+            ...lic,
+            productId: productId || null,
+            history: [...(lic.history || []), {
+                action: "PRODUCT_CHANGED",
+                date: new Date().toISOString(),
+                details: `${lic.productId || 'none'} -> ${productId || 'none'}`,
+                admin: req.session.user
+            }]
+        });
+        if (updated) {
+            await logActivity('LICENSE_PRODUCT_CHANGED', `License: ${license} Product: ${productId || 'none'}`, req.ip, req.get('User-Agent'));
+            console.log(`🔐 License ${license} moved to product: ${productId || 'none'}`);
         }
         res.redirect('/admin');
     } catch (error) {
-        console.error('Reset HWID error:', error);
-        res.send('<script>alert("Error resetting HWID!");window.location="/admin";</script>');
+        console.error('Set license product error:', error);
+        res.send('<script>alert("Error changing product!");window.location="/admin";</script>');
     }
 });
 
-app.post('/admin/approve-hwid-reset', requireLogin, async (req, res) => {
+app.post('/admin/set-license-plan', requireLogin, async (req, res) => {
     try {
-        const { requestId, license } = req.body;
+        const { license, plan } = req.body;
+        if (!(await getPlans())[plan]) {
+            return res.send('<script>alert("Plan does not exist!");window.location="/admin";</script>');
+        }
         const lic = await getLicense(license);
         if (lic) {
-            const updatedLic = {
+            await saveLicense(license, {
                 ...lic,
-                hwid: '',
-                activatedAt: '',
+                plan,
                 history: [...(lic.history || []), {
-                    action: "HWID_RESET_APPROVED",
+                    action: "PLAN_CHANGED",
                     date: new Date().toISOString(),
+                    details: `${lic.plan || 'default'} -> ${plan}`,
                     admin: req.session.user
                 }]
-            };
-            await saveLicense(license, updatedLic);
-            await logActivity('HWID_RESET_APPROVED', `License: ${license} RequestID: ${requestId}`, req.ip, req.get('User-Agent'));
+            });
+            await logActivity('LICENSE_PLAN_CHANGED', `License: ${license} Plan: ${plan}`, req.ip, req.get('User-Agent'));
+            console.log(`🧩 License ${license} moved to plan: ${plan}`);
         }
-        await deleteHwidRequest(requestId);
         res.redirect('/admin');
     } catch (error) {
-        console.error('Approve HWID reset error:', error);
-        res.send('<script>alert("Error approving request!");window.location="/admin";</script>');
+        console.error('Set license plan error:', error);
+        res.send('<script>alert("Error changing plan!");window.location="/admin";</script>');
     }
 });
 
-app.post('/admin/deny-hwid-reset', requireLogin, async (req, res) => {
+app.post('/admin/save-customer', requireLogin, async (req, res) => {
     try {
-        const { requestId } = req.body;
-        await logActivity('HWID_RESET_DENIED', `RequestID: ${requestId}`, req.ip, req.get('User-Agent'));
-        await deleteHwidRequest(requestId);
-        res.redirect('/admin');
+        const { name, email, orderRef, notes } = req.body;
+        if (!name || !name.trim() || !email || !email.includes('@')) {
+            return res.send('<script>alert("Customer name and a valid email are required!");window.location="/admin";</script>');
+        }
+        
+        const customerId = req.body.customerId || crypto.randomBytes(6).toString('hex');
+        const existing = await getCustomer(customerId);
+        const customer = {
+            name: name.trim(),
+            email: email.trim().toLowerCase(),
+            orderRef: orderRef ? orderRef.trim() : '',
+            notes: notes || '',
+            updatedAt: new Date().toISOString()
+        };
+        if (!existing) {
+            customer.createdAt = customer.updatedAt;
+            customer.createdBy = req.session.user;
+        }
+        
+        await saveCustomer(customerId, customer);
+        await logActivity('CUSTOMER_SAVED', `Customer: ${customer.email} (${customerId})`, req.ip, req.get('User-Agent'));
+        console.log(`👤 Saved customer: ${customer.email}`);
+        res.redirect(`/admin/customers/${customerId}`);
     } catch (error) {
-        console.error('Deny HWID reset error:', error);
-        res.send('<script>alert("Error denying request!");window.location="/admin";</script>');
+        console.error('Save customer error:', error);
+        res.send('<script>alert("Error saving customer!");window.location="/admin";</script>');
     }
 });
 
-app.post('/admin/ban-hwid', requireLogin, async (req, res) => {
+app.post('/admin/assign-customer', requireLogin, async (req, res) => {
     try {
-        const { hwid, reason } = req.body;
-        if (hwid && hwid.trim()) {
-            const banlist = await getBanlist();
-            if (!banlist.includes(hwid.trim())) {
-                banlist.push(hwid.trim());
-                await saveBanlist(banlist);
-                await logActivity('HWID_BANNED', `HWID: ${hwid} Reason: ${reason || 'No reason'}`, req.ip, req.get('User-Agent'));
-                console.log(`🚫 Banned HWID: ${hwid}`);
-            }
+        const { license, customerId } = req.body;
+        if (customerId && !(await getCustomer(customerId))) {
+            return res.send('<script>alert("Customer not found!");window.location="/admin";</script>');
+        }
+        if (!(await getLicense(license))) {
+            return res.send('<script>alert("License not found!");window.location="/admin";</script>');
+        }
+        
+        const updated = await assignLicenseCustomer(license, customerId, req.session.user);
+        if (updated) {
+            await logActivity('LICENSE_CUSTOMER_CHANGED', `License: ${license} Customer: ${customerId || 'none'}`, req.ip, req.get('User-Agent'));
+            console.log(`👤 License ${license} assigned to customer: ${customerId || 'none'}`);
+        }
+        res.redirect(req.get('Referer') || '/admin');
+    } catch (error) {
+        console.error('Assign customer error:', error);
+        res.send('<script>alert("Error assigning license!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/convert-trial', requireLogin, async (req, res) => {
+    try {
+        const { license } = req.body;
+        const [templates, settings] = await Promise.all([getLicenseTemplates(), getSettings()]);
+        const unknownOption = await unknownLicenseOptionResponse(req.body, templates);
+        if (unknownOption) {
+            return res.send(`<script>alert("${unknownOption.body.message}!");window.location="/admin";</script>`);
+        }
+        const template = templates[req.body.templateId] || null;
+        const paidKey = generateSecureLicenseKey((template && template.prefix) || 'LIC');
+        const paidData = buildLicenseData({
+            ...req.body,
+            notes: req.body.notes || `Converted from trial ${license}`,
+            createdBy: req.session.user
+        }, template, settings);
+        
+        const paidLic = await convertTrialLicense(license, paidKey, paidData, req.session.user);
+        if (!paidLic) {
+            return res.send('<script>alert("Trial not found or already converted!");window.location="/admin";</script>');
+        }
+        
+        await logActivity('TRIAL_CONVERTED', `Trial: ${license} License: ${paidKey}`, req.ip, req.get('User-Agent'));
+        console.log(`💳 Converted trial ${license} to ${paidKey}`);
+        res.send(`<script>alert("Trial converted to paid license ${paidKey}");window.location="/admin";</script>`);
+    } catch (error) {
+        console.error('Convert trial error:', error);
+        res.send('<script>alert("Error converting trial!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/save-template', requireLogin, async (req, res) => {
+    try {
+        const { name, prefix, durationDays, plan, seats, notes } = req.body;
+        if (!name || !name.trim()) {
+            return res.send('<script>alert("Template name is required!");window.location="/admin";</script>');
         }
+        if (prefix && !/^[A-Za-z0-9]{1,12}$/.test(prefix.trim())) {
+            return res.send('<script>alert("Key prefix may only contain letters and numbers!");window.location="/admin";</script>');
+        }
+        if (plan && !(await getPlans())[plan]) {
+            return res.send('<script>alert("Plan does not exist!");window.location="/admin";</script>');
+        }
+        
+        const templateId = req.body.templateId || crypto.randomBytes(6).toString('hex');
+        const templates = await getLicenseTemplates();
+        const template = {
+            name: name.trim(),
+            prefix: prefix ? prefix.trim().toUpperCase() : '',
+            durationDays: parseInt(durationDays) || null,
+            plan: plan || null,
+            seats: parseInt(seats) || null,
+            floating: req.body.floating === 'on',
+            notes: notes || '',
+            updatedAt: new Date().toISOString()
+        };
+        if (!templates[templateId]) {
+            template.createdAt = template.updatedAt;
+            template.createdBy = req.session.user;
+        }
+        
+        await saveLicenseTemplate(templateId, template);
+        await logActivity('TEMPLATE_SAVED', `Template: ${template.name} (${templateId})`, req.ip, req.get('User-Agent'));
+        console.log(`📐 Saved template: ${template.name}`);
         res.redirect('/admin');
     } catch (error) {
-        console.error('Ban HWID error:', error);
-        res.send('<script>alert("Error banning HWID!");window.location="/admin";</script>');
+        console.error('Save template error:', error);
+        res.send('<script>alert("Error saving template!");window.location="/admin";</script>');
     }
 });
 
-app.post('/admin/unban-hwid', requireLogin, async (req, res) => {
+app.post('/admin/delete-template', requireLogin, async (req, res) => {
     try {
-        const { hwid } = req.body;
-        const banlist = await getBanlist();
-        const newBanlist = banlist.filter(h => h !== hwid);
-        await saveBanlist(newBanlist);
-        await logActivity('HWID_UNBANNED', `HWID: ${hwid}`, req.ip, req.get('User-Agent'));
-        console.log(`✅ Unbanned HWID: ${hwid}`);
+        const { templateId } = req.body;
+        await deleteLicenseTemplate(templateId);
+        await logActivity('TEMPLATE_DELETED', `Template: ${templateId}`, req.ip, req.get('User-Agent'));
+        console.log(`🗑️ Deleted template: ${templateId}`);
         res.redirect('/admin');
     } catch (error) {
-        console.error('Unban HWID error:', error);
-        res.send('<script>alert("Error unbanning HWID!");window.location="/admin";</script>');
+        console.error('Delete template error:', error);
+        res.send('<script>alert("Error deleting template!");window.location="/admin";</script>');
+    }
+});
+
+app.post('/admin/settings', requireLogin, async (req, res) => {
+    try {
+        const settings = {
+            maxDevicesPerLicense: Math.max(1, parseInt(req.body.maxDevicesPerLicense) || 1),
+            autoExpireInDays: Math.max(0, parseInt(req.body.autoExpireInDays) || 0),
+            apiEnabled: req.body.apiEnabled === 'on',
+            defaultPlan: req.body.defaultPlan || DEFAULT_SETTINGS.defaultPlan,
+            trialEnabled: req.body.trialEnabled === 'on',
+            trialDays: Math.max(1, parseInt(req.body.trialDays) || DEFAULT_SETTINGS.trialDays),
+            trialPlan: req.body.trialPlan || '',
+            trialOnePerIp: req.body.trialOnePerIp === 'on',
+            offlineGraceDays: Math.max(0, parseInt(req.body.offlineGraceDays) || 0),
+            leaseTimeoutMinutes: Math.max(1, parseInt(req.body.leaseTimeoutMinutes) || DEFAULT_SETTINGS.leaseTimeoutMinutes),
+            minClientVersion: (req.body.minClientVersion || '').trim(),
+            blockedClientVersions: (req.body.blockedClientVersions || '').split(',').map(v => v.trim()).filter(Boolean),
+            updateDownloadUrl: (req.body.updateDownloadUrl || '').trim(),
+            requireDeviceKeys: req.body.requireDeviceKeys === 'on',
+            allowHwidChange: req.body.allowHwidChange === 'on',
+            hwidChangeLimit: Math.max(0, parseInt(req.body.hwidChangeLimit) || 0),
+            hwidChangePeriodDays: Math.max(1, parseInt(req.body.hwidChangePeriodDays) || DEFAULT_SETTINGS.hwidChangePeriodDays),
+            hwidChangeCooldownHours: Math.max(0, parseInt(req.body.hwidChangeCooldownHours) || 0)
+        };
+        if (settings.minClientVersion && !new RegExp(API_FIELDS.version.pattern).test(settings.minClientVersion)) {
+            return res.send('<script>alert("Minimum client version must look like 2.4.0");window.location="/admin";</script>');
+        }
+        await saveSettings(settings);
+        await logActivity('SETTINGS_UPDATED', JSON.stringify(settings), req.ip, req.get('User-Agent'));
+        console.log('⚙️ Settings updated');
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Save settings error:', error);
+        res.send('<script>alert("Error saving settings!");window.location="/admin";</script>');
     }
 });
 
+// --- ADMIN API ---
+// JSON API for automation. Callers send a dashboard-issued key as "Authorization: Bearer
+// <key>" or X-API-Key; each route needs one scope. Handlers take (req, apiKey) and resolve
+// to { status, body, log }, where `log` adds details to the call's activity log entry.
+function adminApiError(status, code, message, data = null) {
+    return { status, body: { success: false, code, message, data } };
+}
+
+async function authenticateApiKey(req) {
+    const authorization = req.get('Authorization') || '';
+    const presented = authorization.startsWith('Bearer ')
+        ? authorization.slice(7).trim()
+        : (req.get('X-API-Key') || '').trim();
+    if (!presented) {
+        return { error: adminApiError(401, 'API_KEY_REQUIRED', 'Send an API key as a Bearer token or X-API-Key header') };
+    }
+    
+    const match = /^pco_([0-9a-f]{12})_(.+)$/.exec(presented);
+    const apiKey = match && await getApiKey(match[1]);
+    const valid = apiKey && !apiKey.revokedAt && crypto.timingSafeEqual(
+        Buffer.from(hashApiKeySecret(match[2]), 'hex'),
+        Buffer.from(apiKey.secretHash, 'hex')
+    );
+    if (!valid) {
+        return { error: adminApiError(401, 'INVALID_API_KEY', 'API key is unknown or revoked') };
+    }
+    return { apiKey: { id: match[1], ...apiKey } };
+}
+
+function adminApiRoute(scope, handler, label) {
+    return async (req, res) => {
+        try {
+            const auth = await authenticateApiKey(req);
+            const error = auth.error || (!auth.apiKey.scopes.includes(scope) &&
+                adminApiError(403, 'INSUFFICIENT_SCOPE', `This API key lacks the ${scope} scope`, { scope }));
+            if (error) {
+                const key = auth.apiKey ? `${auth.apiKey.name} (${auth.apiKey.id})` : 'none';
+                await logActivity('ADMIN_API_DENIED', `Key: ${key} ${req.method} ${req.path} -> ${error.body.code}`, req.ip, req.get('User-Agent'));
+                return res.status(error.status).json(error.body);
+            }
+            
+            const { apiKey } = auth;
+            const result = (await validateApiRequest(req)) || await handler(req, apiKey);
+            await saveApiKey(apiKey.id, { lastUsedAt: new Date().toISOString() });
+            await logActivity('ADMIN_API', `Key: ${apiKey.name} (${apiKey.id}) ${req.method} ${req.path} -> ${result.status} ${result.body.code}${result.log ? ` ${result.log}` : ''}`, req.ip, req.get('User-Agent'));
+            return res.status(result.status).json(result.body);
+        } catch (error) {
+            console.error(`Admin API ${label} error:`, error);
+            return res.status(500).json({
+                success: false,
+                code: 'SERVER_ERROR',
+                message: 'Internal server error',
+                data: null
+            });
+        }
+    };
+}
+
+// License history and suspension records name the key instead of an admin user
+function apiKeyActor(apiKey) {
+    return `api:${apiKey.name}`;
+}
+
+function licenseResource(licenseKey, lic) {
+    return {
+        license: licenseKey,
+        state: getLicenseState(lic) === 'active' && isLicenseExpired(lic) ? 'expired' : getLicenseState(lic),
+        ...lic
+    };
+}
+
+function licenseNotFound(licenseKey) {
+    return adminApiError(404, 'LICENSE_NOT_FOUND', 'License not found', { license: licenseKey });
+}
+
+async function adminApiListLicenses(req) {
+    const { state, customerId, productId, batchId, resellerId } = req.query;
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit) || 100));
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+    
+    const licenses = Object.entries(await getLicenses())
+        .map(([key, lic]) => licenseResource(key, lic))
+        .filter(lic => (!state || lic.state === state) &&
+            (!customerId || lic.customerId === customerId) &&
+            (!productId || lic.productId === productId) &&
+            (!batchId || String(lic.batchId) === String(batchId)) &&
+            (!resellerId || lic.resellerId === resellerId))
+        .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+    
+    return {
+        status: 200,
+        body: {
+            success: true,
+            code: 'LICENSES',
+            message: `${licenses.length} licenses`,
+            data: { total: licenses.length, offset, limit, licenses: licenses.slice(offset, offset + limit) }
+        }
+    };
+}
+
+async function adminApiGetLicense(req) {
+    const license = normalizeLicenseKey(req.params.license);
+    const lic = await getLicense(license);
+    if (!lic) {
+        return licenseNotFound(license);
+    }
+    return {
+        status: 200,
+        body: { success: true, code: 'LICENSE', message: 'License found', data: licenseResource(license, lic) }
+    };
+}
+
+async function adminApiCreateLicense(req, apiKey) {
+    const result = await generateLicense(req.body || {}, apiKeyActor(apiKey));
+    return { ...result, log: result.body.success ? `License: ${result.body.data.license}` : '' };
+}
+
+async function adminApiBulkCreateLicenses(req, apiKey) {
+    const result = await bulkGenerateLicenses(req.body || {}, apiKeyActor(apiKey));
+    return { ...result, log: result.body.success ? `Batch: ${result.body.data.batchId} Count: ${result.body.data.licenses.length}` : '' };
+}
+
+// Wraps a status change on one license into a handler; `change` resolves to the updated
+// license, or null when the license can't make that change
+function adminApiLicenseAction(change, code, message) {
+    return async (req, apiKey) => {
+        const license = normalizeLicenseKey(req.params.license);
+        if (!(await getLicense(license))) {
+            return licenseNotFound(license);
+        }
+        
+        const lic = await change(license, req.body || {}, apiKeyActor(apiKey));
+        if (!lic) {
+            return adminApiError(409, 'INVALID_LICENSE_STATE', `The license can't be ${message.toLowerCase()}`, { license });
+        }
+        const updated = await getLicense(license);
+        return {
+            status: 200,
+            body: { success: true, code, message: `License ${message.toLowerCase()}`, data: licenseResource(license, updated) },
+            log: `License: ${license}`
+        };
+    };
+}
+
+const adminApiExtendLicense = adminApiLicenseAction(
+    (license, { days, expiry }, actor) => updateLicense(license, lic => extendLicenseData(lic, { days: parseInt(days) || 0, expiry }, actor)),
+    'LICENSE_EXTENDED', 'Extended');
+const adminApiSuspendLicense = adminApiLicenseAction(
+    (license, { reason, until }, actor) => suspendLicense(license, { reason, until }, actor),
+    'LICENSE_SUSPENDED', 'Suspended');
+const adminApiReinstateLicense = adminApiLicenseAction(
+    (license, { reason }, actor) => reinstateLicense(license, reason, actor),
+    'LICENSE_REINSTATED', 'Reinstated');
+const adminApiRevokeLicense = adminApiLicenseAction(
+    (license, { reason }, actor) => revokeLicense(license, reason, actor),
+    'LICENSE_REVOKED', 'Revoked');
+// With an hwid only that seat is freed, otherwise every device is
+const adminApiResetHwid = adminApiLicenseAction(
+    (license, { hwid }, actor) => releaseLicenseDevices(license, {
+        action: hwid ? "SEAT_RELEASED_BY_ADMIN" : "HWID_RESET_BY_ADMIN",
+        admin: actor
+    }, hwid || null),
+    'HWID_RESET', 'Reset');
+
+async function adminApiDeleteLicense(req) {
+    const license = normalizeLicenseKey(req.params.license);
+    const lic = await removeLicense(license);
+    if (!lic) {
+        return licenseNotFound(license);
+    }
+    return {
+        status: 200,
+        body: { success: true, code: 'LICENSE_DELETED', message: 'License deleted successfully', data: { license } },
+        log: `License: ${license}`
+    };
+}
+
+async function adminApiListBans() {
+    const hwids = await getBanlist();
+    return {
+        status: 200,
+        body: { success: true, code: 'BANS', message: `${hwids.length} banned HWIDs`, data: { hwids } }
+    };
+}
+
+async function adminApiBanHwid(req, apiKey) {
+    const hwid = String((req.body || {}).hwid || '').trim();
+    if (!hwid) {
+        return adminApiError(400, 'MISSING_PARAMETERS', 'HWID is required');
+    }
+    const banned = await banHwid(hwid, { reason: req.body.reason || null, by: apiKeyActor(apiKey) });
+    return {
+        status: banned ? 201 : 200,
+        body: {
+            success: true,
+            code: banned ? 'HWID_BANNED' : 'ALREADY_BANNED',
+            message: banned ? 'HWID banned' : 'HWID was already banned',
+            data: { hwid }
+        },
+        log: `HWID: ${hwid} Reason: ${req.body.reason || 'No reason'}`
+    };
+}
+
+async function adminApiUnbanHwid(req) {
+    const { hwid } = req.params;
+    if (!(await unbanHwid(hwid))) {
+        return adminApiError(404, 'NOT_BANNED', 'HWID is not banned', { hwid });
+    }
+    return {
+        status: 200,
+        body: { success: true, code: 'HWID_UNBANNED', message: 'HWID unbanned', data: { hwid } },
+        log: `HWID: ${hwid}`
+    };
+}
+
+async function adminApiListHwidRequests(req) {
+    const requests = await getHwidRequests(req.query.status);
+    return {
+        status: 200,
+        body: { success: true, code: 'HWID_REQUESTS', message: `${requests.length} HWID reset requests`, data: { requests } }
+    };
+}
+
+function adminApiResolveHwidRequest(approved) {
+    return async (req, apiKey) => {
+        const { requestId } = req.params;
+        const { code, request } = await decideHwidRequest(requestId, approved, {
+            admin: apiKeyActor(apiKey),
+            message: (req.body || {}).message
+        });
+        if (code === 'REQUEST_NOT_FOUND') {
+            return adminApiError(404, code, 'HWID reset request not found', { requestId });
+        }
+        if (code === 'REQUEST_NOT_PENDING') {
+            return adminApiError(409, code, `HWID reset request is already ${request.status}`, { requestId, status: request.status });
+        }
+        
+        return {
+            status: 200,
+            body: {
+                success: true,
+                code: approved ? 'HWID_RESET_APPROVED' : 'HWID_RESET_DENIED',
+                message: approved ? 'HWID reset approved' : 'HWID reset denied',
+                data: { requestId, ...request }
+            },
+            log: `License: ${request.license} RequestID: ${requestId}`
+        };
+    };
+}
+
+async function adminApiGetSettings() {
+    return {
+        status: 200,
+        body: { success: true, code: 'SETTINGS', message: 'Current settings', data: await getSettings() }
+    };
+}
+
+// Partial update: only the fields sent change; types are checked against settingsSchemas()
+async function adminApiUpdateSettings(req) {
+    const changes = req.body || {};
+    const plans = await getPlans();
+    // trialPlan may be emptied (trials then get the default plan); defaultPlan may not
+    const unknownPlan = ['defaultPlan', 'trialPlan'].find(field =>
+        changes[field] !== undefined && !plans[changes[field]] && !(field === 'trialPlan' && changes[field] === ''));
+    if (unknownPlan) {
+        return {
+            status: 400,
+            body: { success: false, code: 'UNKNOWN_PLAN', message: 'Plan does not exist', data: { field: unknownPlan, plan: changes[unknownPlan] } }
+        };
+    }
+    await saveSettings(changes);
+    return {
+        status: 200,
+        body: { success: true, code: 'SETTINGS_UPDATED', message: 'Settings updated', data: await getSettings() },
+        log: JSON.stringify(changes)
+    };
+}
+
+async function adminApiGetLogs(req) {
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 100));
+    const entries = (await getActivityLog(limit))
+        .filter(entry => !req.query.action || entry.action === req.query.action);
+    return {
+        status: 200,
+        body: { success: true, code: 'ACTIVITY_LOG', message: `${entries.length} log entries`, data: { entries } }
+    };
+}
+
+app.get('/api/admin/licenses', adminApiRoute('licenses:read', adminApiListLicenses, 'list licenses'));
+app.post('/api/admin/licenses', adminApiRoute('licenses:write', adminApiCreateLicense, 'create license'));
+app.post('/api/admin/licenses/bulk', adminApiRoute('licenses:write', adminApiBulkCreateLicenses, 'bulk create'));
+app.get('/api/admin/licenses/:license', adminApiRoute('licenses:read', adminApiGetLicense, 'get license'));
+app.delete('/api/admin/licenses/:license', adminApiRoute('licenses:write', adminApiDeleteLicense, 'delete license'));
+app.post('/api/admin/licenses/:license/extend', adminApiRoute('licenses:write', adminApiExtendLicense, 'extend license'));
+app.post('/api/admin/licenses/:license/suspend', adminApiRoute('licenses:write', adminApiSuspendLicense, 'suspend license'));
+app.post('/api/admin/licenses/:license/reinstate', adminApiRoute('licenses:write', adminApiReinstateLicense, 'reinstate license'));
+app.post('/api/admin/licenses/:license/revoke', adminApiRoute('licenses:write', adminApiRevokeLicense, 'revoke license'));
+app.post('/api/admin/licenses/:license/reset-hwid', adminApiRoute('licenses:write', adminApiResetHwid, 'reset HWID'));
+app.get('/api/admin/bans', adminApiRoute('bans:read', adminApiListBans, 'list bans'));
+app.post('/api/admin/bans', adminApiRoute('bans:write', adminApiBanHwid, 'ban HWID'));
+app.delete('/api/admin/bans/:hwid', adminApiRoute('bans:write', adminApiUnbanHwid, 'unban HWID'));
+app.get('/api/admin/hwid-requests', adminApiRoute('hwid-requests:read', adminApiListHwidRequests, 'list HWID requests'));
+app.post('/api/admin/hwid-requests/:requestId/approve', adminApiRoute('hwid-requests:write', adminApiResolveHwidRequest(true), 'approve HWID request'));
+app.post('/api/admin/hwid-requests/:requestId/deny', adminApiRoute('hwid-requests:write', adminApiResolveHwidRequest(false), 'deny HWID request'));
+app.get('/api/admin/settings', adminApiRoute('settings:read', adminApiGetSettings, 'get settings'));
+app.patch('/api/admin/settings', adminApiRoute('settings:write', adminApiUpdateSettings, 'update settings'));
+app.get('/api/admin/logs', adminApiRoute('logs:read', adminApiGetLogs, 'get logs'));
+
 // --- ERROR HANDLING ---
+// Unparseable JSON bodies get the API envelope instead of Express's HTML error page
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed' && req.path.startsWith('/api/')) {
+        return res.status(400).json({
+            success: false,
+            code: 'INVALID_JSON',
+            message: 'Request body is not valid JSON',
+            data: null
+        });
+    }
+    next(err);
+});
+
 app.use((req, res) => {
     // Check if request expects JSON (API endpoints)
     if (req.path.startsWith('/api/') || req.get('Accept')?.includes('application/json')) {
@@ -2076,17 +7564,33 @@ app.use((req, res) => {
 // --- SERVER STARTUP ---
 const PORT = process.env.PORT || CONFIG.PORT || 3000;
 
-app.listen(PORT, () => {
-    console.log('\n🎉 ===== PC OPTIMIZER PRO ULTIMATE =====');
-    console.log(`✅ Server running on http://localhost:${PORT}`);
-    console.log(`🔥 Firebase connected to project: optimizer-ae60e`);
-    console.log(`🛡️ Security & monitoring active`);
-    console.log(`📊 Real-time analytics enabled`);
-    console.log(`👤 Admin panel: http://localhost:${PORT}/admin`);
-    console.log(`🔑 Login with username: ${CONFIG.ADMIN_USERNAME}`);
-    console.log('🚀 All systems operational!');
-    console.log('==========================================\n');
-});
+// Only bind a port when run directly, so tests can require the app.
+if (CLI_COMMAND === '--rebuild-hwid-index') {
+    rebuildHwidIndex()
+        .then(({ indexed, conflicts }) => {
+            console.log(`🗂️ HWID index rebuilt: ${indexed} entries`);
+            conflicts.forEach(c => console.warn(`⚠️ HWID ${c.hwid} is registered to multiple licenses: ${c.licenses.join(', ')}`));
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('❌ HWID index rebuild failed:', error);
+            process.exit(1);
+        });
+} else if (require.main === module) {
+    app.listen(PORT, () => {
+        startWebhookWorker();
+        console.log('\n🎉 ===== PC OPTIMIZER PRO ULTIMATE =====');
+        console.log(`✅ Server running on http://localhost:${PORT}`);
+        console.log(`${store.backend === 'firestore' ? '🔥' : '💾'} Storage: ${store.description}`);
+        console.log(`🛡️ Security & monitoring active`);
+        console.log(`📡 Webhook delivery worker running`);
+        console.log(`📊 Real-time analytics enabled`);
+        console.log(`👤 Admin panel: http://localhost:${PORT}/admin`);
+        console.log(`🔑 Login with username: ${CONFIG.ADMIN_USERNAME}`);
+        console.log('🚀 All systems operational!');
+        console.log('==========================================\n');
+    });
+}
 
 module.exports = app;
 
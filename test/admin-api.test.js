@@ -0,0 +1,57 @@
+// Admin API authentication: keys, scopes, revocation and settings validation.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, adminApi, createApiKey, adminLogin, postForm, startApp } = require('./helpers');
+
+startApp({ scopes: ['licenses:read', 'licenses:write', 'settings:write'] });
+
+test('calls without a valid API key are refused', async () => {
+    const missing = await api('/api/admin/licenses');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, 'API_KEY_REQUIRED');
+
+    const unknown = await adminApi('GET', '/api/admin/licenses', undefined, `pco_${'0'.repeat(12)}_not-a-secret`);
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.code, 'INVALID_API_KEY');
+});
+
+test('a key can only use the scopes it was created with', async () => {
+    const readOnly = await createApiKey(['licenses:read'], 'read-only');
+
+    const list = await adminApi('GET', '/api/admin/licenses', undefined, readOnly);
+    assert.equal(list.status, 200, JSON.stringify(list.body));
+
+    const create = await adminApi('POST', '/api/admin/licenses', { durationDays: 30 }, readOnly);
+    assert.equal(create.status, 403);
+    assert.equal(create.body.code, 'INSUFFICIENT_SCOPE');
+    assert.equal(create.body.data.scope, 'licenses:write');
+
+    const logs = await adminApi('GET', '/api/admin/logs', undefined, readOnly);
+    assert.equal(logs.status, 403);
+    assert.equal(logs.body.data.scope, 'logs:read');
+});
+
+test('a revoked key stops working', async () => {
+    const key = await createApiKey(['licenses:read'], 'to-revoke');
+    assert.equal((await adminApi('GET', '/api/admin/licenses', undefined, key)).status, 200);
+
+    await postForm(await adminLogin(), '/admin/revoke-api-key', { keyId: key.split('_')[1] });
+    const { status, body } = await adminApi('GET', '/api/admin/licenses', undefined, key);
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_API_KEY');
+});
+
+test('settings updates are validated before they are saved', async () => {
+    const badVersion = await adminApi('PATCH', '/api/admin/settings', { minClientVersion: 'not a version!' });
+    assert.equal(badVersion.status, 400);
+    assert.equal(badVersion.body.code, 'VALIDATION_ERROR');
+
+    const unknownPlan = await adminApi('PATCH', '/api/admin/settings', { defaultPlan: 'no-such-plan' });
+    assert.equal(unknownPlan.status, 400);
+    assert.equal(unknownPlan.body.code, 'UNKNOWN_PLAN');
+
+    const updated = await adminApi('PATCH', '/api/admin/settings', { minClientVersion: '1.2.0' });
+    assert.equal(updated.status, 200, JSON.stringify(updated.body));
+    assert.equal(updated.body.data.minClientVersion, '1.2.0');
+    assert.equal(updated.body.data.defaultPlan, 'basic');
+});
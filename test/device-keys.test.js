@@ -0,0 +1,102 @@
+// Challenge-response device activation: once a device key is bound, validation needs a
+// fresh challenge signed with that key.
+const crypto = require('node:crypto');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { postJson, adminApi, register, createLicense, startApp } = require('./helpers');
+
+startApp();
+
+function newDeviceKey() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    return { privateKey, publicKey: publicKey.export({ type: 'spki', format: 'pem' }) };
+}
+
+async function challenge(license, hwid) {
+    const { status, body } = await postJson('/api/v2/device/challenge', { license, hwid });
+    assert.equal(status, 201, JSON.stringify(body));
+    return body.data;
+}
+
+function sign(privateKey, text) {
+    return crypto.sign(null, Buffer.from(text), privateKey).toString('base64');
+}
+
+async function activate(license, hwid, key) {
+    const { challengeId, challenge: text } = await challenge(license, hwid);
+    return postJson('/api/v2/device/activate', { license, hwid, challengeId, publicKey: key.publicKey, signature: sign(key.privateKey, text) });
+}
+
+test('a bound device validates only with a fresh challenge signed by its key', async () => {
+    const license = await createLicense();
+    const hwid = 'KEYED-HWID-1';
+    const key = newDeviceKey();
+
+    const activation = await activate(license, hwid, key);
+    assert.equal(activation.status, 201, JSON.stringify(activation.body));
+    assert.equal(activation.body.data.deviceKeyBound, true);
+
+    const unproven = await postJson('/api/v2/validate', { license, hwid });
+    assert.equal(unproven.status, 401);
+    assert.equal(unproven.body.code, 'DEVICE_PROOF_REQUIRED');
+
+    const { challengeId, challenge: text } = await challenge(license, hwid);
+    const valid = await postJson('/api/v2/validate', { license, hwid, challengeId, signature: sign(key.privateKey, text) });
+    assert.equal(valid.status, 200, JSON.stringify(valid.body));
+    assert.equal(valid.body.code, 'VALID');
+
+    // The same challenge can't be used twice
+    const reused = await postJson('/api/v2/validate', { license, hwid, challengeId, signature: sign(key.privateKey, text) });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, 'INVALID_CHALLENGE');
+});
+
+test('a challenge signed with another key is refused', async () => {
+    const license = await createLicense();
+    const hwid = 'KEYED-HWID-2';
+    const key = newDeviceKey();
+    assert.equal((await activate(license, hwid, key)).status, 201);
+
+    const { challengeId, challenge: text } = await challenge(license, hwid);
+    const forged = await postJson('/api/v2/validate', { license, hwid, challengeId, signature: sign(newDeviceKey().privateKey, text) });
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.code, 'INVALID_DEVICE_SIGNATURE');
+});
+
+test('a challenge is bound to the device it was issued for', async () => {
+    const license = await createLicense({ seats: 2 });
+    const key = newDeviceKey();
+    assert.equal((await activate(license, 'KEYED-HWID-3', key)).status, 201);
+
+    const { challengeId, challenge: text } = await challenge(license, 'KEYED-HWID-4');
+    const misused = await postJson('/api/v2/validate', { license, hwid: 'KEYED-HWID-3', challengeId, signature: sign(key.privateKey, text) });
+    assert.equal(misused.status, 401);
+    assert.equal(misused.body.code, 'INVALID_CHALLENGE');
+});
+
+test('a bound device cannot be re-registered without its key', async () => {
+    const license = await createLicense();
+    const hwid = 'KEYED-HWID-5';
+    assert.equal((await activate(license, hwid, newDeviceKey())).status, 201);
+
+    const plain = await register(license, hwid);
+    assert.equal(plain.status, 401);
+    assert.equal(plain.body.code, 'DEVICE_PROOF_REQUIRED');
+
+    const otherKey = await activate(license, hwid, newDeviceKey());
+    assert.equal(otherKey.status, 409);
+    assert.equal(otherKey.body.code, 'DEVICE_KEY_MISMATCH');
+});
+
+test('with device keys required, plain registration is refused', async () => {
+    assert.equal((await adminApi('PATCH', '/api/admin/settings', { requireDeviceKeys: true })).status, 200);
+    try {
+        const license = await createLicense();
+        const { status, body } = await register(license, 'KEYED-HWID-6');
+        assert.equal(status, 401);
+        assert.equal(body.code, 'DEVICE_KEY_REQUIRED');
+        assert.equal((await activate(license, 'KEYED-HWID-6', newDeviceKey())).status, 201);
+    } finally {
+        await adminApi('PATCH', '/api/admin/settings', { requireDeviceKeys: false });
+    }
+});
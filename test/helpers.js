@@ -0,0 +1,107 @@
+// Shared setup for the behavior tests. Every test file runs in its own process and boots
+// the app against an in-memory local store; set any extra env before requiring this.
+process.env.ADMIN_USERNAME = 'admin';
+process.env.ADMIN_PASSWORD = 'test-password';
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_DB_PATH = ':memory:';
+
+// The app's progress logs go to stdout, which the Node 20 test runner shares with its
+// own reporting stream; keep them out of it
+console.log = () => {};
+
+const { before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../index.js');
+
+let server;
+let baseUrl;
+let apiKey;
+
+function api(path, options = {}) {
+    return fetch(`${baseUrl}${path}`, options).then(async res => ({ status: res.status, headers: res.headers, body: await res.json() }));
+}
+
+function postJson(path, body, headers = {}) {
+    return api(path, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+}
+
+function adminApi(method, path, body, key = apiKey) {
+    return api(path, {
+        method,
+        headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+}
+
+function register(license, hwid) {
+    return api(`/api/register?license=${encodeURIComponent(license)}&hwid=${encodeURIComponent(hwid)}`);
+}
+
+async function createLicense(options = {}) {
+    const { status, body } = await adminApi('POST', '/api/admin/licenses', { durationDays: 30, ...options });
+    assert.equal(status, 201, JSON.stringify(body));
+    return body.data.license;
+}
+
+// Logs in through a session form and returns the session cookie
+async function login(path, username, password) {
+    const res = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        body: new URLSearchParams({ username, password }),
+        redirect: 'manual'
+    });
+    assert.equal(res.status, 302, `login to ${path} as ${username} failed`);
+    return res.headers.get('set-cookie').split(';')[0];
+}
+
+function adminLogin() {
+    return login('/admin/login', process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD);
+}
+
+// Posts a dashboard form; resolves to the page or alert script it answered with
+async function postForm(cookie, path, fields) {
+    const form = new URLSearchParams();
+    for (const [name, value] of Object.entries(fields)) {
+        [].concat(value).forEach(item => form.append(name, item));
+    }
+    const res = await fetch(`${baseUrl}${path}`, { method: 'POST', headers: { Cookie: cookie }, body: form, redirect: 'manual' });
+    return { status: res.status, text: await res.text() };
+}
+
+async function getPage(cookie, path) {
+    const res = await fetch(`${baseUrl}${path}`, { headers: { Cookie: cookie }, redirect: 'manual' });
+    return { status: res.status, text: await res.text() };
+}
+
+// API keys can only be created from the dashboard, so log in like an admin would
+async function createApiKey(scopes, name = 'tests') {
+    const { text } = await postForm(await adminLogin(), '/admin/create-api-key', { name, scopes });
+    return text.match(/pco_[^"]+/)[0];
+}
+
+// Boots the server for the calling test file. `scopes` are those of the default API key;
+// `setup` runs once the server is up (separate root before() hooks aren't ordered after it)
+function startApp({ scopes = ['licenses:read', 'licenses:write', 'hwid-requests:write', 'settings:write'], setup } = {}) {
+    before(async () => {
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://localhost:${server.address().port}`;
+        apiKey = await createApiKey(scopes);
+        if (setup) await setup();
+    });
+    after(() => new Promise(resolve => server.close(resolve)));
+}
+
+module.exports = {
+    api,
+    postJson,
+    adminApi,
+    register,
+    createLicense,
+    login,
+    adminLogin,
+    postForm,
+    getPage,
+    createApiKey,
+    startApp
+};
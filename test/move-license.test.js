@@ -0,0 +1,78 @@
+// Self-service license moves: the allowance per period, the cooldown between moves, and
+// the admin queue for moves that are refused.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { postJson, adminApi, register, createLicense, startApp } = require('./helpers');
+
+startApp();
+
+function move(license, oldHwid, hwid) {
+    return postJson('/api/v2/move-license', { license, oldHwid, hwid });
+}
+
+async function registeredLicense(hwid) {
+    const license = await createLicense();
+    assert.equal((await register(license, hwid)).body.code, 'SUCCESS');
+    return license;
+}
+
+test('a move frees the old machine and counts against the allowance', async () => {
+    const license = await registeredLicense('MOVE-OLD-1');
+
+    const { status, body } = await move(license, 'MOVE-OLD-1', 'MOVE-NEW-1');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.code, 'HWID_MOVED');
+    assert.equal(body.data.movesLeft, 1);
+
+    const { body: lic } = await adminApi('GET', `/api/admin/licenses/${license}`);
+    assert.deepEqual(lic.data.devices.map(d => d.hwid), ['MOVE-NEW-1']);
+    assert.equal((await register(await createLicense(), 'MOVE-OLD-1')).body.code, 'SUCCESS');
+});
+
+test('a move from a machine the license is not on is refused', async () => {
+    const license = await registeredLicense('MOVE-OLD-2');
+    const { status, body } = await move(license, 'SOMEONE-ELSE', 'MOVE-NEW-2');
+    assert.equal(status, 409);
+    assert.equal(body.code, 'HWID_MISMATCH');
+});
+
+test('a move inside the cooldown is queued for an admin instead', async () => {
+    const license = await registeredLicense('MOVE-OLD-3');
+    assert.equal((await move(license, 'MOVE-OLD-3', 'MOVE-NEW-3')).body.code, 'HWID_MOVED');
+
+    const { status, body } = await move(license, 'MOVE-NEW-3', 'MOVE-NEWER-3');
+    assert.equal(status, 202);
+    assert.equal(body.code, 'HWID_CHANGE_QUEUED');
+    assert.equal(body.data.reason, 'COOLDOWN');
+    assert.ok(new Date(body.data.nextAllowedAt) > new Date());
+
+    // Asking again answers with the request already queued
+    const again = await move(license, 'MOVE-NEW-3', 'MOVE-NEWER-3');
+    assert.equal(again.body.data.requestId, body.data.requestId);
+
+    const { body: lic } = await adminApi('GET', `/api/admin/licenses/${license}`);
+    assert.deepEqual(lic.data.devices.map(d => d.hwid), ['MOVE-NEW-3']);
+});
+
+test('once the allowance is used up, further moves need an admin', async () => {
+    assert.equal((await adminApi('PATCH', '/api/admin/settings', { hwidChangeCooldownHours: 0 })).status, 200);
+    const license = await registeredLicense('MOVE-A');
+
+    assert.equal((await move(license, 'MOVE-A', 'MOVE-B')).body.data.movesLeft, 1);
+    assert.equal((await move(license, 'MOVE-B', 'MOVE-C')).body.data.movesLeft, 0);
+
+    const { status, body } = await move(license, 'MOVE-C', 'MOVE-D');
+    assert.equal(status, 202);
+    assert.equal(body.data.reason, 'LIMIT_REACHED');
+    assert.ok(body.data.nextAllowedAt);
+});
+
+test('with self-service moves switched off, every move is queued', async () => {
+    assert.equal((await adminApi('PATCH', '/api/admin/settings', { allowHwidChange: false })).status, 200);
+    const license = await registeredLicense('MOVE-OLD-5');
+
+    const { status, body } = await move(license, 'MOVE-OLD-5', 'MOVE-NEW-5');
+    assert.equal(status, 202);
+    assert.equal(body.data.reason, 'DISABLED');
+    assert.equal(body.data.nextAllowedAt, null);
+});
@@ -0,0 +1,64 @@
+// Concurrency checks for device registration against the in-memory local store.
+// Run with `npm test`.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { postJson, adminApi, register, createLicense, startApp } = require('./helpers');
+
+startApp();
+
+test('parallel registrations of one key give exactly one device the seat', async () => {
+    const license = await createLicense();
+    const results = await Promise.all(Array.from({ length: 10 }, (_, i) => register(license, `RACE-HWID-${i}`)));
+
+    const winners = results.filter(r => r.body.code === 'SUCCESS');
+    assert.equal(winners.length, 1);
+    assert.equal(winners[0].status, 201);
+    for (const loser of results.filter(r => r !== winners[0])) {
+        assert.ok(['ALREADY_REGISTERED', 'HWID_IN_USE'].includes(loser.body.code), loser.body.code);
+        assert.equal(loser.status, 409);
+    }
+
+    const { body } = await adminApi('GET', `/api/admin/licenses/${license}`);
+    assert.deepEqual(body.data.devices.map(d => d.hwid), [winners[0].body.data.hwid]);
+});
+
+test('parallel registrations of one machine to several keys claim only one key', async () => {
+    const licenses = await Promise.all(Array.from({ length: 5 }, () => createLicense()));
+    const results = await Promise.all(licenses.map(license => register(license, 'SHARED-HWID')));
+
+    const codes = results.map(r => r.body.code);
+    assert.equal(codes.filter(code => code === 'SUCCESS').length, 1);
+    assert.equal(codes.filter(code => code === 'HWID_IN_USE').length, licenses.length - 1);
+});
+
+test('an HWID reset approval racing a registration leaves the HWID index consistent', async () => {
+    for (let round = 0; round < 5; round++) {
+        const license = await createLicense();
+        const oldHwid = `OLD-HWID-${round}`;
+        const newHwid = `NEW-HWID-${round}`;
+        assert.equal((await register(license, oldHwid)).body.code, 'SUCCESS');
+
+        const request = await postJson('/api/v2/request-hwid-reset', { license, hwid: newHwid, reason: 'New machine' });
+        assert.equal(request.status, 201, JSON.stringify(request.body));
+
+        const [approval, registration] = await Promise.all([
+            adminApi('POST', `/api/admin/hwid-requests/${request.body.data.requestId}/approve`, {}),
+            register(license, newHwid)
+        ]);
+        assert.equal(approval.status, 200, JSON.stringify(approval.body));
+        assert.ok(['SUCCESS', 'ALREADY_REGISTERED'].includes(registration.body.code), registration.body.code);
+
+        // Whichever ran first, the license's devices and the HWID index must agree: the old
+        // machine is free everywhere, and the new one is held only if it won the seat
+        const { body } = await adminApi('GET', `/api/admin/licenses/${license}`);
+        const devices = body.data.devices.map(d => d.hwid);
+        assert.deepEqual(devices, registration.body.code === 'SUCCESS' ? [newHwid] : []);
+
+        const [oldProbe, newProbe] = await Promise.all([
+            register(await createLicense(), oldHwid),
+            register(await createLicense(), newHwid)
+        ]);
+        assert.equal(oldProbe.body.code, 'SUCCESS');
+        assert.equal(newProbe.body.code, devices.length ? 'HWID_IN_USE' : 'SUCCESS');
+    }
+});
@@ -0,0 +1,94 @@
+// Reseller portal: each reseller sees and manages only its own keys, within its quota.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { postJson, adminApi, register, login, adminLogin, postForm, getPage, startApp } = require('./helpers');
+
+const sessions = {};
+
+function saveReseller(cookie, resellerId, prefix, fields = {}) {
+    return postForm(cookie, '/admin/save-reseller', {
+        resellerId,
+        name: resellerId,
+        prefix,
+        keyQuota: '3',
+        allowedTemplates: 'resale',
+        password: `${resellerId}-password`,
+        ...fields
+    });
+}
+
+startApp({
+    setup: async () => {
+        const cookie = await adminLogin();
+        await postForm(cookie, '/admin/save-template', { templateId: 'resale', name: 'Resale', durationDays: '30' });
+        await postForm(cookie, '/admin/save-template', { templateId: 'internal', name: 'Internal', durationDays: '365' });
+        await saveReseller(cookie, 'alpha', 'ALPHA');
+        await saveReseller(cookie, 'beta', 'BETA');
+        for (const id of ['alpha', 'beta']) {
+            sessions[id] = await login('/reseller/login', id, `${id}-password`);
+        }
+    }
+});
+
+async function generate(resellerId, count, templateId = 'resale') {
+    const { text } = await postForm(sessions[resellerId], '/reseller/generate', { count: String(count), templateId });
+    return { text, keys: text.match(/[A-Z]+-[A-Z0-9-]+/g) || [] };
+}
+
+async function resellerLicenses(resellerId) {
+    const { body } = await adminApi('GET', `/api/admin/licenses?resellerId=${resellerId}`);
+    return body.data.licenses.map(lic => lic.license);
+}
+
+test('generated keys carry the reseller prefix and are tied to the reseller', async () => {
+    const { keys } = await generate('alpha', 2);
+    assert.equal(keys.length, 2);
+    assert.ok(keys.every(key => key.startsWith('ALPHA-')), keys.join());
+    assert.deepEqual((await resellerLicenses('alpha')).sort(), [...keys].sort());
+});
+
+test('the quota caps how many keys a reseller can generate', async () => {
+    const { text } = await generate('alpha', 2);
+    assert.match(text, /Only 1 keys left on your quota/);
+    assert.equal((await resellerLicenses('alpha')).length, 2);
+});
+
+test('templates a reseller was not given are refused', async () => {
+    const { text } = await generate('beta', 1, 'internal');
+    assert.match(text, /not available to you/);
+    assert.equal((await resellerLicenses('beta')).length, 0);
+});
+
+test('a reseller sees only its own keys', async () => {
+    const [betaKey] = (await generate('beta', 1)).keys;
+    const alphaKeys = await resellerLicenses('alpha');
+
+    const alphaPage = (await getPage(sessions.alpha, '/reseller')).text;
+    const betaPage = (await getPage(sessions.beta, '/reseller')).text;
+    assert.ok(alphaKeys.every(key => alphaPage.includes(key) && !betaPage.includes(key)));
+    assert.ok(betaPage.includes(betaKey) && !alphaPage.includes(betaKey));
+});
+
+test('a reseller cannot decide HWID requests for another reseller\'s keys', async () => {
+    const [license] = await resellerLicenses('alpha');
+    assert.equal((await register(license, 'RESELLER-OLD')).body.code, 'SUCCESS');
+    const { body } = await postJson('/api/v2/request-hwid-reset', { license, hwid: 'RESELLER-NEW', reason: 'New machine' });
+    const { requestId } = body.data;
+
+    assert.ok(!(await getPage(sessions.beta, '/reseller')).text.includes(requestId));
+    const refused = await postForm(sessions.beta, '/reseller/approve-hwid-reset', { requestId });
+    assert.match(refused.text, /Request not found/);
+    assert.equal((await register(license, 'RESELLER-NEW')).body.code, 'ALREADY_REGISTERED');
+
+    assert.ok((await getPage(sessions.alpha, '/reseller')).text.includes(requestId));
+    const approved = await postForm(sessions.alpha, '/reseller/approve-hwid-reset', { requestId });
+    assert.equal(approved.status, 302);
+    assert.equal((await register(license, 'RESELLER-NEW')).body.code, 'SUCCESS');
+});
+
+test('a disabled reseller is signed out of the portal', async () => {
+    await saveReseller(await adminLogin(), 'beta', 'BETA', { password: '' });
+    const { status } = await getPage(sessions.beta, '/reseller');
+    assert.equal(status, 302);
+    assert.equal((await generate('beta', 1)).keys.length, 0);
+});
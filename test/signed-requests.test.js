@@ -0,0 +1,91 @@
+// Signed requests for products that require them: signature, timestamp and nonce checks,
+// and the signature on the response.
+const crypto = require('node:crypto');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, postJson, adminApi, createLicense, adminLogin, postForm, getPage, startApp } = require('./helpers');
+
+let secret;
+
+startApp({
+    setup: async () => {
+        const cookie = await adminLogin();
+        await postForm(cookie, '/admin/save-product', { productId: 'signed', name: 'Signed App', signingEnabled: 'on' });
+        const { text } = await getPage(cookie, '/admin');
+        secret = text.match(/<input value="([0-9a-f]{64})" readonly/)[1];
+    }
+});
+
+function hmac(parts) {
+    return crypto.createHmac('sha256', secret).update(parts.join('\n')).digest('hex');
+}
+
+// Signs a v2 call over METHOD\nURL\nTIMESTAMP\nNONCE\nBODY; `overrides` replace headers
+function signedPost(path, body, overrides = {}) {
+    const text = JSON.stringify(body);
+    const timestamp = overrides.timestamp || String(Math.floor(Date.now() / 1000));
+    const nonce = overrides.nonce || crypto.randomBytes(16).toString('hex');
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Timestamp': timestamp,
+        'X-Nonce': nonce,
+        'X-Signature': overrides.signature || hmac(['POST', path, timestamp, nonce, text]),
+        ...overrides.headers
+    };
+    return api(path, { method: 'POST', headers, body: text });
+}
+
+test('unsigned calls for a signing product are refused', async () => {
+    const license = await createLicense({ productId: 'signed' });
+    const { status, body } = await postJson('/api/v2/register', { license, hwid: 'SIGNED-HWID-1' });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'SIGNATURE_REQUIRED');
+
+    const v1 = await postJson('/api/request-hwid-reset', { license, hwid: 'SIGNED-HWID-1' });
+    assert.equal(v1.status, 401);
+    assert.deepEqual(Object.keys(v1.body), ['error']);
+});
+
+test('a bad signature or a stale timestamp is refused', async () => {
+    const license = await createLicense({ productId: 'signed' });
+    const params = { license, hwid: 'SIGNED-HWID-2' };
+
+    const forged = await signedPost('/api/v2/register', params, { signature: 'a'.repeat(64) });
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.code, 'INVALID_SIGNATURE');
+
+    // Signed correctly, but with a timestamp ten minutes old
+    const stale = await signedPost('/api/v2/register', params, { timestamp: String(Math.floor(Date.now() / 1000) - 600) });
+    assert.equal(stale.status, 401);
+    assert.equal(stale.body.code, 'STALE_TIMESTAMP');
+});
+
+test('a signed call succeeds once, carries a signed response and cannot be replayed', async () => {
+    const license = await createLicense({ productId: 'signed' });
+    const params = { license, hwid: 'SIGNED-HWID-3' };
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    const first = await signedPost('/api/v2/register', params, { nonce });
+    assert.equal(first.status, 201, JSON.stringify(first.body));
+    assert.equal(first.body.code, 'SUCCESS');
+    assert.equal(first.headers.get('x-nonce'), nonce);
+    assert.equal(first.headers.get('x-signature'),
+        hmac([first.status, first.headers.get('x-timestamp'), nonce, JSON.stringify(first.body)]));
+
+    const replay = await signedPost('/api/v2/register', params, { nonce });
+    assert.equal(replay.status, 409);
+    assert.equal(replay.body.code, 'REPLAYED_NONCE');
+});
+
+test('trial calls must name their product once any product requires signing', async () => {
+    const { status } = await adminApi('PATCH', '/api/admin/settings', { trialEnabled: true });
+    assert.equal(status, 200);
+
+    const { status: trialStatus, body } = await postJson('/api/v2/trial', { hwid: 'SIGNED-TRIAL-HWID' });
+    assert.equal(trialStatus, 400);
+    assert.equal(body.code, 'PRODUCT_REQUIRED');
+
+    const named = await postJson('/api/v2/trial', { hwid: 'SIGNED-TRIAL-HWID' }, { 'X-Product-Id': 'signed' });
+    assert.equal(named.status, 401);
+    assert.equal(named.body.code, 'SIGNATURE_REQUIRED');
+});